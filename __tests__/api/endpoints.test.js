@@ -7,6 +7,7 @@
 import request from 'supertest';
 import { expressApp } from '../../src/app.js';
 import { config } from '../../src/config.js';
+import { helperSessionStore } from '../../src/helpers/session-store.js';
 
 // Basic auth credentials for protected endpoints
 const auth = {
@@ -140,6 +141,220 @@ describe('API Endpoints', () => {
     });
   });
 
+  // Recorder export endpoint
+  describe('POST /api/scrape/recording', () => {
+    it('should return 401 without auth', async () => {
+      const response = await request(expressApp).post('/api/scrape/recording').send({});
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 400 when steps are missing', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/recording')
+        .auth(auth.user, auth.pass)
+        .send({ title: 'Recording' });
+      expect(response.status).toBe(400);
+      expect(response.body.data.code).toBe('ERROR_REQUEST_BODY_VALIDATION');
+    });
+
+    it('should point validation errors to the original step index', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/recording')
+        .auth(auth.user, auth.pass)
+        .send({
+          title: 'Recording',
+          steps: [
+            { type: 'navigate', url: 'https://example.com' },
+            { type: 'keyDown' }
+          ]
+        });
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain('steps[1].key');
+      expect(response.body.data.message).not.toContain('record.steps');
+    });
+  });
+
+  // Batch endpoint
+  describe('POST /api/scrape/batch', () => {
+    const template = {
+      proxy: { auth: { enabled: false, username: 'u', password: 'p' }, servers: [] },
+      record: {
+        title: 'Batch',
+        steps: [{ type: 'navigate', url: 'https://example.com/products/{{sku}}' }]
+      }
+    };
+
+    it('should return 400 without rows', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/batch')
+        .auth(auth.user, auth.pass)
+        .send({ ...template, rows: [] });
+      expect(response.status).toBe(400);
+      expect(response.body.data.code).toBe('ERROR_REQUEST_BODY_VALIDATION');
+    });
+
+    it('should name the row with a missing placeholder value', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/batch')
+        .auth(auth.user, auth.pass)
+        .send({ ...template, rows: [{ sku: 'A-100' }, { name: 'B-200' }] });
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain('rows[1]');
+      expect(response.body.data.message).toContain('{{sku}}');
+    });
+
+    it('should reject the RAW response type', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/batch')
+        .auth(auth.user, auth.pass)
+        .send({
+          ...template,
+          capture: { selectors: [{ key: 'title', type: 'CSS', value: 'h1' }] },
+          output: { responseType: 'RAW' },
+          rows: [{ sku: 'A-100' }]
+        });
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain('RAW');
+    });
+
+    it('should reject file response types', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/batch')
+        .auth(auth.user, auth.pass)
+        .send({
+          ...template,
+          capture: { selectors: [{ key: 'title', type: 'CSS', value: 'h1' }] },
+          output: { responseType: 'CSV' },
+          rows: [{ sku: 'A-100' }]
+        });
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain('responseType CSV is not supported');
+    });
+  });
+
+  // Background scrape jobs
+  describe('/api/scrape/jobs', () => {
+    const unknownId = '00000000-0000-4000-8000-000000000000';
+
+    it('should return 400 when queuing an invalid body', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/jobs')
+        .auth(auth.user, auth.pass)
+        .send({});
+      expect(response.status).toBe(400);
+      expect(response.body.data.code).toBe('ERROR_REQUEST_BODY_VALIDATION');
+    });
+
+    it('should reject file responseTypes, whose results cannot be stored as JSON', async () => {
+      const response = await request(expressApp)
+        .post('/api/scrape/jobs')
+        .auth(auth.user, auth.pass)
+        .send({
+          proxy: { auth: { enabled: false, username: 'u', password: 'p' }, servers: [] },
+          record: { title: 'Job', steps: [{ type: 'navigate', url: 'https://example.com' }] },
+          capture: { selectors: [{ key: 'title', type: 'CSS', value: 'h1' }] },
+          output: { responseType: 'NDJSON' }
+        });
+      expect(response.status).toBe(400);
+      expect(response.body.data.message).toContain(
+        'responseType NDJSON is not supported by scrape jobs'
+      );
+    });
+
+    it('should return 404 for an unknown job', async () => {
+      const response = await request(expressApp)
+        .get(`/api/scrape/jobs/${unknownId}`)
+        .auth(auth.user, auth.pass);
+      expect(response.status).toBe(404);
+      expect(response.body.data.code).toBe('ERROR_JOB_NOT_FOUND');
+    });
+
+    it('should return 404 for a malformed job id', async () => {
+      const response = await request(expressApp)
+        .get('/api/scrape/jobs/..%2F..%2Fpackage')
+        .auth(auth.user, auth.pass);
+      expect(response.status).toBe(404);
+      expect(response.body.data.code).toBe('ERROR_JOB_NOT_FOUND');
+    });
+
+    it('should return 404 when cancelling an unknown job', async () => {
+      const response = await request(expressApp)
+        .delete(`/api/scrape/jobs/${unknownId}`)
+        .auth(auth.user, auth.pass);
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 for the delivery log of an unknown job', async () => {
+      const response = await request(expressApp)
+        .get(`/api/scrape/jobs/${unknownId}/delivery`)
+        .auth(auth.user, auth.pass);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // Named sessions
+  describe('Sessions', () => {
+    it('should require authentication', async () => {
+      const response = await request(expressApp).get('/api/sessions');
+      expect(response.status).toBe(401);
+    });
+
+    it('should list sessions without their cookie values or storage', async () => {
+      helperSessionStore.save({
+        name: 'endpoint-test-session',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z',
+        expiresAt: null,
+        cookies: [{ name: 'sid', value: 'secret-sid', domain: 'example.com', path: '/' }],
+        storage: {
+          'https://example.com': { localStorage: { token: 'secret' }, sessionStorage: {} }
+        }
+      });
+
+      try {
+        const response = await request(expressApp)
+          .get('/api/sessions')
+          .auth(auth.user, auth.pass);
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+
+        const session = response.body.data.find(({ name }) => name === 'endpoint-test-session');
+        expect(session).toEqual({
+          name: 'endpoint-test-session',
+          createdAt: '2026-01-01T00:00:00.000Z',
+          updatedAt: '2026-01-01T00:00:00.000Z',
+          expiresAt: null,
+          expired: false,
+          cookieCount: 1,
+          origins: ['https://example.com']
+        });
+        expect(JSON.stringify(response.body)).not.toContain('secret');
+      } finally {
+        helperSessionStore.remove('endpoint-test-session');
+      }
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      const response = await request(expressApp)
+        .get('/api/sessions/unknown-session')
+        .auth(auth.user, auth.pass);
+      expect(response.status).toBe(404);
+      expect(response.body.data.code).toBe('ERROR_SESSION_NOT_FOUND');
+    });
+
+    it('should return 404 when expiring or deleting an unknown session', async () => {
+      const expire = await request(expressApp)
+        .post('/api/sessions/unknown-session/expire')
+        .auth(auth.user, auth.pass);
+      expect(expire.status).toBe(404);
+
+      const remove = await request(expressApp)
+        .delete('/api/sessions/unknown-session')
+        .auth(auth.user, auth.pass);
+      expect(remove.status).toBe(404);
+    });
+  });
+
   // Swagger docs
   describe('GET /api/docs', () => {
     it('should return swagger UI', async () => {
@@ -0,0 +1,100 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+// Recycle after two jobs to keep the tests short
+process.env.BROWSER_RECYCLE_JOBS = '2';
+
+const launched = [];
+
+// Minimal stand-in for a Puppeteer Browser
+const fakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.contexts = [];
+  browser.closed = false;
+  browser.process = () => null;
+  browser.createBrowserContext = async (options) => {
+    const context = { options, close: async () => {} };
+    browser.contexts.push(context);
+    return context;
+  };
+  browser.close = async () => {
+    browser.closed = true;
+    browser.emit('disconnected');
+  };
+  return browser;
+};
+
+jest.unstable_mockModule('puppeteer-extra', () => ({
+  addExtra: () => ({
+    launch: async () => {
+      const browser = fakeBrowser();
+      launched.push(browser);
+      return browser;
+    }
+  })
+}));
+
+const { helperBrowserPool } = await import('../../src/helpers/browser-pool.js');
+
+describe('helperBrowserPool', () => {
+  beforeEach(async () => {
+    await helperBrowserPool.close();
+    helperBrowserPool.closed = false;
+    helperBrowserPool.size = 1;
+    launched.length = 0;
+  });
+
+  afterAll(async () => {
+    await helperBrowserPool.close();
+  });
+
+  it('should reuse a warm browser for consecutive scrapes', async () => {
+    await helperBrowserPool.init();
+
+    const first = await helperBrowserPool.acquire();
+    await first.release();
+
+    expect(launched).toHaveLength(1);
+    expect(launched[0].contexts).toHaveLength(1);
+  });
+
+  it('should pass the proxy server to the browser context', async () => {
+    const { context, release } = await helperBrowserPool.acquire({
+      proxyServer: 'http://proxy.example.com:8080'
+    });
+
+    expect(context.options).toEqual({ proxyServer: 'http://proxy.example.com:8080' });
+    await release();
+  });
+
+  it('should recycle a browser after the configured number of jobs', async () => {
+    for (let i = 0; i < 2; i++) {
+      const { release } = await helperBrowserPool.acquire();
+      await release();
+    }
+
+    expect(launched[0].closed).toBe(true);
+    expect(helperBrowserPool.entries).toHaveLength(1);
+    await helperBrowserPool.entries[0].ready;
+    expect(launched).toHaveLength(2);
+  });
+
+  it('should replace a crashed browser', async () => {
+    await helperBrowserPool.init();
+
+    launched[0].emit('disconnected');
+
+    expect(launched).toHaveLength(1);
+    await helperBrowserPool.entries[0].ready;
+    expect(launched).toHaveLength(2);
+  });
+
+  it('should release a context only once', async () => {
+    const lease = await helperBrowserPool.acquire();
+
+    await lease.release();
+    await lease.release();
+
+    expect(helperBrowserPool.entries[0].active).toBe(0);
+  });
+});
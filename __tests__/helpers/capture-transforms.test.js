@@ -0,0 +1,104 @@
+import {
+  helperCaptureTransform,
+  helperCaptureTransformsApply
+} from '../../src/helpers/capture-transforms.js';
+
+const transform = (value, transforms, baseUrl) =>
+  helperCaptureTransform({ value, transforms, baseUrl });
+
+describe('helperCaptureTransform', () => {
+  it('should run transforms in order', () => {
+    expect(
+      transform('  <b>Hello&nbsp;\n  World</b> ', [
+        { type: 'stripTags' },
+        { type: 'collapseWhitespace' },
+        { type: 'lowercase' }
+      ])
+    ).toBe('hello world');
+  });
+
+  it('should extract the first capture group or a named group', () => {
+    expect(transform('SKU: A-100', [{ type: 'regexExtract', pattern: 'SKU: (\\S+)' }])).toBe(
+      'A-100'
+    );
+    expect(
+      transform('v2.5', [{ type: 'regexExtract', pattern: 'v(?<major>\\d)', group: 'major' }])
+    ).toBe('2');
+    expect(transform('none', [{ type: 'regexExtract', pattern: '\\d+' }])).toBeNull();
+  });
+
+  it('should replace every match', () => {
+    expect(
+      transform('a-b-c', [{ type: 'regexReplace', pattern: '-', flags: 'g', replacement: '' }])
+    ).toBe('abc');
+  });
+
+  it('should parse numbers with the separators of a locale', () => {
+    expect(transform('$1,234.50', [{ type: 'parseNumber' }])).toBe(1234.5);
+    expect(transform('1.234,50 €', [{ type: 'parseNumber', locale: 'de-DE' }])).toBe(1234.5);
+    expect(transform('1 234,50 €', [{ type: 'parseNumber', locale: 'fr-FR' }])).toBe(1234.5);
+    expect(transform('Price: -$12.99', [{ type: 'parseNumber' }])).toBe(-12.99);
+    expect(transform('approx. 12 kg', [{ type: 'parseNumber' }])).toBe(12);
+    expect(transform('−3,5', [{ type: 'parseNumber', locale: 'sv-SE' }])).toBe(-3.5);
+  });
+
+  it('should refuse ranges and text holding more than one number', () => {
+    for (const text of ['12-15', '12–15', '$10 - $20', '1.2.3', 'free']) {
+      expect(() => transform(text, [{ type: 'parseNumber' }])).toThrow(
+        `"${text}" is not a number in locale en-US`
+      );
+    }
+  });
+
+  it('should parse dates and resolve URLs', () => {
+    expect(transform('2024-03-01T10:00:00Z', [{ type: 'parseDate' }])).toBe(
+      '2024-03-01T10:00:00.000Z'
+    );
+    expect(transform('../item/1', [{ type: 'resolveUrl' }], 'https://shop.test/a/b/')).toBe(
+      'https://shop.test/a/item/1'
+    );
+  });
+
+  it('should fill empty values with the default and leave other non-strings alone', () => {
+    expect(transform(null, [{ type: 'trim' }, { type: 'default', value: 'n/a' }])).toBe('n/a');
+    expect(transform(true, [{ type: 'lowercase' }])).toBe(true);
+  });
+
+  it('should name the failing transform', () => {
+    expect(() => transform('soon', [{ type: 'trim' }, { type: 'parseDate' }])).toThrow(
+      'Transform 2 (parseDate) failed: "soon" is not a valid date'
+    );
+  });
+});
+
+describe('helperCaptureTransformsApply', () => {
+  it('should report failures per value and keep the other values', () => {
+    const { value, errors } = helperCaptureTransformsApply({
+      key: 'prices',
+      value: ['10', 'free', '12'],
+      selector: { type: 'CSS', multiple: true, transforms: [{ type: 'parseNumber' }] }
+    });
+
+    expect(value).toEqual([10, null, 12]);
+    expect(Object.keys(errors)).toEqual(['prices[1]']);
+    expect(errors['prices[1]'].code).toBe('ERROR_CAPTURE_TRANSFORM');
+  });
+
+  it('should transform LIST fields with their own transforms', () => {
+    const { value, errors } = helperCaptureTransformsApply({
+      key: 'products',
+      value: [{ name: ' A ', url: '/a' }],
+      selector: {
+        type: 'LIST',
+        fields: {
+          name: { transforms: [{ type: 'trim' }] },
+          url: { transforms: [{ type: 'resolveUrl' }] }
+        }
+      },
+      baseUrl: 'https://shop.test/list'
+    });
+
+    expect(value).toEqual([{ name: 'A', url: 'https://shop.test/a' }]);
+    expect(errors).toEqual({});
+  });
+});
@@ -0,0 +1,83 @@
+import { EventEmitter } from 'events';
+
+import { helperConsoleCaptureAttach } from '../../src/helpers/console-capture.js';
+
+// Minimal stand-in for a Puppeteer ConsoleMessage
+const fakeMessage = ({ type = 'log', text, location = {} }) => ({
+  type: () => type,
+  text: () => text,
+  location: () => location
+});
+
+// Minimal stand-in for a failed Puppeteer HTTPRequest
+const fakeFailedRequest = ({ url, errorText }) => ({
+  url: () => url,
+  method: () => 'GET',
+  resourceType: () => 'script',
+  failure: () => ({ errorText })
+});
+
+describe('helperConsoleCaptureAttach', () => {
+  it('should tag every event with a timestamp and the running step', () => {
+    const page = new EventEmitter();
+    let stepIndex = null;
+    const capture = helperConsoleCaptureAttach({ page, getStepIndex: () => stepIndex });
+
+    page.emit(
+      'console',
+      fakeMessage({
+        type: 'warning',
+        text: 'Deprecated API',
+        location: { url: 'https://example.com/app.js', lineNumber: 4, columnNumber: 12 }
+      })
+    );
+    stepIndex = 2;
+    page.emit('pageerror', new TypeError("Cannot read properties of null (reading 'click')"));
+    page.emit(
+      'requestfailed',
+      fakeFailedRequest({ url: 'https://cdn.example.com/lib.js', errorText: 'net::ERR_FAILED' })
+    );
+
+    const entries = capture.entries();
+    expect(entries).toEqual([
+      {
+        type: 'console',
+        level: 'warning',
+        text: 'Deprecated API',
+        location: { url: 'https://example.com/app.js', lineNumber: 4, columnNumber: 12 },
+        timestamp: expect.any(String),
+        stepIndex: null
+      },
+      {
+        type: 'pageerror',
+        text: "Cannot read properties of null (reading 'click')",
+        stack: expect.stringContaining('TypeError'),
+        timestamp: expect.any(String),
+        stepIndex: 2
+      },
+      {
+        type: 'requestfailed',
+        text: 'net::ERR_FAILED',
+        url: 'https://cdn.example.com/lib.js',
+        method: 'GET',
+        resourceType: 'script',
+        timestamp: expect.any(String),
+        stepIndex: 2
+      }
+    ]);
+    expect(new Date(entries[0].timestamp).toISOString()).toBe(entries[0].timestamp);
+  });
+
+  it('should mask secret variables and stop collecting once detached', () => {
+    const page = new EventEmitter();
+    const capture = helperConsoleCaptureAttach({ page, getStepIndex: () => 0 });
+
+    page.emit('console', fakeMessage({ text: 'Logging in with hunter2' }));
+    capture.detach();
+    page.emit('console', fakeMessage({ text: 'After the flow' }));
+
+    const entries = capture.entries({ secrets: ['hunter2'] });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].text).toBe('Logging in with ***');
+  });
+});
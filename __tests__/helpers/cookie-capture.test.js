@@ -0,0 +1,78 @@
+import { helperCookieCaptureRead } from '../../src/helpers/cookie-capture.js';
+
+// Minimal stand-in for a Puppeteer BrowserContext holding a cookie jar
+const fakeContext = (cookies) => ({ cookies: async () => cookies });
+
+const cookie = (name, domain, extra = {}) => ({
+  name,
+  value: `${name}-value`,
+  domain,
+  path: '/',
+  expires: -1,
+  size: 10,
+  httpOnly: false,
+  secure: true,
+  session: true,
+  ...extra
+});
+
+describe('helperCookieCaptureRead', () => {
+  it('should return the requested cookies of every origin, API subdomains included', async () => {
+    const context = fakeContext([
+      cookie('page_pref', 'www.example.com'),
+      cookie('session_id', 'api.example.com', { httpOnly: true, sameSite: 'Lax' }),
+      cookie('tracking', '.ads.example.net')
+    ]);
+
+    const cookies = await helperCookieCaptureRead({
+      context,
+      names: ['session_id', 'page_pref']
+    });
+
+    expect(cookies).toEqual([
+      {
+        name: 'page_pref',
+        value: 'page_pref-value',
+        domain: 'www.example.com',
+        path: '/',
+        expires: -1,
+        httpOnly: false,
+        secure: true,
+        sameSite: null
+      },
+      {
+        name: 'session_id',
+        value: 'session_id-value',
+        domain: 'api.example.com',
+        path: '/',
+        expires: -1,
+        httpOnly: true,
+        secure: true,
+        sameSite: 'Lax'
+      }
+    ]);
+  });
+
+  it('should keep cookies sharing a name on different domains apart', async () => {
+    const context = fakeContext([
+      cookie('token', 'example.com'),
+      cookie('token', 'auth.example.com')
+    ]);
+
+    const cookies = await helperCookieCaptureRead({ context, names: ['token'] });
+    expect(cookies.map(({ domain }) => domain)).toEqual(['example.com', 'auth.example.com']);
+  });
+
+  it('should report read failures with the cookie error code', async () => {
+    const context = {
+      cookies: async () => {
+        throw new Error('Target closed');
+      }
+    };
+
+    await expect(helperCookieCaptureRead({ context, names: ['a'] })).rejects.toMatchObject({
+      code: 'ERROR_COOKIES_PROCESSING',
+      message: 'Error reading cookies: Target closed'
+    });
+  });
+});
@@ -0,0 +1,546 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+// Point artifacts and sessions to throwaway locations before the modules read the config
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-scraping-'));
+process.env.TMP_DIR = path.join(tmpDir, 'tmp');
+process.env.DATA_DIR = path.join(tmpDir, 'data');
+process.env.WEB_ADDRESS = 'https://scrapereq.example.com';
+
+// Requests use the proxy bypass code so that no proxy server is needed
+process.env.SCRAPE_PROXY_BYPASS_CODE = 'test-bypass';
+
+// Runs a step of the flow, replaced by the tests to make a step fail
+const runStep = jest.fn(async (step, page) => {
+  if (step.type === 'navigate') {
+    page.currentUrl = step.url;
+  }
+});
+
+// Minimal stand-in for @puppeteer/replay, calling the extension hooks in the runner's order
+jest.unstable_mockModule(
+  '@puppeteer/replay',
+  () => ({
+    PuppeteerRunnerExtension: class {
+      constructor(browser, page) {
+        this.browser = browser;
+        this.page = page;
+      }
+
+      async beforeAllSteps() {}
+
+      async beforeEachStep() {}
+
+      async runStep(step) {
+        await runStep(step, this.page);
+      }
+
+      async afterEachStep() {}
+
+      async afterAllSteps() {}
+    },
+    createRunner: async (flow, extension) => ({
+      run: async () => {
+        await extension.beforeAllSteps(flow);
+        for (const step of flow.steps) {
+          await extension.beforeEachStep(step, flow);
+          await extension.runStep(step, flow);
+          await extension.afterEachStep(step, flow);
+        }
+        await extension.afterAllSteps(flow);
+      }
+    }),
+    selectorToPElementSelector: (selector) => [].concat(selector).join(' >>> ')
+  }),
+  { virtual: true }
+);
+
+// Locator.race resolves to the element of the first locator, as the page has no timing
+jest.unstable_mockModule('puppeteer', () => ({
+  Locator: {
+    race: (locators) => ({
+      setTimeout() {
+        return this;
+      },
+      waitHandle: async () => locators[0]
+    })
+  }
+}));
+
+jest.unstable_mockModule('../../src/helpers/browser-pool.js', () => ({
+  helperBrowserPool: { acquire: jest.fn() }
+}));
+
+jest.unstable_mockModule('../../src/helpers/screenshots.js', () => ({
+  helperScreenshotsTake: jest.fn()
+}));
+
+jest.unstable_mockModule('../../src/helpers/page-snapshots.js', () => ({
+  helperPageSnapshotsPdf: jest.fn(async () => ({
+    pdfUrl: 'https://scrapereq.example.com/api/tmp/page.pdf'
+  })),
+  helperPageSnapshotsMhtml: jest.fn(async () => ({
+    mhtmlUrl: 'https://scrapereq.example.com/api/tmp/page.mhtml'
+  }))
+}));
+
+const { helperBrowserPool } = await import('../../src/helpers/browser-pool.js');
+const { helperScreenshotsTake } = await import('../../src/helpers/screenshots.js');
+const { helperPageSnapshotsPdf, helperPageSnapshotsMhtml } =
+  await import('../../src/helpers/page-snapshots.js');
+const { helperSessionStore } = await import('../../src/helpers/session-store.js');
+const { helperScrapeValidateRequestBody } =
+  await import('../../src/helpers/scrape-validate-req-body.js');
+const { helperDoScraping } = await import('../../src/helpers/do-scraping.js');
+
+// DOM node stand-in, read by the element functions do-scraping runs in the page
+const fakeNode = ({ text = '', attributes = {}, tagName = 'DIV', children = {} } = {}) => ({
+  tagName,
+  textContent: text,
+  innerHTML: text,
+  getAttribute: (name) => attributes[name] ?? null,
+  children
+});
+
+// ElementHandle stand-in evaluating page functions against a node
+const fakeElement = (node) => ({
+  evaluate: async (fn, ...args) => fn(node, ...args),
+  $: async (query) => (node.children[query] ? fakeElement(node.children[query][0]) : null),
+  $$: async (query) => (node.children[query] || []).map(fakeElement),
+  dispose: async () => {}
+});
+
+// Frame stand-in below a parent frame
+const fakeFrame = ({ url, parent }) => {
+  const frame = { url: () => url, parentFrame: () => parent, childFrames: () => [] };
+  parent.children.push(frame);
+  return frame;
+};
+
+// Page stand-in whose elements are looked up by query in a map
+const fakePage = (elements = {}) => {
+  const page = new EventEmitter();
+  const root = fakeNode({ children: elements });
+  const mainFrame = { children: [], url: () => page.currentUrl, parentFrame: () => null };
+  mainFrame.childFrames = () => mainFrame.children;
+  Object.assign(page, fakeElement(root), {
+    currentUrl: 'about:blank',
+    url: () => page.currentUrl,
+    content: async () => '<html></html>',
+    locator: (query) => (elements[query] ? fakeElement(elements[query][0]) : null),
+    mainFrame: () => mainFrame,
+    frames: () => [mainFrame, ...mainFrame.children],
+    evaluateOnNewDocument: jest.fn(async () => {}),
+    setDefaultTimeout: () => {},
+    setDefaultNavigationTimeout: () => {},
+    setJavaScriptEnabled: async () => {},
+    setExtraHTTPHeaders: async () => {},
+    close: async () => {}
+  });
+  return page;
+};
+
+// Hands the page out through a pooled browser context holding the given cookies
+const useBrowser = (page, cookies = []) => {
+  const release = jest.fn(async () => {});
+  const context = {
+    newPage: async () => page,
+    pages: async () => [page],
+    cookies: async () => cookies,
+    setCookie: jest.fn(async () => {})
+  };
+  helperBrowserPool.acquire.mockResolvedValue({ context, release });
+  return { context, release };
+};
+
+// Validated request body with the given steps, captures and output options
+const scrapeBody = ({ steps, selectors = [], cookies, output = {}, variables, session } = {}) =>
+  helperScrapeValidateRequestBody({
+    body: {
+      proxy: {
+        bypassCode: 'test-bypass',
+        auth: { enabled: false, username: 'u', password: 'p' },
+        servers: []
+      },
+      record: {
+        title: 'Test',
+        speedMode: 'TURBO',
+        steps: steps ?? [{ type: 'navigate', url: 'https://shop.example.com/' }]
+      },
+      capture: { selectors, ...(cookies ? { response: { cookies } } : {}) },
+      output: {
+        responseType: 'NONE',
+        screenshots: { onError: false, onSuccess: false },
+        ...output
+      },
+      ...(variables ? { variables } : {}),
+      ...(session ? { session } : {})
+    }
+  });
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('helperDoScraping', () => {
+  beforeEach(() => {
+    runStep.mockClear();
+    helperScreenshotsTake.mockReset();
+    helperScreenshotsTake.mockImplementation(async ({ type }) => ({
+      screenshotUrl: `https://scrapereq.example.com/api/tmp/${type}.png`,
+      clipped: false
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should mark the step failed in the trace when its step screenshot fails', async () => {
+    const { release } = useBrowser(fakePage());
+    helperScreenshotsTake.mockImplementation(async ({ type }) => {
+      if (type === 'step' && helperScreenshotsTake.mock.calls.length === 2) {
+        throw new Error('Target closed');
+      }
+      return { screenshotUrl: `https://scrapereq.example.com/api/tmp/${type}.png`, clipped: false };
+    });
+
+    const body = scrapeBody({
+      steps: [
+        { type: 'navigate', url: 'https://shop.example.com/' },
+        { type: 'navigate', url: 'https://shop.example.com/cart' }
+      ],
+      output: {
+        responseType: 'JSON',
+        trace: true,
+        screenshots: { onError: false, onSuccess: false, eachStep: true }
+      },
+      selectors: [{ key: 'title', type: 'FULL', value: 'html' }]
+    });
+
+    const error = await helperDoScraping(body).catch((caught) => caught);
+
+    expect(error.message).toBe('Error after step 2: Target closed');
+    expect(error.failedStep).toBe(1);
+    expect(error.trace.map(({ status }) => status)).toEqual(['completed', 'failed']);
+    expect(error.trace[1]).toMatchObject({
+      index: 1,
+      url: 'https://shop.example.com/cart',
+      error: 'Error after step 2: Target closed'
+    });
+    expect(error.screenshots).toEqual([expect.objectContaining({ type: 'step', stepIndex: 0 })]);
+    expect(release).toHaveBeenCalled();
+  });
+
+  it('should report the failed step with its masked error in the trace', async () => {
+    useBrowser(fakePage());
+    runStep
+      .mockImplementationOnce(async () => {})
+      .mockImplementationOnce(async () => {
+        throw new Error('Timed out waiting for #pay-s3cret');
+      });
+
+    const body = scrapeBody({
+      steps: [
+        { type: 'navigate', url: 'https://shop.example.com/' },
+        { type: 'click', selectors: [{ type: 'CSS', value: '#pay-{{token}}' }] }
+      ],
+      output: { trace: true },
+      variables: { token: { value: 's3cret', secret: true } }
+    });
+
+    const error = await helperDoScraping(body).catch((caught) => caught);
+
+    expect(error.message).toBe('Error executing step 2 (click): Timed out waiting for #pay-***');
+    expect(error.failedStep).toBe(1);
+    expect(error.trace).toEqual([
+      expect.objectContaining({ index: 0, type: 'navigate', status: 'completed' }),
+      expect.objectContaining({
+        index: 1,
+        type: 'click',
+        status: 'failed',
+        error: 'Error executing step 2 (click): Timed out waiting for #pay-***'
+      })
+    ]);
+    expect(runStep.mock.calls[1][0].selectors).toEqual(['#pay-s3cret']);
+  });
+
+  it('should leave failedStep out when the flow fails after the steps', async () => {
+    useBrowser(fakePage());
+
+    const body = scrapeBody({
+      output: { responseType: 'JSON', trace: true },
+      selectors: [{ key: 'price', type: 'CSS', value: '.price' }]
+    });
+
+    const error = await helperDoScraping(body).catch((caught) => caught);
+
+    expect(error.code).toBe('ERROR_SELECTOR_PROCESSING');
+    expect(error.failedStep).toBeUndefined();
+    expect(error.trace.map(({ status }) => status)).toEqual(['completed']);
+  });
+
+  it('should store element values in variables for later steps and mask secrets', async () => {
+    const page = fakePage({
+      '.order-id': [fakeNode({ text: ' A-17 ' })],
+      '#token': [fakeNode({ tagName: 'INPUT', attributes: { 'data-token': 'tok-9' } })]
+    });
+    useBrowser(page);
+
+    const body = scrapeBody({
+      steps: [
+        { type: 'setVariable', name: 'order', selectors: [{ type: 'CSS', value: '.order-id' }] },
+        {
+          type: 'setVariable',
+          name: 'token',
+          attribute: 'data-token',
+          secret: true,
+          selectors: ['#token']
+        },
+        { type: 'navigate', url: 'https://shop.example.com/orders/{{order}}?t={{token}}' }
+      ],
+      output: { trace: true }
+    });
+
+    const result = await helperDoScraping(body);
+
+    expect(runStep).toHaveBeenCalledTimes(1);
+    expect(runStep.mock.calls[0][0].url).toBe('https://shop.example.com/orders/A-17?t=tok-9');
+    expect(result.trace[2].url).toBe('https://shop.example.com/orders/A-17?t=***');
+  });
+
+  it('should fail a setVariable step whose attribute is missing', async () => {
+    useBrowser(fakePage({ '#token': [fakeNode()] }));
+
+    const body = scrapeBody({
+      steps: [
+        { type: 'navigate', url: 'https://shop.example.com/' },
+        { type: 'setVariable', name: 'token', attribute: 'data-token', selectors: ['#token'] }
+      ]
+    });
+
+    await expect(helperDoScraping(body)).rejects.toMatchObject({
+      message:
+        'Error executing step 2 (setVariable): Attribute "data-token" not found for variable "token"',
+      failedStep: 1
+    });
+  });
+
+  it('should handle wait steps itself and pass frames located by URL on as index paths', async () => {
+    const page = fakePage();
+    fakeFrame({ url: 'https://ads.example.net/', parent: page.mainFrame() });
+    fakeFrame({ url: 'https://pay.example.com/form', parent: page.mainFrame() });
+    useBrowser(page);
+
+    const body = scrapeBody({
+      steps: [
+        { type: 'navigate', url: 'https://shop.example.com/' },
+        { type: 'wait', duration: 1 },
+        { type: 'click', frame: { url: 'pay\\.example\\.com' }, selectors: ['#submit'] }
+      ]
+    });
+
+    await helperDoScraping(body);
+
+    expect(runStep).toHaveBeenCalledTimes(2);
+    expect(runStep.mock.calls[1][0]).toMatchObject({ type: 'click', frame: [1] });
+  });
+
+  it('should return NONE results with the console, trace and HAR log', async () => {
+    const page = fakePage();
+    useBrowser(page);
+    runStep.mockImplementationOnce(async (step, stepPage) => {
+      stepPage.currentUrl = step.url;
+      stepPage.emit('console', {
+        type: () => 'error',
+        text: () => 'Uncaught TypeError',
+        location: () => ({})
+      });
+    });
+
+    const result = await helperDoScraping(
+      scrapeBody({ output: { console: true, trace: true, har: true } })
+    );
+
+    expect(result).toMatchObject({
+      success: true,
+      harUrl: expect.stringMatching(/^https:\/\/scrapereq\.example\.com\/api\/tmp\/network-/),
+      console: [{ type: 'console', level: 'error', text: 'Uncaught TypeError', stepIndex: 0 }],
+      trace: [{ index: 0, status: 'completed', url: 'https://shop.example.com/' }]
+    });
+    expect(result.screenshots).toBeUndefined();
+  });
+
+  it('should return RAW values of the single selector', async () => {
+    useBrowser(fakePage({ h1: [fakeNode({ text: 'Mugs' })] }));
+
+    const result = await helperDoScraping(
+      scrapeBody({
+        output: { responseType: 'RAW' },
+        selectors: [{ key: 'title', type: 'CSS', value: 'h1' }]
+      })
+    );
+
+    expect(result).toBe('Mugs');
+  });
+
+  it('should return JSON captures with lists, optional misses, cookies and snapshots', async () => {
+    const page = fakePage({
+      h1: [fakeNode({ text: ' Mugs ' })],
+      '.product': [
+        fakeNode({
+          children: {
+            '.name': [fakeNode({ text: 'Blue mug' })],
+            a: [fakeNode({ attributes: { href: '/blue' } })]
+          }
+        }),
+        fakeNode({ children: { '.name': [fakeNode({ text: 'Red mug' })] } })
+      ]
+    });
+    useBrowser(page, [
+      { name: 'session_id', value: 'abc', domain: 'api.example.com', path: '/' },
+      { name: 'tracking', value: 'x', domain: 'ads.example.net', path: '/' }
+    ]);
+
+    const result = await helperDoScraping(
+      scrapeBody({
+        output: {
+          responseType: 'JSON',
+          pdf: true,
+          mhtml: true,
+          screenshots: { onError: false, onSuccess: true }
+        },
+        cookies: ['session_id'],
+        selectors: [
+          { key: 'title', type: 'CSS', value: 'h1', transforms: ['trim'] },
+          {
+            key: 'products',
+            type: 'LIST',
+            value: '.product',
+            fields: {
+              name: { value: '.name' },
+              link: { value: 'a', attribute: 'href' }
+            }
+          },
+          { key: 'rating', type: 'CSS', value: '.rating', required: false, default: 0 }
+        ]
+      })
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.partial).toBe(true);
+    expect(result.data.catch).toEqual({
+      title: 'Mugs',
+      products: [
+        { name: 'Blue mug', link: '/blue' },
+        { name: 'Red mug', link: null }
+      ],
+      rating: 0
+    });
+    expect(result.data.errors.rating.code).toBe('ERROR_SELECTOR_PROCESSING');
+    expect(result.data.cookies).toEqual([expect.objectContaining({ name: 'session_id' })]);
+    expect(result.data).toMatchObject({
+      screenshotUrl: 'https://scrapereq.example.com/api/tmp/success.png',
+      pdfUrl: 'https://scrapereq.example.com/api/tmp/page.pdf',
+      mhtmlUrl: 'https://scrapereq.example.com/api/tmp/page.mhtml'
+    });
+
+    // The MHTML snapshot is taken before printing switches the page to print media
+    expect(helperPageSnapshotsMhtml.mock.invocationCallOrder[0]).toBeLessThan(
+      helperPageSnapshotsPdf.mock.invocationCallOrder[0]
+    );
+  });
+
+  it('should return the snapshot URLs and step screenshots with PDF', async () => {
+    useBrowser(fakePage());
+
+    const result = await helperDoScraping(
+      scrapeBody({
+        output: {
+          responseType: 'PDF',
+          screenshots: { onError: false, onSuccess: false, eachStep: true }
+        }
+      })
+    );
+
+    expect(result).toEqual({
+      success: true,
+      data: {
+        pdfUrl: 'https://scrapereq.example.com/api/tmp/page.pdf',
+        screenshots: [
+          {
+            type: 'step',
+            stepIndex: 0,
+            url: 'https://scrapereq.example.com/api/tmp/step.png',
+            clipped: false
+          }
+        ]
+      }
+    });
+  });
+
+  it('should serialise captured rows for file responseTypes', async () => {
+    useBrowser(fakePage({ '.sku': [fakeNode({ text: 'A1' }), fakeNode({ text: 'B2' })] }));
+
+    const result = await helperDoScraping(
+      scrapeBody({
+        output: { responseType: 'CSV' },
+        selectors: [{ key: 'sku', type: 'CSS', value: '.sku', multiple: true }]
+      })
+    );
+
+    expect(result.document).toMatchObject({ filename: 'test.csv' });
+    expect(result.document.body).toContain('A1');
+    expect(result.document.body).toContain('B2');
+  });
+
+  it('should save the session when the flow fails after it was restored', async () => {
+    const page = fakePage();
+    useBrowser(page, [{ name: 'sid', value: 'logged-in', domain: 'shop.example.com', path: '/' }]);
+    runStep.mockImplementationOnce(async () => {
+      throw new Error('net::ERR_CONNECTION_RESET');
+    });
+
+    const body = scrapeBody({ session: { name: 'shop-login' } });
+    await expect(helperDoScraping(body)).rejects.toThrow('net::ERR_CONNECTION_RESET');
+
+    expect(helperSessionStore.get('shop-login').cookies).toEqual([
+      expect.objectContaining({ name: 'sid', value: 'logged-in' })
+    ]);
+    helperSessionStore.remove('shop-login');
+  });
+
+  it('should not save the session when the run fails before it was restored', async () => {
+    const page = fakePage();
+    page.setJavaScriptEnabled = async () => {
+      throw new Error('Target closed');
+    };
+    useBrowser(page, [{ name: 'sid', value: 'blank', domain: 'shop.example.com', path: '/' }]);
+
+    const body = scrapeBody({ session: { name: 'shop-login' } });
+    await expect(helperDoScraping(body)).rejects.toMatchObject({
+      code: 'ERROR_PAGE_GENERAL_SETUP'
+    });
+
+    expect(helperSessionStore.get('shop-login')).toBeNull();
+  });
+
+  it('should return a cancellation error once the signal is aborted', async () => {
+    const { release } = useBrowser(fakePage());
+    const controller = new AbortController();
+    runStep.mockImplementationOnce(async () => {
+      controller.abort();
+      throw new Error('Target closed');
+    });
+
+    await expect(
+      helperDoScraping(scrapeBody(), { signal: controller.signal })
+    ).rejects.toMatchObject({ code: 'ERROR_SCRAPE_CANCELLED', status: 409 });
+    expect(release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+import {
+  helperFrameFind,
+  helperFrameWait,
+  helperFramePath,
+  helperFrameDescribe
+} from '../../src/helpers/frame-locator.js';
+
+// Builds a frame tree: fakeFrame(url, name, children)
+const fakeFrame = (url, name, children = []) => {
+  const frame = {
+    url: () => url,
+    parentFrame: () => null,
+    childFrames: () => children,
+    frameElement: async () =>
+      name === null ? null : { evaluate: async () => name, dispose: async () => {} }
+  };
+
+  for (const child of children) {
+    child.parentFrame = () => frame;
+  }
+
+  return frame;
+};
+
+const fakePage = (main) => {
+  const all = [];
+  const walk = (frame) => {
+    all.push(frame);
+    frame.childFrames().forEach(walk);
+  };
+  walk(main);
+
+  return { mainFrame: () => main, frames: () => all };
+};
+
+describe('helperFrameFind', () => {
+  const payment = fakeFrame('https://js.stripe.com/v3/elements', 'card');
+  const checkout = fakeFrame('https://shop.example.com/checkout', 'checkout', [payment]);
+  const ads = fakeFrame('https://ads.example.net/slot', 'ad-slot');
+  const main = fakeFrame('https://shop.example.com/', null, [ads, checkout]);
+  const page = fakePage(main);
+
+  it('should follow an index path from the main frame', async () => {
+    expect(await helperFrameFind({ page, frame: [1, 0] })).toBe(payment);
+    expect(await helperFrameFind({ page, frame: [] })).toBe(main);
+    expect(await helperFrameFind({ page, frame: [5, 0] })).toBeNull();
+  });
+
+  it('should find child frames by name and by URL pattern, cross-origin ones included', async () => {
+    expect(await helperFrameFind({ page, frame: { name: 'card' } })).toBe(payment);
+    expect(await helperFrameFind({ page, frame: { url: 'stripe\\.com' } })).toBe(payment);
+    expect(await helperFrameFind({ page, frame: { url: 'shop\\.example\\.com' } })).toBe(checkout);
+    expect(await helperFrameFind({ page, frame: { name: 'missing' } })).toBeNull();
+  });
+
+  it('should return the index path of a frame', () => {
+    expect(helperFramePath(payment)).toEqual([1, 0]);
+    expect(helperFramePath(ads)).toEqual([0]);
+    expect(helperFramePath(main)).toEqual([]);
+  });
+});
+
+describe('helperFrameWait', () => {
+  it('should wait for a frame to attach', async () => {
+    const children = [];
+    const main = fakeFrame('https://example.com/', null, children);
+    const page = { mainFrame: () => main, frames: () => [main, ...children] };
+
+    const late = fakeFrame('https://widget.example.org/', 'widget');
+    late.parentFrame = () => main;
+    setTimeout(() => children.push(late), 150);
+
+    expect(await helperFrameWait({ page, frame: { name: 'widget' }, timeout: 2000 })).toBe(late);
+  });
+
+  it('should throw ERROR_FRAME_NOT_FOUND once the timeout has passed', async () => {
+    const main = fakeFrame('https://example.com/', null);
+    const page = fakePage(main);
+
+    await expect(
+      helperFrameWait({ page, frame: { url: 'checkout' }, timeout: 50 })
+    ).rejects.toMatchObject({
+      code: 'ERROR_FRAME_NOT_FOUND',
+      message: 'Frame not found: URL matching checkout'
+    });
+    expect(helperFrameDescribe([0, 2])).toBe('index path [0, 2]');
+  });
+});
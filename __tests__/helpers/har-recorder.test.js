@@ -0,0 +1,199 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+// Point the tmp directory to a throwaway location before the helpers build file paths
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-har-'));
+process.env.TMP_DIR = tmpDir;
+process.env.WEB_ADDRESS = 'https://scrapereq.example.com';
+
+const { helperHarRecorderAttach } = await import('../../src/helpers/har-recorder.js');
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Minimal stand-in for a Puppeteer HTTPRequest and its HTTPResponse
+const fakeExchange = ({
+  url,
+  method = 'GET',
+  postData,
+  headers = {},
+  status = 200,
+  responseHeaders = { 'content-type': 'text/html' },
+  body = '',
+  timing = null
+}) => {
+  const request = {
+    url: () => url,
+    method: () => method,
+    postData: () => postData,
+    headers: () => headers,
+    resourceType: () => 'document',
+    failure: () => null,
+    response: () => response
+  };
+  const response = {
+    status: () => status,
+    statusText: () => 'OK',
+    headers: () => responseHeaders,
+    buffer: async () => Buffer.from(body),
+    timing: () => timing,
+    remoteAddress: () => ({ ip: '93.184.216.34', port: 443 }),
+    request: () => request
+  };
+  return { request, response };
+};
+
+// Emits the events Puppeteer fires for a completed exchange
+const complete = (page, { request, response }) => {
+  page.emit('request', request);
+  page.emit('response', response);
+  page.emit('requestfinished', request);
+};
+
+describe('helperHarRecorderAttach', () => {
+  it('should record requests and responses as HAR 1.2 entries', async () => {
+    const page = new EventEmitter();
+    const recorder = helperHarRecorderAttach({ page, har: true, title: 'Products' });
+
+    complete(
+      page,
+      fakeExchange({
+        url: 'https://example.com/search?q=mug',
+        method: 'POST',
+        postData: '{"page":1}',
+        headers: { 'content-type': 'application/json', authorization: 'Bearer abc' },
+        body: '<h1>Mugs</h1>',
+        timing: {
+          dnsStart: 1,
+          dnsEnd: 3,
+          connectStart: 3,
+          connectEnd: 10,
+          sslStart: 5,
+          sslEnd: 10,
+          sendStart: 10,
+          sendEnd: 11,
+          receiveHeadersEnd: 40
+        }
+      })
+    );
+    recorder.detach();
+
+    const { log } = await recorder.build();
+    const [entry] = log.entries;
+
+    expect(log.version).toBe('1.2');
+    expect(log.pages[0].title).toBe('Products');
+    expect(entry.request).toMatchObject({
+      method: 'POST',
+      queryString: [{ name: 'q', value: 'mug' }],
+      postData: { mimeType: 'application/json', text: '{"page":1}' }
+    });
+    expect(entry.request.headers).toContainEqual({ name: 'authorization', value: '***' });
+    expect(entry.response.content).toEqual({
+      size: 13,
+      mimeType: 'text/html',
+      text: '<h1>Mugs</h1>'
+    });
+    expect(entry.timings).toMatchObject({ blocked: 1, dns: 2, connect: 7, ssl: 5, wait: 29 });
+    expect(entry.time).toBe(entry.timings.blocked + 2 + 7 + 1 + 29 + entry.timings.receive);
+    expect(entry.serverIPAddress).toBe('93.184.216.34');
+  });
+
+  it('should leave out bodies above the size cap and binary bodies as base64', async () => {
+    const page = new EventEmitter();
+    const recorder = helperHarRecorderAttach({ page, har: { maxBodySize: 4 } });
+
+    complete(page, fakeExchange({ url: 'https://example.com/', body: 'too long' }));
+    complete(
+      page,
+      fakeExchange({
+        url: 'https://example.com/logo.png',
+        responseHeaders: { 'content-type': 'image/png' },
+        body: 'png'
+      })
+    );
+
+    const { log } = await recorder.build();
+    expect(log.entries[0].response.content).toEqual({
+      size: 8,
+      mimeType: 'text/html',
+      comment: 'Body of 8 bytes exceeds the size cap'
+    });
+    expect(log.entries[1].response.content).toMatchObject({ text: 'cG5n', encoding: 'base64' });
+  });
+
+  it('should record failed requests and stop recording once detached', async () => {
+    const page = new EventEmitter();
+    const recorder = helperHarRecorderAttach({ page, har: true });
+
+    const { request } = fakeExchange({ url: 'https://example.com/down' });
+    request.response = () => null;
+    request.failure = () => ({ errorText: 'net::ERR_CONNECTION_REFUSED' });
+    page.emit('request', request);
+    page.emit('requestfailed', request);
+
+    recorder.detach();
+    complete(page, fakeExchange({ url: 'https://example.com/later' }));
+
+    const { log } = await recorder.build();
+    expect(log.entries).toHaveLength(1);
+    expect(log.entries[0]).toMatchObject({
+      response: { status: 0 },
+      _error: 'net::ERR_CONNECTION_REFUSED'
+    });
+  });
+
+  it('should give up body reads that do not finish, such as event streams', async () => {
+    jest.useFakeTimers();
+    const page = new EventEmitter();
+    const recorder = helperHarRecorderAttach({ page, har: true });
+
+    const stream = fakeExchange({
+      url: 'https://example.com/events',
+      responseHeaders: { 'content-type': 'text/event-stream' }
+    });
+    stream.response.buffer = () => new Promise(() => {});
+    complete(page, stream);
+    complete(page, fakeExchange({ url: 'https://example.com/', body: '<p></p>' }));
+
+    try {
+      const built = recorder.build();
+      await jest.advanceTimersByTimeAsync(5000);
+      const { log } = await built;
+
+      expect(log.entries[0].response.content).toEqual({ size: 0, mimeType: 'text/event-stream' });
+      expect(log.entries[0]._bodyError).toBe('Body was not read within 5000ms');
+      expect(log.entries[1].response.content.text).toBe('<p></p>');
+      expect(log.entries[1]._bodyError).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should save the archive with secret variables masked in every encoding', async () => {
+    const page = new EventEmitter();
+    const recorder = helperHarRecorderAttach({ page, har: true });
+
+    complete(
+      page,
+      fakeExchange({
+        url: 'https://example.com/login?token=s%26cret%20key',
+        method: 'POST',
+        postData: 'password=s%26cret+key',
+        body: '{"echo":"s&cret key"}',
+        responseHeaders: { 'content-type': 'application/json' }
+      })
+    );
+
+    const { harUrl } = await recorder.save({ secrets: ['s&cret key'] });
+    const text = fs.readFileSync(path.join(tmpDir, path.basename(harUrl)), 'utf8');
+
+    expect(harUrl).toMatch(/^https:\/\/scrapereq\.example\.com\/api\/tmp\/network-.+\.har$/);
+    expect(text).not.toMatch(/s&cret|s%26cret/);
+    expect(JSON.parse(text).log.entries[0].request.postData.text).toBe('password=***');
+  });
+});
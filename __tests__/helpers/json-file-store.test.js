@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// Point the data directory to a throwaway location before the modules read the config
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-store-'));
+process.env.DATA_DIR = dataDir;
+
+const { helperJsonFileStoreCreate } = await import('../../src/helpers/json-file-store.js');
+
+const store = helperJsonFileStoreCreate({
+  dirName: 'records',
+  keyField: 'name',
+  keyPattern: /^[a-z]+$/,
+  label: 'record'
+});
+
+describe('helperJsonFileStoreCreate', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should save, read and remove records in their own directory', () => {
+    store.save({ name: 'alpha', value: 1 });
+
+    expect(fs.readdirSync(path.join(dataDir, 'records'))).toEqual(['alpha.json']);
+    expect(store.get('alpha')).toEqual({ name: 'alpha', value: 1 });
+
+    store.remove('alpha');
+    expect(store.get('alpha')).toBeNull();
+  });
+
+  it('should reject keys outside the pattern before touching the file system', () => {
+    expect(() => store.save({ name: '../escape' })).toThrow('Invalid record name: ../escape');
+    expect(store.get('../package')).toBeNull();
+    expect(fs.existsSync(path.join(dataDir, 'records'))).toBe(false);
+  });
+
+  it('should list readable records and skip broken files', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(store.list()).toEqual([]);
+
+    store.save({ name: 'alpha' });
+    store.save({ name: 'beta' });
+    fs.writeFileSync(path.join(dataDir, 'records', 'gamma.json'), '{');
+    fs.writeFileSync(path.join(dataDir, 'records', 'delta.json.tmp'), '{}');
+
+    const names = store
+      .list()
+      .map(({ name }) => name)
+      .sort();
+    expect(names).toEqual(['alpha', 'beta']);
+    expect(consoleError).toHaveBeenCalledWith(
+      expect.stringContaining('Error reading record file gamma.json')
+    );
+  });
+});
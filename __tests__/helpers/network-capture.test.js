@@ -0,0 +1,252 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+import { helperNetworkCaptureAttach } from '../../src/helpers/network-capture.js';
+
+// Minimal stand-in for a Puppeteer HTTPRequest
+const fakeRequest = ({ url, method = 'GET', postData, headers = {} }) => ({
+  url: () => url,
+  method: () => method,
+  postData: () => postData,
+  headers: () => headers
+});
+
+// Minimal stand-in for a Puppeteer HTTPResponse
+const fakeResponse = ({ url, method = 'GET', status = 200, body = '', headers = {} }) => ({
+  url: () => url,
+  status: () => status,
+  headers: () => headers,
+  text: async () => body,
+  request: () => fakeRequest({ url, method })
+});
+
+const captureConfig = (request, response) => ({
+  request: { data: [], queries: [], ...request },
+  response: { cookies: [], data: [], ...response },
+  selectors: []
+});
+
+describe('helperNetworkCaptureAttach', () => {
+  it('should return null for keys without a matching request', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig({
+      queries: [{ key: 'search', address: 'https://example.com/api/search', method: 'GET' }]
+    });
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit('request', fakeRequest({ url: 'https://example.com/other?q=1' }));
+
+    const { request } = await handle.collect();
+    expect(request.search).toBeNull();
+  });
+
+  it('should capture query parameters of matching requests', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig({
+      queries: [{ key: 'search', address: 'https://example.com/api/search', method: 'get' }]
+    });
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit(
+      'request',
+      fakeRequest({ url: 'https://example.com/api/search/?q=shoes&tag=a&tag=b' })
+    );
+
+    const { request } = await handle.collect();
+    expect(request.search.method).toBe('GET');
+    expect(request.search.queries).toEqual({ q: 'shoes', tag: ['a', 'b'] });
+  });
+
+  it('should parse JSON and form request bodies', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig({
+      data: [
+        { key: 'json', address: 'https://example.com/api/json', method: 'POST' },
+        { key: 'form', address: 'https://example.com/api/form', method: 'POST' }
+      ]
+    });
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit(
+      'request',
+      fakeRequest({
+        url: 'https://example.com/api/json',
+        method: 'POST',
+        postData: '{"id":42}',
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      })
+    );
+    page.emit(
+      'request',
+      fakeRequest({
+        url: 'https://example.com/api/form',
+        method: 'POST',
+        postData: 'user=jane&remember=1',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' }
+      })
+    );
+
+    const { request } = await handle.collect();
+    expect(request.json.data).toEqual({ id: 42 });
+    expect(request.form.data).toEqual({ user: 'jane', remember: '1' });
+  });
+
+  it('should keep form values containing a hash', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig({
+      data: [{ key: 'form', address: 'https://example.com/api/form', method: 'POST' }]
+    });
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit(
+      'request',
+      fakeRequest({
+        url: 'https://example.com/api/form',
+        method: 'POST',
+        postData: 'note=order #42&color=#fff&tag=a&tag=b',
+        headers: { 'content-type': 'application/x-www-form-urlencoded; charset=UTF-8' }
+      })
+    );
+
+    const { request } = await handle.collect();
+    expect(request.form.data).toEqual({ note: 'order #42', color: '#fff', tag: ['a', 'b'] });
+  });
+
+  it('should ignore requests with a different method', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig({
+      data: [{ key: 'login', address: 'https://example.com/login', method: 'POST' }]
+    });
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit('request', fakeRequest({ url: 'https://example.com/login', method: 'GET' }));
+
+    const { request } = await handle.collect();
+    expect(request.login).toBeNull();
+  });
+
+  it('should stop listening after detach', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig({
+      queries: [{ key: 'search', address: 'https://example.com/search', method: 'GET' }]
+    });
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    handle.detach();
+    page.emit('request', fakeRequest({ url: 'https://example.com/search?q=1' }));
+
+    const { request } = await handle.collect();
+    expect(request.search).toBeNull();
+  });
+
+  it('should capture JSON response bodies with status and headers', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig(
+      {},
+      { data: [{ key: 'products', address: 'https://example.com/api/products', method: 'GET' }] }
+    );
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit(
+      'response',
+      fakeResponse({
+        url: 'https://example.com/api/products?page=2',
+        body: '{"items":[1,2]}',
+        headers: { 'content-type': 'application/json' }
+      })
+    );
+
+    const { response } = await handle.collect();
+    expect(response.products.status).toBe(200);
+    expect(response.products.headers['content-type']).toBe('application/json');
+    expect(response.products.body).toEqual({ items: [1, 2] });
+  });
+
+  it('should keep non-JSON response bodies as text', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig(
+      {},
+      { data: [{ key: 'page', address: 'https://example.com/', method: 'GET' }] }
+    );
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit(
+      'response',
+      fakeResponse({
+        url: 'https://example.com/',
+        body: '<html></html>',
+        headers: { 'content-type': 'text/html' }
+      })
+    );
+
+    const { response } = await handle.collect();
+    expect(response.page.body).toBe('<html></html>');
+  });
+
+  it('should return a null body for redirects', async () => {
+    const page = new EventEmitter();
+    const capture = captureConfig(
+      {},
+      { data: [{ key: 'old', address: 'https://example.com/old', method: 'GET' }] }
+    );
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit(
+      'response',
+      fakeResponse({
+        url: 'https://example.com/old',
+        status: 301,
+        headers: { location: 'https://example.com/new' }
+      })
+    );
+
+    const { response } = await handle.collect();
+    expect(response.old.status).toBe(301);
+    expect(response.old.body).toBeNull();
+  });
+
+  it('should give up body reads that do not finish, such as event streams', async () => {
+    jest.useFakeTimers();
+    const page = new EventEmitter();
+    const capture = captureConfig(
+      {},
+      {
+        data: [
+          { key: 'events', address: 'https://example.com/api/events', method: 'GET' },
+          { key: 'products', address: 'https://example.com/api/products', method: 'GET' }
+        ]
+      }
+    );
+
+    const handle = helperNetworkCaptureAttach({ page, capture });
+    page.emit('response', {
+      ...fakeResponse({
+        url: 'https://example.com/api/events',
+        headers: { 'content-type': 'text/event-stream' }
+      }),
+      text: () => new Promise(() => {})
+    });
+    page.emit(
+      'response',
+      fakeResponse({
+        url: 'https://example.com/api/products',
+        body: '{"items":[]}',
+        headers: { 'content-type': 'application/json' }
+      })
+    );
+
+    try {
+      const collected = handle.collect();
+      await jest.advanceTimersByTimeAsync(5000);
+      const { response } = await collected;
+
+      expect(response.events.status).toBe(200);
+      expect(response.events.body).toBeNull();
+      expect(response.events.bodyError).toBe('Body was not read within 5000ms');
+      expect(response.products.body).toEqual({ items: [] });
+      expect(response.products.bodyError).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+import { helperPageHeadersApply } from '../../src/helpers/page-headers.js';
+
+const fakePage = () => {
+  const page = new EventEmitter();
+  page.setExtraHTTPHeaders = jest.fn(async () => {});
+  page.setRequestInterception = jest.fn(async () => {});
+  return page;
+};
+
+const fakeRequest = (url) => ({
+  url: () => url,
+  headers: () => ({ accept: '*/*' }),
+  isInterceptResolutionHandled: () => false,
+  continue: jest.fn()
+});
+
+describe('helperPageHeadersApply', () => {
+  it('should send plain headers with every request without interception', async () => {
+    const page = fakePage();
+    await helperPageHeadersApply({ page, headers: { Referer: 'https://example.com/' } });
+
+    expect(page.setExtraHTTPHeaders).toHaveBeenCalledWith({ Referer: 'https://example.com/' });
+    expect(page.setRequestInterception).not.toHaveBeenCalled();
+  });
+
+  it('should only add scoped headers to requests of their origins', async () => {
+    const page = fakePage();
+    await helperPageHeadersApply({
+      page,
+      headers: {
+        'X-Api-Key': { value: 'secret', origins: ['https://api.example.com/v1'] }
+      }
+    });
+
+    expect(page.setExtraHTTPHeaders).toHaveBeenCalledWith({});
+    expect(page.setRequestInterception).toHaveBeenCalledWith(true);
+
+    const own = fakeRequest('https://api.example.com/v1/items');
+    const thirdParty = fakeRequest('https://tracker.example.net/pixel');
+    page.emit('request', own);
+    page.emit('request', thirdParty);
+
+    expect(own.continue).toHaveBeenCalledWith(
+      { headers: { accept: '*/*', 'x-api-key': 'secret' } },
+      0
+    );
+    expect(thirdParty.continue).toHaveBeenCalledWith({}, 0);
+  });
+});
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// Point the tmp directory to a throwaway location before the helpers build file paths
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-snapshots-'));
+process.env.TMP_DIR = tmpDir;
+process.env.WEB_ADDRESS = 'https://scrapereq.example.com';
+
+const { helperArtifactsCreate, helperArtifactsIsArtifact, helperArtifactsInline } =
+  await import('../../src/helpers/artifacts.js');
+const { helperPageSnapshotsPdf, helperPageSnapshotsMhtml } =
+  await import('../../src/helpers/page-snapshots.js');
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('helperArtifactsCreate', () => {
+  it('should name artifacts with a timestamp and an unguessable id', () => {
+    const { filePath, url } = helperArtifactsCreate({ prefix: 'page', extension: '.pdf' });
+    const filename = path.basename(filePath);
+
+    expect(path.dirname(filePath)).toBe(tmpDir);
+    expect(filename).toMatch(/^page-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-[0-9a-f]{16}\.pdf$/);
+    expect(url).toBe(`https://scrapereq.example.com/api/tmp/${filename}`);
+  });
+
+  it('should recognise artifacts for the cleanup job', () => {
+    expect(helperArtifactsIsArtifact('error-2025-03-20T00-12-26-829Z-ab12.png')).toBe(true);
+    expect(helperArtifactsIsArtifact('page-2025-03-20T00-12-26-829Z-ab12.mhtml')).toBe(true);
+    expect(helperArtifactsIsArtifact('page-2025-03-20T00-12-26-829Z-ab12.txt')).toBe(false);
+    expect(helperArtifactsIsArtifact('.gitkeep')).toBe(false);
+  });
+});
+
+describe('helperArtifactsInline', () => {
+  // Writes an artifact the way the helpers do and returns its URL
+  const writeArtifact = ({ prefix, extension, content }) => {
+    const { filePath, url } = helperArtifactsCreate({ prefix, extension });
+    fs.writeFileSync(filePath, content);
+    return url;
+  };
+
+  it('should replace artifact URLs with base64 content and a MIME type', () => {
+    const screenshotUrl = writeArtifact({ prefix: 'error', extension: '.png', content: 'png' });
+    const stepUrl = writeArtifact({ prefix: 'step', extension: '.webp', content: 'webp' });
+    const target = {
+      screenshotUrl,
+      screenshots: [{ type: 'step', stepIndex: 0, url: stepUrl, clipped: false }]
+    };
+
+    helperArtifactsInline({ target });
+
+    expect(target).toEqual({
+      screenshot: { mimeType: 'image/png', size: 3, data: 'cG5n' },
+      screenshots: [
+        {
+          type: 'step',
+          stepIndex: 0,
+          clipped: false,
+          mimeType: 'image/webp',
+          size: 4,
+          data: 'd2VicA=='
+        }
+      ]
+    });
+  });
+
+  it('should keep the URL of artifacts above the size limit or missing on disk', () => {
+    const pdfUrl = writeArtifact({ prefix: 'page', extension: '.pdf', content: '%PDF-1.7' });
+    const harUrl = 'https://scrapereq.example.com/api/tmp/network-gone.har';
+    const target = { pdfUrl, harUrl };
+
+    helperArtifactsInline({ target, maxSize: 4 });
+
+    expect(target).toEqual({ pdfUrl, harUrl });
+  });
+});
+
+describe('helperPageSnapshots', () => {
+  it('should print a PDF with the defaults and the given options', async () => {
+    const page = { pdf: jest.fn(async () => {}) };
+
+    const { pdfUrl } = await helperPageSnapshotsPdf({
+      page,
+      pdf: { format: 'letter', landscape: true, margin: { top: '2cm' } }
+    });
+
+    expect(pdfUrl).toMatch(/\/api\/tmp\/page-.+\.pdf$/);
+    expect(page.pdf).toHaveBeenCalledWith({
+      path: expect.stringMatching(/\.pdf$/),
+      format: 'letter',
+      landscape: true,
+      printBackground: true,
+      margin: { top: '2cm', right: '1cm', bottom: '1cm', left: '1cm' }
+    });
+  });
+
+  it('should save the MHTML snapshot returned by Page.captureSnapshot', async () => {
+    const session = {
+      send: jest.fn(async () => ({ data: 'MIME-Version: 1.0\r\n' })),
+      detach: jest.fn(async () => {})
+    };
+    const page = { createCDPSession: async () => session };
+
+    const { mhtmlUrl } = await helperPageSnapshotsMhtml({ page });
+
+    expect(session.send).toHaveBeenCalledWith('Page.captureSnapshot', { format: 'mhtml' });
+    expect(session.detach).toHaveBeenCalled();
+    expect(fs.readFileSync(path.join(tmpDir, path.basename(mhtmlUrl)), 'utf8')).toBe(
+      'MIME-Version: 1.0\r\n'
+    );
+  });
+
+  it('should report snapshot failures with their own code', async () => {
+    const page = {
+      pdf: async () => {
+        throw new Error('Printing is not available');
+      }
+    };
+
+    await expect(helperPageSnapshotsPdf({ page, pdf: true })).rejects.toMatchObject({
+      code: 'ERROR_PDF_GENERATION'
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { helperRecordingToScrapeBody } from '../../src/helpers/recording-to-scrape-body.js';
+import { helperScrapeValidateRecordingBody } from '../../src/helpers/scrape-validate-recording-body.js';
+
+// Shape of a Chrome DevTools Recorder export
+const recorderExport = () => ({
+  title: 'Recording 22.04.2025 at 02:54:51',
+  steps: [
+    {
+      type: 'setViewport',
+      width: 1226,
+      height: 911,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: false
+    },
+    {
+      type: 'navigate',
+      url: 'https://example.com/',
+      assertedEvents: [{ type: 'navigation', url: 'https://example.com/', title: 'Example' }]
+    },
+    {
+      type: 'click',
+      target: 'main',
+      selectors: [['aria/More information...'], ['body > div > p:nth-of-type(2) > a']],
+      offsetX: 42,
+      offsetY: 9
+    }
+  ]
+});
+
+describe('helperRecordingToScrapeBody', () => {
+  it('should wrap the export into a record envelope', () => {
+    const body = helperRecordingToScrapeBody({ recording: { ...recorderExport(), proxy: {} } });
+    expect(body.record.title).toBe('Recording 22.04.2025 at 02:54:51');
+    expect(body.record.steps).toHaveLength(3);
+    expect(body.proxy).toEqual({});
+  });
+
+  it('should apply the flow timeout to steps without their own', () => {
+    const recording = recorderExport();
+    recording.timeout = 5000;
+    recording.steps[2].timeout = 1000;
+
+    const body = helperRecordingToScrapeBody({ recording });
+    expect(body.record.steps[0].timeout).toBe(5000);
+    expect(body.record.steps[2].timeout).toBe(1000);
+  });
+});
+
+describe('helperScrapeValidateRecordingBody', () => {
+  it('should accept an untouched Recorder export', () => {
+    const value = helperScrapeValidateRecordingBody({ body: recorderExport() });
+    expect(value.record.steps[2].selectors[0]).toEqual(['aria/More information...']);
+    expect(value.output.responseType).toBe('NONE');
+  });
+
+  it('should pass capture and output blocks through', () => {
+    const body = {
+      ...recorderExport(),
+      capture: { selectors: [{ key: 'title', type: 'CSS', value: 'h1' }] },
+      output: { responseType: 'JSON' }
+    };
+    const value = helperScrapeValidateRecordingBody({ body });
+    expect(value.capture.selectors).toHaveLength(1);
+    expect(value.output.responseType).toBe('JSON');
+  });
+
+  it('should report errors with the original step index', () => {
+    const body = recorderExport();
+    body.steps[2].selectors = [];
+
+    try {
+      helperScrapeValidateRecordingBody({ body });
+      expect(true).toBe(false); // should not reach here
+    } catch (error) {
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('ERROR_REQUEST_BODY_VALIDATION');
+      expect(error.message).toContain('"steps[2].selectors"');
+    }
+  });
+});
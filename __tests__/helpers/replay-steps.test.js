@@ -0,0 +1,45 @@
+import { helperReplayStepsNormalize } from '../../src/helpers/replay-steps.js';
+
+describe('helperReplayStepsNormalize', () => {
+  it('should keep Recorder selectors untouched', () => {
+    const steps = [{ type: 'click', selectors: [['#host', '#button'], 'aria/Submit'] }];
+    const [step] = helperReplayStepsNormalize({ steps });
+    expect(step.selectors).toEqual([['#host', '#button'], 'aria/Submit']);
+  });
+
+  it('should convert selector objects into Recorder selectors', () => {
+    const steps = [
+      {
+        type: 'click',
+        selectors: [
+          { key: 'a', type: 'CSS', value: '#submit' },
+          { key: 'b', type: 'XPATH', value: '//button' },
+          { type: 'ARIA', value: 'Submit[role="button"]' },
+          { type: 'TEXT', value: 'Checkout' },
+          { type: 'PIERCE', value: 'button.primary' }
+        ]
+      }
+    ];
+    const [step] = helperReplayStepsNormalize({ steps });
+    expect(step.selectors).toEqual([
+      '#submit',
+      'xpath///button',
+      'aria/Submit[role="button"]',
+      'text/Checkout',
+      'pierce/button.primary'
+    ]);
+  });
+
+  it('should map legacy pointer buttons', () => {
+    const steps = [{ type: 'click', selectors: ['#a'], button: 'right' }];
+    const [step] = helperReplayStepsNormalize({ steps });
+    expect(step.button).toBe('secondary');
+  });
+
+  it('should not mutate the original steps', () => {
+    const steps = [{ type: 'click', selectors: [{ type: 'CSS', value: '#a' }], button: 'left' }];
+    helperReplayStepsNormalize({ steps });
+    expect(steps[0].button).toBe('left');
+    expect(steps[0].selectors[0]).toEqual({ type: 'CSS', value: '#a' });
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+
+import {
+  helperResponseFormatTable,
+  helperResponseFormatSerialize,
+  helperResponseFormatDocument,
+  helperResponseFormatSend
+} from '../../src/helpers/response-formats.js';
+
+const selectors = [
+  { key: 'shop', type: 'CSS', value: 'h1' },
+  {
+    key: 'products',
+    type: 'LIST',
+    value: '.product',
+    fields: { name: { value: '.name' }, price: { value: '.price' } }
+  },
+  { key: 'badges', type: 'CSS', value: '.badge', multiple: true }
+];
+
+const values = {
+  shop: 'Acme',
+  products: [
+    { name: 'Mug, "large"', price: 9.5 },
+    { name: '=HYPERLINK("x")', price: null },
+    { name: 'Plate\nset', price: -3 }
+  ],
+  badges: ['new']
+};
+
+describe('helperResponseFormatTable', () => {
+  it('should order columns by selector and line rows up by index', () => {
+    expect(helperResponseFormatTable({ selectors, values })).toEqual({
+      columns: ['shop', 'name', 'price', 'badges'],
+      rows: [
+        ['Acme', 'Mug, "large"', 9.5, 'new'],
+        ['Acme', '=HYPERLINK("x")', null, null],
+        ['Acme', 'Plate\nset', -3, null]
+      ]
+    });
+  });
+
+  it('should return one row for single values only', () => {
+    const { rows } = helperResponseFormatTable({
+      selectors: [selectors[0]],
+      values: { shop: 'Acme' }
+    });
+    expect(rows).toEqual([['Acme']]);
+  });
+});
+
+describe('helperResponseFormatSerialize', () => {
+  const table = helperResponseFormatTable({ selectors, values });
+
+  it('should escape CSV cells and neutralise formulas', () => {
+    expect(helperResponseFormatSerialize({ responseType: 'CSV', ...table })).toBe(
+      'shop,name,price,badges\r\n' +
+        'Acme,"Mug, ""large""",9.5,new\r\n' +
+        'Acme,"\'=HYPERLINK(""x"")",,\r\n' +
+        'Acme,"Plate\nset",-3,\r\n'
+    );
+  });
+
+  it('should write one JSON object per line', () => {
+    const lines = helperResponseFormatSerialize({ responseType: 'NDJSON', ...table })
+      .trimEnd()
+      .split('\n');
+    expect(lines).toHaveLength(3);
+    expect(Object.keys(JSON.parse(lines[0]))).toEqual(['shop', 'name', 'price', 'badges']);
+    expect(JSON.parse(lines[1]).price).toBeNull();
+  });
+
+  it('should escape XML text and write arrays as items', () => {
+    const xml = helperResponseFormatSerialize({
+      responseType: 'XML',
+      columns: ['title', 'tags', 'note'],
+      rows: [['Fish & <Chips>\u0001', ['a', 'b'], null]]
+    });
+    expect(xml).toBe(
+      '<?xml version="1.0" encoding="UTF-8"?>\n<rows>\n  <row>\n' +
+        '    <title>Fish &amp; &lt;Chips&gt;</title>\n' +
+        '    <tags>\n      <item>a</item>\n      <item>b</item>\n    </tags>\n' +
+        '    <note/>\n  </row>\n</rows>\n'
+    );
+  });
+});
+
+describe('helperResponseFormatDocument', () => {
+  it('should name the file after the title and move metadata into headers', () => {
+    const { document, headers } = helperResponseFormatDocument({
+      responseType: 'CSV',
+      selectors,
+      values,
+      title: 'Acme Products!',
+      metadata: {
+        proxy: { protocol: 'http', server: '10.0.0.1', port: 8080 },
+        screenshotUrl: 'http://localhost:3000/api/tmp/success-1.png',
+        errors: { 'products[1].price': {}, 'fiyat-ü': {} }
+      }
+    });
+
+    expect(document.contentType).toBe('text/csv; charset=utf-8');
+    expect(document.filename).toBe('acme-products.csv');
+    expect(headers).toEqual({
+      'X-Scrape-Proxy': 'http://10.0.0.1:8080',
+      'X-Scrape-Screenshot-Url': 'http://localhost:3000/api/tmp/success-1.png',
+      'X-Scrape-Partial': 'true',
+      'X-Scrape-Errors': 'products[1].price, fiyat-%C3%BC'
+    });
+  });
+});
+
+describe('helperResponseFormatSend', () => {
+  const fakeRes = () => {
+    const res = { set: jest.fn(() => res), send: jest.fn(() => res) };
+    return res;
+  };
+
+  it('should send JSON results unchanged', () => {
+    const res = fakeRes();
+    helperResponseFormatSend({ res, result: { success: true } });
+    expect(res.send).toHaveBeenCalledWith({ success: true });
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('should send files as attachments', () => {
+    const res = fakeRes();
+    helperResponseFormatSend({
+      res,
+      result: {
+        document: {
+          contentType: 'application/xml; charset=utf-8',
+          filename: 'a.xml',
+          body: '<rows/>'
+        },
+        headers: { 'X-Scrape-Partial': 'true' }
+      }
+    });
+    expect(res.set).toHaveBeenCalledWith({
+      'X-Scrape-Partial': 'true',
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="a.xml"'
+    });
+    expect(res.send).toHaveBeenCalledWith('<rows/>');
+  });
+});
@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+
+// Scrapes of the rows, resolved or rejected by the tests one by one
+const scrapes = [];
+
+jest.unstable_mockModule('../../src/helpers/do-scraping.js', () => ({
+  helperDoScraping: jest.fn((body, { signal }) => {
+    const scrape = { body, signal };
+    scrape.promise = new Promise((resolve, reject) => {
+      scrape.resolve = resolve;
+      scrape.reject = reject;
+    });
+    scrapes.push(scrape);
+    return scrape.promise;
+  })
+}));
+
+const { helperScrapeBatchRun } = await import('../../src/helpers/scrape-batch.js');
+
+// Validated rows as built by helperScrapeValidateBatchBody
+const items = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    index,
+    input: { sku: `SKU-${index}` },
+    body: { record: { title: `Row ${index}` } }
+  }));
+
+// Lets the workers pick up the next rows after a scrape settles
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('helperScrapeBatchRun', () => {
+  beforeEach(() => {
+    scrapes.length = 0;
+  });
+
+  it('should never run more rows at once than the concurrency cap', async () => {
+    const run = helperScrapeBatchRun({ items: items(5), concurrency: 2 });
+    await flush();
+    expect(scrapes).toHaveLength(2);
+
+    scrapes[0].resolve({ success: true });
+    await flush();
+    expect(scrapes).toHaveLength(3);
+    expect(scrapes[2].body.record.title).toBe('Row 2');
+
+    for (let index = 1; index < 5; index++) {
+      scrapes[index].resolve({ success: true });
+      await flush();
+    }
+
+    expect(await run).toHaveLength(5);
+    expect(scrapes).toHaveLength(5);
+  });
+
+  it('should report rows in completion order and return them in row order', async () => {
+    const reported = [];
+    const run = helperScrapeBatchRun({
+      items: items(3),
+      concurrency: 3,
+      onResult: (result) => reported.push(result.index)
+    });
+    await flush();
+
+    scrapes[2].resolve({ success: true, data: { title: 'C' } });
+    await flush();
+    scrapes[0].resolve({ success: true, data: { title: 'A' } });
+    await flush();
+    scrapes[1].resolve({ success: true, data: { title: 'B' } });
+
+    const results = await run;
+    expect(reported).toEqual([2, 0, 1]);
+    expect(results.map(({ index, data }) => [index, data.title])).toEqual([
+      [0, 'A'],
+      [1, 'B'],
+      [2, 'C']
+    ]);
+    expect(results[1].input).toEqual({ sku: 'SKU-1' });
+  });
+
+  it('should turn a failing row into its error payload and keep going', async () => {
+    const run = helperScrapeBatchRun({ items: items(2), concurrency: 1 });
+    await flush();
+
+    const error = new Error('Error executing step 1 (click): Timed out');
+    error.code = 'ERROR_ELEMENT_NOT_FOUND';
+    scrapes[0].reject(error);
+    await flush();
+    scrapes[1].resolve({ success: true });
+
+    const results = await run;
+    expect(results[0]).toMatchObject({
+      index: 0,
+      success: false,
+      data: { code: 'ERROR_ELEMENT_NOT_FOUND' }
+    });
+    expect(results[1]).toMatchObject({ index: 1, success: true });
+  });
+
+  it('should run rows sharing a session one after another', async () => {
+    const rows = items(3);
+    rows[0].body.session = { name: 'shop-login' };
+    rows[1].body.session = { name: 'shop-login' };
+    const started = (title) => scrapes.find(({ body }) => body.record.title === title);
+
+    const run = helperScrapeBatchRun({ items: rows, concurrency: 3 });
+    await flush();
+    expect(scrapes).toHaveLength(2);
+    expect(started('Row 1')).toBeUndefined();
+
+    // A failing row still hands the session on
+    started('Row 0').reject(new Error('Timed out'));
+    await flush();
+    expect(scrapes).toHaveLength(3);
+
+    started('Row 1').resolve({ success: true });
+    started('Row 2').resolve({ success: true });
+
+    const results = await run;
+    expect(results.map(({ success }) => success)).toEqual([false, true, true]);
+  });
+
+  it('should pass the abort signal on and skip the remaining rows once aborted', async () => {
+    const controller = new AbortController();
+    const run = helperScrapeBatchRun({
+      items: items(4),
+      concurrency: 1,
+      signal: controller.signal
+    });
+    await flush();
+
+    expect(scrapes[0].signal).toBe(controller.signal);
+    controller.abort();
+    const error = new Error('Scraping cancelled');
+    error.code = 'ERROR_SCRAPE_CANCELLED';
+    scrapes[0].reject(error);
+
+    const results = await run;
+    expect(scrapes).toHaveLength(1);
+    expect(results[0].data.code).toBe('ERROR_SCRAPE_CANCELLED');
+    expect(results.slice(1)).toEqual([undefined, undefined, undefined]);
+  });
+});
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// Point the data directory to a throwaway location before the modules read the config
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-jobs-'));
+process.env.DATA_DIR = dataDir;
+
+const { helperJobStore } = await import('../../src/helpers/job-store.js');
+const { helperScrapeJobs } = await import('../../src/helpers/scrape-jobs.js');
+
+const storedJob = (overrides) =>
+  helperJobStore.save({
+    id: '11111111-1111-4111-8111-111111111111',
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    request: { proxy: { auth: { username: 'u', password: 'p' } } },
+    result: null,
+    ...overrides
+  });
+
+describe('helperScrapeJobs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should not expose the stored request', () => {
+    storedJob({ status: 'succeeded', result: { success: true } });
+
+    const job = helperScrapeJobs.get({ id: '11111111-1111-4111-8111-111111111111' });
+    expect(job.status).toBe('succeeded');
+    expect(job.result).toEqual({ success: true });
+    expect(job.request).toBeUndefined();
+  });
+
+  it('should throw 404 for unknown or malformed ids', () => {
+    expect(() => helperScrapeJobs.get({ id: '../package' })).toThrow('Job not found');
+    expect(() => helperScrapeJobs.get({ id: '22222222-2222-4222-8222-222222222222' })).toThrow(
+      'Job not found'
+    );
+  });
+
+  it('should refuse to cancel a finished job', () => {
+    storedJob({ status: 'failed', finishedAt: new Date().toISOString() });
+
+    try {
+      helperScrapeJobs.cancel({ id: '11111111-1111-4111-8111-111111111111' });
+      expect(true).toBe(false); // should not reach here
+    } catch (error) {
+      expect(error.status).toBe(409);
+      expect(error.code).toBe('ERROR_JOB_ALREADY_FINISHED');
+    }
+  });
+
+  it('should cancel a queued job and drop its request', () => {
+    storedJob();
+
+    const job = helperScrapeJobs.cancel({ id: '11111111-1111-4111-8111-111111111111' });
+    expect(job.status).toBe('cancelled');
+    expect(job.finishedAt).not.toBeNull();
+    expect(helperJobStore.get(job.id).request).toBeNull();
+  });
+
+  it('should keep the request out of the job store', async () => {
+    const run = jest.spyOn(helperScrapeJobs, 'run').mockResolvedValue();
+    const proxy = { server: 'http://proxy:8080', auth: { username: 'u', password: 'secret' } };
+
+    const job = helperScrapeJobs.create({ body: { record: { title: 'Test' }, proxy } });
+
+    expect(job.request).toBeUndefined();
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ id: job.id }), {
+      record: { title: 'Test' },
+      proxy
+    });
+    const file = fs.readFileSync(helperJobStore.getFilePath(job.id), 'utf8');
+    expect(file).not.toContain('secret');
+    expect(JSON.parse(file).request).toBeUndefined();
+  });
+
+  it.each(['queued', 'running'])('should mark %s jobs as failed after a restart', (status) => {
+    storedJob({ status, startedAt: status === 'running' ? new Date().toISOString() : null });
+
+    helperScrapeJobs.init();
+
+    const job = helperJobStore.get('11111111-1111-4111-8111-111111111111');
+    expect(job.status).toBe('failed');
+    expect(job.result.success).toBe(false);
+    expect(job.result.data.code).toBe('ERROR_JOB_INTERRUPTED');
+  });
+
+  it('should remove finished jobs past the retention period', () => {
+    storedJob({ status: 'succeeded', finishedAt: '2000-01-01T00:00:00.000Z' });
+
+    helperScrapeJobs.init();
+
+    expect(helperJobStore.list()).toHaveLength(0);
+  });
+
+  it('should log background failures instead of leaving them unhandled', async () => {
+    const failure = new Error('ENOSPC: no space left on device');
+    jest.spyOn(helperScrapeJobs, 'run').mockRejectedValue(failure);
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const job = helperScrapeJobs.create({ body: { record: { title: 'Test' } } });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(consoleError).toHaveBeenCalledWith(
+      `Scrape job ${job.id} could not be completed:`,
+      failure.message
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// Point the tmp directory to a throwaway location before the helpers build file paths
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-screenshots-'));
+process.env.TMP_DIR = tmpDir;
+process.env.WEB_ADDRESS = 'https://scrapereq.example.com';
+
+const { helperScreenshotsTake } = await import('../../src/helpers/screenshots.js');
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Minimal stand-in for a Puppeteer Page holding at most one element
+const fakePage = (element = null) => ({
+  screenshot: jest.fn(async () => {}),
+  $: jest.fn(async () => element),
+  mainFrame: () => ({ childFrames: () => [] })
+});
+
+const fakeElement = () => ({
+  screenshot: jest.fn(async () => {}),
+  dispose: jest.fn(async () => {})
+});
+
+describe('helperScreenshotsTake', () => {
+  it('should take a full page PNG by default', async () => {
+    const page = fakePage();
+
+    const { screenshotUrl, clipped } = await helperScreenshotsTake({ page, type: 'step' });
+
+    expect(screenshotUrl).toMatch(/^https:\/\/scrapereq\.example\.com\/api\/tmp\/step-.+\.png$/);
+    expect(clipped).toBe(false);
+    expect(page.screenshot).toHaveBeenCalledWith({
+      path: expect.stringMatching(/\.png$/),
+      type: 'png',
+      fullPage: true
+    });
+  });
+
+  it('should clip the screenshot to the element in the requested format', async () => {
+    const element = fakeElement();
+    const page = fakePage(element);
+
+    const { screenshotUrl, clipped } = await helperScreenshotsTake({
+      page,
+      screenshots: { format: 'jpeg', quality: 80, selector: { type: 'ARIA', value: 'Cart' } },
+      type: 'step'
+    });
+
+    expect(screenshotUrl).toMatch(/\.jpeg$/);
+    expect(clipped).toBe(true);
+    expect(page.$).toHaveBeenCalledWith('aria/Cart');
+    expect(element.screenshot).toHaveBeenCalledWith({
+      path: expect.stringMatching(/\.jpeg$/),
+      type: 'jpeg',
+      quality: 80
+    });
+    expect(page.screenshot).not.toHaveBeenCalled();
+    expect(element.dispose).toHaveBeenCalled();
+  });
+
+  it('should fall back to a page screenshot when the element or its frame is missing', async () => {
+    const page = fakePage();
+
+    const { clipped } = await helperScreenshotsTake({
+      page,
+      screenshots: {
+        format: 'webp',
+        fullPage: false,
+        selector: { type: 'CSS', value: '#cart', frame: [0] }
+      },
+      type: 'step'
+    });
+
+    expect(clipped).toBe(false);
+    expect(page.$).not.toHaveBeenCalled();
+    expect(page.screenshot).toHaveBeenCalledWith({
+      path: expect.stringMatching(/\.webp$/),
+      type: 'webp',
+      fullPage: false
+    });
+  });
+
+  it('should report failures with the screenshot error code', async () => {
+    const page = fakePage();
+    page.screenshot = async () => {
+      throw new Error('Target closed');
+    };
+
+    await expect(helperScreenshotsTake({ page, type: 'step' })).rejects.toMatchObject({
+      code: 'ERROR_SCREENSHOT_URL_GENERATION',
+      message: 'Error generating screenshot: Failed to take screenshot: Target closed - Type: step'
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// Point the data directory to a throwaway location before the modules read the config
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrapereq-sessions-'));
+process.env.DATA_DIR = dataDir;
+
+const { helperSessionStore } = await import('../../src/helpers/session-store.js');
+const { helperSessions } = await import('../../src/helpers/sessions.js');
+
+const cookie = (overrides) => ({
+  name: 'sid',
+  value: 'abc',
+  domain: 'shop.example.com',
+  path: '/',
+  expires: -1,
+  httpOnly: true,
+  secure: true,
+  ...overrides
+});
+
+const fakeFrame = (url, storage) => ({
+  url: () => url,
+  evaluate: async () => ({ origin: new URL(url).origin, ...storage })
+});
+
+const fakeContext = ({ cookies = [], frames = [] } = {}) => ({
+  cookies: jest.fn(async () => cookies),
+  setCookie: jest.fn(async () => {}),
+  pages: async () => [{ frames: () => frames }]
+});
+
+describe('helperSessions', () => {
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should save cookies and storage of all frames', async () => {
+    const context = fakeContext({
+      cookies: [cookie()],
+      frames: [
+        fakeFrame('https://shop.example.com/account', {
+          localStorage: { token: 't1' },
+          sessionStorage: { cart: '2' }
+        }),
+        fakeFrame('about:blank', {})
+      ]
+    });
+
+    const summary = await helperSessions.save({ context, session: { name: 'shop', ttl: 60 } });
+
+    expect(summary).toMatchObject({
+      name: 'shop',
+      expired: false,
+      cookieCount: 1,
+      origins: ['https://shop.example.com']
+    });
+    expect(new Date(summary.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const stored = helperSessionStore.get('shop');
+    expect(stored.cookies).toEqual([cookie()]);
+    expect(stored.storage['https://shop.example.com']).toEqual({
+      localStorage: { token: 't1' },
+      sessionStorage: { cart: '2' }
+    });
+  });
+
+  it('should keep storage of origins that were not open and the creation date', async () => {
+    helperSessionStore.save({
+      name: 'shop',
+      createdAt: '2020-01-01T00:00:00.000Z',
+      updatedAt: '2020-01-01T00:00:00.000Z',
+      expiresAt: null,
+      cookies: [],
+      storage: { 'https://sso.example.com': { localStorage: { a: '1' }, sessionStorage: {} } }
+    });
+
+    await helperSessions.save({
+      context: fakeContext({
+        frames: [fakeFrame('https://shop.example.com/', { localStorage: {}, sessionStorage: {} })]
+      }),
+      session: { name: 'shop' }
+    });
+
+    const stored = helperSessionStore.get('shop');
+    expect(stored.createdAt).toBe('2020-01-01T00:00:00.000Z');
+    expect(stored.expiresAt).toBeNull();
+    expect(Object.keys(stored.storage).sort()).toEqual([
+      'https://shop.example.com',
+      'https://sso.example.com'
+    ]);
+  });
+
+  it('should not carry storage or the creation date over from an expired session', async () => {
+    helperSessionStore.save({
+      name: 'shop',
+      createdAt: '2020-01-01T00:00:00.000Z',
+      updatedAt: '2020-01-01T00:00:00.000Z',
+      expiresAt: '2020-01-02T00:00:00.000Z',
+      cookies: [],
+      storage: { 'https://sso.example.com': { localStorage: { a: '1' }, sessionStorage: {} } }
+    });
+
+    await helperSessions.save({
+      context: fakeContext({
+        frames: [fakeFrame('https://shop.example.com/', { localStorage: {}, sessionStorage: {} })]
+      }),
+      session: { name: 'shop' }
+    });
+
+    const stored = helperSessionStore.get('shop');
+    expect(stored.createdAt).not.toBe('2020-01-01T00:00:00.000Z');
+    expect(Object.keys(stored.storage)).toEqual(['https://shop.example.com']);
+
+    // Sessions ended through expire() are replaced the same way
+    helperSessions.expire({ name: 'shop' });
+    await helperSessions.save({ context: fakeContext(), session: { name: 'shop' } });
+    expect(helperSessionStore.get('shop').storage).toEqual({});
+  });
+
+  it('should restore unexpired cookies and register the storage script', async () => {
+    const now = Date.now() / 1000;
+    helperSessionStore.save({
+      name: 'shop',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      expiresAt: null,
+      cookies: [cookie(), cookie({ name: 'old', expires: now - 10 })],
+      storage: {}
+    });
+
+    const context = fakeContext();
+    const page = { evaluateOnNewDocument: jest.fn(async () => {}) };
+
+    const restored = await helperSessions.restore({ context, page, session: { name: 'shop' } });
+
+    expect(restored).toBe(true);
+    expect(context.setCookie).toHaveBeenCalledWith(cookie());
+    expect(page.evaluateOnNewDocument).toHaveBeenCalledTimes(1);
+  });
+
+  it('should start from a blank profile for unknown or expired sessions', async () => {
+    const context = fakeContext();
+    const page = { evaluateOnNewDocument: jest.fn(async () => {}) };
+
+    expect(await helperSessions.restore({ context, page, session: { name: 'missing' } })).toBe(
+      false
+    );
+
+    await helperSessions.save({ context, session: { name: 'shop' } });
+    expect(helperSessions.expire({ name: 'shop' }).expired).toBe(true);
+    expect(await helperSessions.restore({ context, page, session: { name: 'shop' } })).toBe(false);
+
+    expect(context.setCookie).not.toHaveBeenCalled();
+    expect(page.evaluateOnNewDocument).not.toHaveBeenCalled();
+  });
+
+  it('should list, return and delete sessions', async () => {
+    await helperSessions.save({ context: fakeContext(), session: { name: 'b' } });
+    await helperSessions.save({
+      context: fakeContext({ cookies: [cookie()] }),
+      session: { name: 'a' }
+    });
+
+    expect(helperSessions.list().map(({ name }) => name)).toEqual(['a', 'b']);
+    expect(helperSessions.list()[0].cookies).toBeUndefined();
+    expect(helperSessions.get({ name: 'a' }).cookies).toEqual([cookie()]);
+
+    helperSessions.remove({ name: 'a' });
+    expect(helperSessions.list().map(({ name }) => name)).toEqual(['b']);
+  });
+
+  it('should throw 404 for unknown or malformed names', () => {
+    for (const name of ['missing', '../package']) {
+      try {
+        helperSessions.get({ name });
+        expect(true).toBe(false); // should not reach here
+      } catch (error) {
+        expect(error.status).toBe(404);
+        expect(error.code).toBe('ERROR_SESSION_NOT_FOUND');
+      }
+    }
+  });
+});
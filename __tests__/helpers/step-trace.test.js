@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+
+import { helperStepTraceCreate } from '../../src/helpers/step-trace.js';
+
+describe('helperStepTraceCreate', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should record timings, the URL after each step and its status', () => {
+    jest.useFakeTimers({ now: new Date('2025-03-20T00:00:00.000Z') });
+    const trace = helperStepTraceCreate();
+
+    trace.start({ index: 0, type: 'navigate' });
+    jest.advanceTimersByTime(1200);
+    trace.end({ url: 'https://example.com/login?next=%2Faccount' });
+
+    trace.start({ index: 1, type: 'click' });
+    jest.advanceTimersByTime(300);
+    trace.end({ url: 'https://example.com/account', error: new Error('Timed out') });
+    trace.end({ url: 'https://example.com/account', error: new Error('Reported again') });
+
+    expect(trace.entries()).toEqual([
+      {
+        index: 0,
+        type: 'navigate',
+        startedAt: '2025-03-20T00:00:00.000Z',
+        endedAt: '2025-03-20T00:00:01.200Z',
+        duration: 1200,
+        url: 'https://example.com/login?next=%2Faccount',
+        status: 'completed'
+      },
+      {
+        index: 1,
+        type: 'click',
+        startedAt: '2025-03-20T00:00:01.200Z',
+        endedAt: '2025-03-20T00:00:01.500Z',
+        duration: 300,
+        url: 'https://example.com/account',
+        status: 'failed',
+        error: 'Timed out'
+      }
+    ]);
+  });
+
+  it('should mask secret variables in URLs and errors', () => {
+    const trace = helperStepTraceCreate();
+
+    trace.start({ index: 0, type: 'navigate' });
+    trace.end({
+      url: 'https://example.com/?token=t0ken',
+      error: new Error('Navigation to https://example.com/?token=t0ken failed')
+    });
+
+    const [entry] = trace.entries({ secrets: ['t0ken'] });
+    expect(entry.url).toBe('https://example.com/?token=***');
+    expect(entry.error).toBe('Navigation to https://example.com/?token=*** failed');
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  helperTemplateInterpolate,
+  helperTemplateInterpolateStep,
+  helperTemplatePlaceholders,
+  helperTemplateVariables,
+  helperTemplateMask
+} from '../../src/helpers/template-interpolate.js';
+
+describe('helperTemplateInterpolate', () => {
+  it('should replace placeholders with their values', () => {
+    const result = helperTemplateInterpolate({
+      template: 'https://shop.example.com/{{ category }}/{{sku}}?page={{page}}',
+      values: { category: 'shoes', sku: 'A-100', page: 2 }
+    });
+    expect(result).toBe('https://shop.example.com/shoes/A-100?page=2');
+  });
+
+  it('should leave strings without placeholders untouched', () => {
+    expect(helperTemplateInterpolate({ template: 'plain text', values: {} })).toBe('plain text');
+  });
+
+  it('should throw for placeholders without a value', () => {
+    try {
+      helperTemplateInterpolate({ template: '{{missing}}', values: { other: 'x' } });
+      expect(true).toBe(false); // should not reach here
+    } catch (error) {
+      expect(error.code).toBe('ERROR_TEMPLATE_PLACEHOLDER');
+      expect(error.message).toContain('{{missing}}');
+    }
+  });
+});
+
+describe('helperTemplateInterpolateStep', () => {
+  it('should fill navigate URLs, change values and selectors', () => {
+    const values = { sku: 'A-100', query: 'red shoes' };
+
+    expect(
+      helperTemplateInterpolateStep({
+        step: { type: 'navigate', url: 'https://example.com/{{sku}}' },
+        values
+      }).url
+    ).toBe('https://example.com/A-100');
+
+    const change = helperTemplateInterpolateStep({
+      step: {
+        type: 'change',
+        selectors: [
+          '#q-{{sku}}',
+          ['host', 'li[data-sku="{{sku}}"]'],
+          { type: 'CSS', value: '.{{sku}}' }
+        ],
+        value: '{{query}}'
+      },
+      values
+    });
+    expect(change.value).toBe('red shoes');
+    expect(change.selectors).toEqual([
+      '#q-A-100',
+      ['host', 'li[data-sku="A-100"]'],
+      { type: 'CSS', value: '.A-100' }
+    ]);
+  });
+
+  it('should not touch other fields or the template step', () => {
+    const step = { type: 'waitForExpression', expression: '"{{sku}}".length > 0' };
+
+    const result = helperTemplateInterpolateStep({ step, values: { sku: 'A-100' } });
+
+    expect(result.expression).toBe('"{{sku}}".length > 0');
+    expect(result).not.toBe(step);
+  });
+});
+
+describe('helperTemplatePlaceholders', () => {
+  it('should list placeholder names in order', () => {
+    expect(helperTemplatePlaceholders({ template: '{{a}}/{{ b }}/{{a}}' })).toEqual([
+      'a',
+      'b',
+      'a'
+    ]);
+  });
+});
+
+describe('helperTemplateVariables', () => {
+  it('should split values and secrets', () => {
+    const { values, secrets } = helperTemplateVariables({
+      variables: { page: 2, user: 'jane', password: { value: 's3cret', secret: true } }
+    });
+
+    expect(values).toEqual({ page: '2', user: 'jane', password: 's3cret' });
+    expect(secrets).toEqual(['s3cret']);
+  });
+});
+
+describe('helperTemplateMask', () => {
+  it('should replace every secret occurrence', () => {
+    const text = helperTemplateMask({
+      text: 'https://example.com/login?p=s3cret&again=s3cret',
+      secrets: ['s3cret', '']
+    });
+    expect(text).toBe('https://example.com/login?p=***&again=***');
+  });
+});
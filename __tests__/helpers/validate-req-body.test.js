@@ -36,6 +36,15 @@ describe('helperScrapeValidateRequestBody', () => {
     }
   });
 
+  it('should reject file responseTypes when they are not allowed', () => {
+    const body = validBody();
+    body.output.responseType = 'CSV';
+    expect(() => helperScrapeValidateRequestBody({ body })).not.toThrow();
+    expect(() => helperScrapeValidateRequestBody({ body, allowFileResponses: false })).toThrow(
+      'responseType CSV is not supported by scrape jobs'
+    );
+  });
+
   it('should throw for missing record', () => {
     const body = validBody();
     delete body.record;
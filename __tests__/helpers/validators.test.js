@@ -146,6 +146,97 @@ describe('Validators - helperValidatorsApiScrape', () => {
     });
   });
 
+  describe('step type validation', () => {
+    const withSteps = (...steps) => {
+      const body = validBody();
+      body.record.steps = [{ type: 'navigate', url: 'https://example.com' }, ...steps];
+      return body;
+    };
+
+    it('should accept a Chrome Recorder click step with nested selectors', () => {
+      const body = withSteps({
+        type: 'click',
+        target: 'main',
+        selectors: [['aria/Submit'], ['#submit'], ['xpath///*[@id="submit"]']],
+        offsetX: 10,
+        offsetY: 5,
+        assertedEvents: [{ type: 'navigation', url: 'https://example.com/done', title: '' }]
+      });
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+    });
+
+    it('should accept every Recorder step type', () => {
+      const body = withSteps(
+        { type: 'doubleClick', selectors: [['#item']], offsetX: 1, offsetY: 1 },
+        { type: 'hover', selectors: [['#menu']], frame: [0] },
+        { type: 'keyDown', key: 'Enter' },
+        { type: 'keyUp', key: 'Enter' },
+        { type: 'scroll', x: 0, y: 400 },
+        { type: 'waitForExpression', expression: 'document.readyState === "complete"' },
+        { type: 'emulateNetworkConditions', download: 50000, upload: 50000, latency: 100 },
+        { type: 'customStep', name: 'noop', parameters: {} },
+        { type: 'close' }
+      );
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+    });
+
+    it('should accept frame locators by index path, name or URL pattern', () => {
+      const body = withSteps(
+        { type: 'click', selectors: [['#pay']], frame: { name: 'checkout' } },
+        { type: 'change', selectors: [['#card']], value: '4242', frame: { url: 'stripe\\.com' } },
+        { type: 'setVariable', name: 'total', selectors: [['.total']], frame: [0, 1] }
+      );
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject frame locators with both name and URL or an invalid pattern', () => {
+      for (const frame of [{ name: 'a', url: 'b' }, { url: '(' }, {}, [-1]]) {
+        const { error } = helperValidatorsApiScrape.validate(
+          withSteps({ type: 'hover', selectors: [['#menu']], frame })
+        );
+        expect(error).toBeDefined();
+      }
+    });
+
+    it('should reject keyDown without a key', () => {
+      const { error } = helperValidatorsApiScrape.validate(withSteps({ type: 'keyDown' }));
+      expect(error).toBeDefined();
+    });
+
+    it('should reject waitForExpression without an expression', () => {
+      const { error } = helperValidatorsApiScrape.validate(
+        withSteps({ type: 'waitForExpression' })
+      );
+      expect(error).toBeDefined();
+    });
+
+    it('should reject fields that do not apply to the step type', () => {
+      const { error } = helperValidatorsApiScrape.validate(
+        withSteps({ type: 'hover', selectors: [['#menu']], value: 'text' })
+      );
+      expect(error).toBeDefined();
+    });
+
+    it('should reject unsupported asserted event types', () => {
+      const { error } = helperValidatorsApiScrape.validate(
+        withSteps({
+          type: 'click',
+          selectors: [['#a']],
+          assertedEvents: [{ type: 'dialog' }]
+        })
+      );
+      expect(error).toBeDefined();
+    });
+
+    it('should reject unknown step types', () => {
+      const { error } = helperValidatorsApiScrape.validate(withSteps({ type: 'teleport' }));
+      expect(error).toBeDefined();
+    });
+  });
+
   describe('responseType vs selectors cross-validation', () => {
     it('should reject RAW with zero selectors', () => {
       const body = validBody();
@@ -185,6 +276,39 @@ describe('Validators - helperValidatorsApiScrape', () => {
       expect(error.message).toContain('JSON requires at least one');
     });
 
+    it('should reject file response types with zero selectors', () => {
+      for (const responseType of ['CSV', 'NDJSON', 'XML']) {
+        const body = validBody();
+        body.output.responseType = responseType;
+        body.capture.selectors = [];
+        const { error } = helperValidatorsApiScrape.validate(body);
+        expect(error.message).toContain(`${responseType} requires at least one`);
+      }
+    });
+
+    it('should reject file response types with duplicate columns', () => {
+      const body = validBody();
+      body.output.responseType = 'CSV';
+      body.capture.selectors = [
+        { key: 'name', type: 'CSS', value: 'h1' },
+        { key: 'products', type: 'LIST', value: '.product', fields: { name: { value: '.name' } } }
+      ];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error.message).toBe('Column "name" is captured by more than one selector');
+    });
+
+    it('should reject XML columns that are not element names', () => {
+      const body = validBody();
+      body.output.responseType = 'XML';
+      body.capture.selectors = [{ key: 'unit price', type: 'CSS', value: '.price' }];
+      expect(helperValidatorsApiScrape.validate(body).error.message).toBe(
+        'Column "unit price" is not a valid XML element name'
+      );
+
+      body.output.responseType = 'NDJSON';
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+    });
+
     it('should accept NONE with zero selectors', () => {
       const body = validBody();
       body.output.responseType = 'NONE';
@@ -227,13 +351,401 @@ describe('Validators - helperValidatorsApiScrape', () => {
       const { error } = helperValidatorsApiScrape.validate(body);
       expect(error).toBeDefined();
     });
+
+    it('should accept multiple matches with an attribute', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        { key: 'links', type: 'XPATH', value: '//a', multiple: true, attribute: 'href' },
+        { key: 'title', type: 'CSS', value: 'h1', extract: 'outerHTML' }
+      ];
+      const { error, value } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+      expect(value.capture.selectors[1].multiple).toBe(false);
+    });
+
+    it('should reject more than one of attribute, property and extract', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        { key: 'x', type: 'CSS', value: 'input', attribute: 'value', property: 'checked' }
+      ];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeDefined();
+    });
+
+    it('should accept LIST selectors with named fields', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        {
+          key: 'products',
+          type: 'LIST',
+          value: '.product',
+          fields: {
+            name: { value: 'h2', extract: 'text' },
+            url: { type: 'XPATH', value: './/a', attribute: 'href' },
+            id: { attribute: 'data-id' }
+          }
+        }
+      ];
+      const { error, value } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+      expect(value.capture.selectors[0].containerType).toBe('CSS');
+      expect(value.capture.selectors[0].fields.name.type).toBe('CSS');
+    });
+
+    it('should require fields for LIST selectors only', () => {
+      const body = validBody();
+      body.capture.selectors = [{ key: 'products', type: 'LIST', value: '.product' }];
+      expect(helperValidatorsApiScrape.validate(body).error.message).toContain(
+        'selectors[0].fields" is required'
+      );
+
+      body.capture.selectors = [{ key: 'title', type: 'CSS', value: 'h1', fields: {} }];
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+
+    it('should accept transforms given by name or as objects', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        {
+          key: 'price',
+          type: 'CSS',
+          value: '.price',
+          transforms: ['trim', { type: 'regexReplace', pattern: '[^\\d,]' }, 'parseNumber']
+        }
+      ];
+      const { error, value } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+      expect(value.capture.selectors[0].transforms).toEqual([
+        { type: 'trim' },
+        { type: 'regexReplace', pattern: '[^\\d,]', flags: 'g', replacement: '' },
+        { type: 'parseNumber' }
+      ]);
+    });
+
+    it('should reject invalid transform patterns and misplaced options', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        { key: 'x', type: 'CSS', value: 'h1', transforms: [{ type: 'regexExtract', pattern: '(' }] }
+      ];
+      expect(helperValidatorsApiScrape.validate(body).error.message).toContain(
+        'Invalid pattern in regexExtract transform'
+      );
+
+      body.capture.selectors = [
+        { key: 'x', type: 'CSS', value: 'h1', transforms: [{ type: 'trim', locale: 'de-DE' }] }
+      ];
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+
+    it('should accept a default for optional selectors only', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        { key: 'discount', type: 'CSS', value: '.discount', required: false, default: 0 }
+      ];
+      const { error, value } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+      expect(value.capture.selectors[0].default).toBe(0);
+
+      body.capture.selectors = [{ key: 'title', type: 'CSS', value: 'h1', default: 'n/a' }];
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+
+    it('should accept ARIA, TEXT and PIERCE selectors for capture and steps', () => {
+      const body = validBody();
+      body.record.steps.push({
+        type: 'click',
+        selectors: [{ type: 'ARIA', value: 'Accept cookies[role="button"]' }]
+      });
+      body.capture.selectors = [
+        { key: 'heading', type: 'TEXT', value: 'Welcome' },
+        { key: 'price', type: 'PIERCE', value: 'product-card .price', multiple: true }
+      ];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+    });
+
+    it('should accept frame locators on capture selectors', () => {
+      const body = validBody();
+      body.capture.selectors = [
+        { key: 'embed', type: 'FULL', value: 'full', frame: [0] },
+        { key: 'price', type: 'CSS', value: '.price', frame: { name: 'widget' } },
+        {
+          key: 'rows',
+          type: 'LIST',
+          value: 'tr',
+          fields: { name: { value: 'td' } },
+          frame: { url: '^https://reviews\\.example\\.com/' }
+        }
+      ];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+
+      body.capture.selectors = [{ key: 'x', type: 'CSS', value: 'h1', frame: { url: '[' } }];
+      expect(helperValidatorsApiScrape.validate(body).error.message).toContain(
+        'Invalid frame URL pattern'
+      );
+    });
+
+    it('should reject element options on FULL selectors', () => {
+      const body = validBody();
+      body.capture.selectors = [{ key: 'page', type: 'FULL', value: 'full', multiple: true }];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeDefined();
+    });
   });
 
   describe('output validation', () => {
     it('should reject invalid responseType', () => {
+      const body = validBody();
+      body.output.responseType = 'YAML';
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeDefined();
+    });
+
+    it('should accept PDF and MHTML responseTypes without selectors', () => {
+      for (const responseType of ['PDF', 'MHTML']) {
+        const body = validBody();
+        body.output.responseType = responseType;
+        body.capture.selectors = [];
+        expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+      }
+    });
+
+    it('should accept PDF print options and MHTML snapshots alongside JSON', () => {
+      const body = validBody();
+      body.output.responseType = 'JSON';
+      body.output.pdf = {
+        format: 'letter',
+        landscape: true,
+        printBackground: false,
+        margin: { top: '2cm', bottom: 36 }
+      };
+      body.output.mhtml = true;
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+
+      body.output.pdf = { format: 'A9' };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+
+      body.output.pdf = { margin: { top: '2em' } };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+
+    it('should reject page snapshots with responseTypes that cannot return their URLs', () => {
+      const body = validBody();
+      body.output.responseType = 'CSV';
+      body.output.mhtml = true;
+      expect(helperValidatorsApiScrape.validate(body).error.message).toBe(
+        'output.pdf and output.mhtml require responseType JSON, PDF or MHTML'
+      );
+    });
+
+    it('should accept console capture only with responseTypes that return it', () => {
+      const body = validBody();
+      body.output.responseType = 'NONE';
+      body.output.console = true;
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+
+      body.output.responseType = 'RAW';
+      expect(helperValidatorsApiScrape.validate(body).error.message).toBe(
+        'output.console requires responseType JSON, NONE, PDF or MHTML'
+      );
+    });
+
+    it('should accept step and element screenshot options', () => {
+      const body = validBody();
+      body.output.responseType = 'JSON';
+      body.output.screenshots = {
+        eachStep: true,
+        selector: { value: '#cart', frame: { name: 'checkout' } },
+        format: 'webp',
+        quality: 70,
+        fullPage: false
+      };
+      const { error, value } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+      expect(value.output.screenshots.selector.type).toBe('CSS');
+
+      body.output.screenshots = { format: 'png', quality: 70 };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+
+      body.output.screenshots = { format: 'gif' };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+
+    it('should reject step screenshots with responseTypes that cannot return them', () => {
       const body = validBody();
       body.output.responseType = 'XML';
+      body.output.screenshots = { eachStep: true };
+      expect(helperValidatorsApiScrape.validate(body).error.message).toBe(
+        'output.screenshots.eachStep requires responseType JSON, NONE, PDF or MHTML'
+      );
+    });
+
+    it('should accept inline artifact delivery with a size limit', () => {
+      const body = validBody();
+      body.output.responseType = 'JSON';
+      body.output.artifacts = { delivery: 'inline', maxInlineSize: 1048576 };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+
+      body.output.artifacts = { delivery: 'email' };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+
+      body.output.artifacts = { delivery: 'inline' };
+      body.output.responseType = 'CSV';
+      expect(helperValidatorsApiScrape.validate(body).error.message).toBe(
+        'Inline artifact delivery requires responseType JSON, NONE, PDF or MHTML'
+      );
+    });
+
+    it('should accept the step trace only with responseTypes that return it', () => {
+      const body = validBody();
+      body.output.responseType = 'JSON';
+      body.output.trace = true;
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+
+      body.output.responseType = 'CSV';
+      expect(helperValidatorsApiScrape.validate(body).error.message).toBe(
+        'output.trace requires responseType JSON, NONE, PDF or MHTML'
+      );
+    });
+
+    it('should accept HAR recording with a body size cap', () => {
+      const body = validBody();
+      body.output.har = { maxBodySize: 1024 };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+
+      body.output.har = { maxBodySize: 10 * 1024 * 1024 };
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+  });
+
+  describe('variables validation', () => {
+    it('should accept navigate URLs built from variables', () => {
+      const body = validBody();
+      body.variables = { sku: 'A-100', host: { value: 'example.com', secret: true } };
+      body.record.steps = [{ type: 'navigate', url: 'https://{{host}}/products/{{sku}}' }];
       const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject placeholders without a variable', () => {
+      const body = validBody();
+      body.record.steps = [{ type: 'navigate', url: 'https://example.com/{{sku}}' }];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error.message).toContain('Unknown variable "{{sku}}" in record.steps[0]');
+    });
+
+    it('should accept variables set by an earlier setVariable step', () => {
+      const body = validBody();
+      body.record.steps = [
+        { type: 'navigate', url: 'https://example.com/orders' },
+        { type: 'setVariable', name: 'orderUrl', selectors: ['a.order'], attribute: 'href' },
+        { type: 'navigate', url: '{{orderUrl}}' }
+      ];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject variables used before the step that sets them', () => {
+      const body = validBody();
+      body.record.steps = [
+        { type: 'navigate', url: 'https://example.com/orders' },
+        { type: 'change', selectors: ['#search'], value: '{{orderNumber}}' },
+        { type: 'setVariable', name: 'orderNumber', selectors: ['.order-number'] }
+      ];
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error.message).toContain('record.steps[1]');
+    });
+
+    it('should reject invalid variable names', () => {
+      const body = validBody();
+      body.variables = { 'not valid': 'x' };
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('headers and cookies validation', () => {
+    it('should accept arbitrary and origin scoped headers', () => {
+      const body = validBody();
+      body.headers = {
+        Referer: 'https://example.com/',
+        'X-Api-Key': { value: 'k', origins: ['https://api.example.com'] }
+      };
+      const { error, value } = helperValidatorsApiScrape.validate(body);
+      expect(error).toBeUndefined();
+      expect(value.headers.Referer).toBe('https://example.com/');
+      expect(value.headers['User-Agent']).toBeDefined();
+    });
+
+    it('should not add a default next to a header set in another letter case', () => {
+      const body = validBody();
+      body.headers = { 'user-agent': 'custom' };
+      const { value } = helperValidatorsApiScrape.validate(body);
+      expect(value.headers['user-agent']).toBe('custom');
+      expect(value.headers['User-Agent']).toBeUndefined();
+    });
+
+    it('should reject hop-by-hop headers', () => {
+      const body = validBody();
+      body.headers = { 'Transfer-Encoding': 'chunked' };
+      const { error } = helperValidatorsApiScrape.validate(body);
+      expect(error.message).toContain('Header "transfer-encoding" is managed by the browser');
+    });
+
+    it('should require a url or domain for cookies', () => {
+      const body = validBody();
+      body.cookies = [{ name: 'sid', value: 'abc', url: 'https://example.com' }];
+      expect(helperValidatorsApiScrape.validate(body).error).toBeUndefined();
+
+      body.cookies = [{ name: 'sid', value: 'abc' }];
+      expect(helperValidatorsApiScrape.validate(body).error).toBeDefined();
+    });
+  });
+
+  describe('session validation', () => {
+    it('should accept a named session with a ttl', () => {
+      const { error, value } = helperValidatorsApiScrape.validate({
+        ...validBody(),
+        session: { name: 'shop-login', ttl: 3600 }
+      });
+      expect(error).toBeUndefined();
+      expect(value.session).toEqual({ name: 'shop-login', ttl: 3600 });
+    });
+
+    it('should reject session names that are not file safe', () => {
+      const { error } = helperValidatorsApiScrape.validate({
+        ...validBody(),
+        session: { name: '../etc/passwd' }
+      });
+      expect(error.message).toContain('"session.name" may only contain');
+    });
+  });
+
+  describe('callback validation', () => {
+    const withCallback = (callback) => ({ ...validBody(), callback });
+
+    it('should reject a callback outside of background jobs', () => {
+      const { error } = helperValidatorsApiScrape.validate(
+        withCallback({ url: 'https://example.com/hook' })
+      );
+      expect(error.message).toContain('only supported by /api/scrape/jobs');
+    });
+
+    it('should accept a callback for background jobs', () => {
+      const { error, value } = helperValidatorsApiScrape.validate(
+        withCallback({ url: 'https://example.com/hook', secret: 's3cret' }),
+        { context: { allowCallback: true } }
+      );
+      expect(error).toBeUndefined();
+      expect(value.callback.headers).toEqual({});
+    });
+
+    it('should reject a callback URL that is not http(s)', () => {
+      const { error } = helperValidatorsApiScrape.validate(
+        withCallback({ url: 'ftp://example.com/hook' }),
+        { context: { allowCallback: true } }
+      );
       expect(error).toBeDefined();
     });
   });
@@ -0,0 +1,109 @@
+import http from 'http';
+
+import { helperWebhookDeliver, helperWebhookSign } from '../../src/helpers/webhook-delivery.js';
+
+// Local receiver answering with the given status codes in order
+const startReceiver = async (statusCodes) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statusCodes[Math.min(received.length, statusCodes.length) - 1];
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  return { url, received, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+describe('helperWebhookDeliver', () => {
+  const payload = { success: true, data: { title: 'Example' } };
+
+  it('should post a signed payload with timestamp and job headers', async () => {
+    const receiver = await startReceiver([200]);
+
+    try {
+      const delivered = await helperWebhookDeliver({
+        callback: { url: receiver.url, headers: { 'X-Custom': 'yes' }, secret: 's3cret' },
+        payload,
+        jobId: 'job-1'
+      });
+
+      expect(delivered).toBe(true);
+      const [{ headers, body }] = receiver.received;
+      expect(JSON.parse(body)).toEqual(payload);
+      expect(headers['x-custom']).toBe('yes');
+      expect(headers['x-scrapereq-job-id']).toBe('job-1');
+      expect(headers['x-scrapereq-signature']).toBe(
+        helperWebhookSign({
+          secret: 's3cret',
+          timestamp: headers['x-scrapereq-timestamp'],
+          body
+        })
+      );
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('should not sign payloads without a secret', async () => {
+    const receiver = await startReceiver([204]);
+
+    try {
+      await helperWebhookDeliver({ callback: { url: receiver.url }, payload, jobId: 'job-2' });
+      expect(receiver.received[0].headers['x-scrapereq-signature']).toBeUndefined();
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('should retry failed deliveries and log every attempt', async () => {
+    const receiver = await startReceiver([500, 503, 200]);
+    const attempts = [];
+
+    try {
+      const delivered = await helperWebhookDeliver({
+        callback: { url: receiver.url },
+        payload,
+        jobId: 'job-3',
+        initialDelayMs: 1,
+        onAttempt: (attempt) => attempts.push(attempt)
+      });
+
+      expect(delivered).toBe(true);
+      expect(attempts.map((attempt) => attempt.statusCode)).toEqual([500, 503, 200]);
+      expect(attempts.map((attempt) => attempt.attempt)).toEqual([1, 2, 3]);
+      expect(attempts[0].nextRetryAt).not.toBeNull();
+      expect(attempts[2].nextRetryAt).toBeNull();
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    const receiver = await startReceiver([500]);
+    const attempts = [];
+
+    try {
+      const delivered = await helperWebhookDeliver({
+        callback: { url: receiver.url },
+        payload,
+        jobId: 'job-4',
+        maxAttempts: 2,
+        initialDelayMs: 1,
+        onAttempt: (attempt) => attempts.push(attempt)
+      });
+
+      expect(delivered).toBe(false);
+      expect(attempts).toHaveLength(2);
+      expect(attempts[1].error).toContain('500');
+    } finally {
+      await receiver.close();
+    }
+  });
+});
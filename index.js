@@ -14,6 +14,8 @@ import http from 'http';
 
 // Helpers
 import { helperCleanupOldScreenshots } from './src/helpers/cleanup-screenshots.js';
+import { helperScrapeJobs } from './src/helpers/scrape-jobs.js';
+import { helperBrowserPool } from './src/helpers/browser-pool.js';
 
 // Web server application
 import { expressApp } from './src/app.js';
@@ -63,6 +65,18 @@ server.listen(config.server.port, config.server.host, async () => {
     `Server started at http://${config.server.host}:${config.server.port} in ${config.server.env} mode`
   );
 
+  // Launch the pooled browsers so that the first scrapes do not wait for Chrome
+  helperBrowserPool.init().catch((error) => {
+    console.error('Error while warming up the browser pool:', error);
+  });
+
+  // Resume scrape jobs left behind by a previous process
+  try {
+    helperScrapeJobs.init();
+  } catch (error) {
+    console.error('Error while recovering scrape jobs:', error);
+  }
+
   // Perform initial screenshot cleanup
   try {
     const { deleted } = await helperCleanupOldScreenshots();
@@ -116,8 +130,9 @@ function gracefulShutdown(signal) {
   return () => {
     console.log(`${signal} received. Starting graceful shutdown...`);
 
-    server.close(() => {
+    server.close(async () => {
       console.log('Server closed. All connections were properly ended.');
+      await helperBrowserPool.close();
       process.exit(0);
     });
 
@@ -20,6 +20,7 @@ const {
   AUTH_USERNAME,
   AUTH_PASSWORD,
   TMP_DIR,
+  DATA_DIR,
   RATE_LIMIT_WINDOW_MS,
   RATE_LIMIT_MAX_REQUESTS
 } = process.env;
@@ -42,7 +43,8 @@ export const config = {
 
   // File system settings
   paths: {
-    tmp: TMP_DIR || './tmp'
+    tmp: TMP_DIR || './tmp',
+    data: DATA_DIR || './data' // Persistent application data (e.g. scrape jobs), never served statically
   },
 
   // Rate limiter settings
@@ -22,6 +22,18 @@ export const TIME_CONSTANTS = {
  */
 export const MAX_CONCURRENT_BROWSERS = parseInt(process.env.MAX_CONCURRENT_BROWSERS, 10) || 1;
 
+/**
+ * Browser Pool Configuration
+ *
+ * Warm browsers are recycled after serving a number of jobs or when their
+ * process tree uses more memory than the threshold.
+ * Can be overridden with environment variables BROWSER_RECYCLE_JOBS and BROWSER_RECYCLE_MEMORY_MB.
+ */
+export const BROWSER_POOL_CONFIG = {
+  RECYCLE_AFTER_JOBS: parseInt(process.env.BROWSER_RECYCLE_JOBS, 10) || 50, // Jobs served before a browser is replaced
+  RECYCLE_MEMORY_MB: parseInt(process.env.BROWSER_RECYCLE_MEMORY_MB, 10) || 1024 // Memory (RSS) threshold of a browser process tree
+};
+
 /**
  * Memory Conversion Constants
  */
@@ -107,7 +119,37 @@ export const DEFAULT_TIMEOUT_MODE = TIMEOUT_MODE_NAMES.NORMAL;
 export const RESPONSE_TYPE_NAMES = Object.freeze({
   NONE: 'NONE', // No response expected
   JSON: 'JSON', // JSON response expected
-  RAW: 'RAW' // Raw response expected
+  RAW: 'RAW', // Raw response expected
+  CSV: 'CSV', // Captured rows as a CSV file
+  NDJSON: 'NDJSON', // Captured rows as newline-delimited JSON
+  XML: 'XML', // Captured rows as an XML document
+  PDF: 'PDF', // URL of a PDF print of the page
+  MHTML: 'MHTML' // URL of an MHTML snapshot of the page
+});
+
+/**
+ * File Response Formats
+ * Response types that serialise the captured rows into a downloadable file
+ */
+export const RESPONSE_FORMATS = Object.freeze({
+  [RESPONSE_TYPE_NAMES.CSV]: { CONTENT_TYPE: 'text/csv; charset=utf-8', EXTENSION: 'csv' },
+  [RESPONSE_TYPE_NAMES.NDJSON]: {
+    CONTENT_TYPE: 'application/x-ndjson; charset=utf-8',
+    EXTENSION: 'ndjson'
+  },
+  [RESPONSE_TYPE_NAMES.XML]: { CONTENT_TYPE: 'application/xml; charset=utf-8', EXTENSION: 'xml' }
+});
+
+/**
+ * Response Metadata Headers
+ * File responses carry the metadata of the JSON body in these headers
+ */
+export const RESPONSE_METADATA_HEADERS = Object.freeze({
+  PROXY: 'X-Scrape-Proxy', // Proxy used by the scrape, protocol://server:port
+  SCREENSHOT_URL: 'X-Scrape-Screenshot-Url', // Success screenshot, if enabled
+  HAR_URL: 'X-Scrape-Har-Url', // Network log, if output.har is enabled
+  PARTIAL: 'X-Scrape-Partial', // "true" when optional selectors missed or transforms failed
+  ERRORS: 'X-Scrape-Errors' // Comma-separated keys of the values reported as errors
 });
 
 /** Default response type if none specified */
@@ -119,7 +161,33 @@ export const DEFAULT_RESPONSE_TYPE = RESPONSE_TYPE_NAMES.NONE;
 export const SELECTOR_TYPE_NAMES = Object.freeze({
   CSS: 'CSS', // CSS selector
   XPATH: 'XPATH', // XPath selector
-  FULL: 'FULL' // Full selector
+  ARIA: 'ARIA', // Accessible name and role, e.g. "Submit[role=\"button\"]"
+  TEXT: 'TEXT', // Visible text content
+  PIERCE: 'PIERCE', // CSS selector reaching into open shadow roots
+  FULL: 'FULL', // Full selector
+  LIST: 'LIST' // Container selector with named field selectors, returns one object per container
+});
+
+// Define what is read from the elements matched by a capture selector
+export const EXTRACT_MODES = Object.freeze({
+  AUTO: 'auto', // Form field value, otherwise innerHTML or textContent when there is no markup
+  TEXT: 'text', // textContent
+  HTML: 'html', // innerHTML
+  OUTER_HTML: 'outerHTML' // outerHTML, including the element itself
+});
+
+// Define transforms applied in order to captured values
+export const TRANSFORM_TYPES = Object.freeze({
+  TRIM: 'trim', // Remove leading and trailing whitespace
+  COLLAPSE_WHITESPACE: 'collapseWhitespace', // Replace whitespace runs with a single space and trim
+  REGEX_EXTRACT: 'regexExtract', // Keep a capture group of the first match, null without a match
+  REGEX_REPLACE: 'regexReplace', // Replace matches, all of them with the default "g" flag
+  PARSE_NUMBER: 'parseNumber', // Parse a number written with the group and decimal separators of a locale
+  PARSE_DATE: 'parseDate', // Parse a date into an ISO 8601 string
+  RESOLVE_URL: 'resolveUrl', // Resolve a relative URL against the page URL
+  STRIP_TAGS: 'stripTags', // Remove HTML tags and decode common entities
+  LOWERCASE: 'lowercase', // Convert to lower case
+  DEFAULT: 'default' // Replace null, undefined and empty strings with a value
 });
 
 // ===========================================
@@ -150,6 +218,28 @@ export const BROWSER_CONFIG = {
   }
 };
 
+/**
+ * Request Header Configuration
+ * Headers sent by the browser on behalf of the scrape request
+ */
+export const REQUEST_HEADER_CONFIG = Object.freeze({
+  NAME_PATTERN: /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/, // RFC 9110 token
+  // Hop-by-hop and connection managed headers, set by the browser itself
+  DENYLIST: Object.freeze([
+    'connection',
+    'content-length',
+    'host',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+  ])
+});
+
 // ===========================================
 // API and Server Configuration
 // ===========================================
@@ -168,6 +258,7 @@ export const CORS_CONFIG = {
   ORIGIN: '*',
   METHODS: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   ALLOWED_HEADERS: ['Content-Type', 'Authorization'],
+  EXPOSED_HEADERS: ['Content-Disposition', ...Object.values(RESPONSE_METADATA_HEADERS)],
   CREDENTIALS: true,
   MAX_AGE: 86400 // Cache preflight requests for 24 hours
 };
@@ -201,12 +292,131 @@ export const AUTH_DEFAULTS = {
 export const STEP_TYPES = Object.freeze({
   NAVIGATE: 'navigate', // Navigate to a URL
   CLICK: 'click', // Perform a click action
+  DOUBLE_CLICK: 'doubleClick', // Perform a double click action
+  HOVER: 'hover', // Move the pointer over an element
   WAIT: 'wait', // Wait for a specified duration
   SET_VIEWPORT: 'setViewport', // Set the browser viewport size
   CHANGE: 'change', // Change the value of an input element
-  WAIT_FOR_ELEMENT: 'waitForElement' // Wait for element to appear
+  KEY_DOWN: 'keyDown', // Press a keyboard key
+  KEY_UP: 'keyUp', // Release a keyboard key
+  SCROLL: 'scroll', // Scroll the page or an element
+  WAIT_FOR_ELEMENT: 'waitForElement', // Wait for element to appear
+  WAIT_FOR_EXPRESSION: 'waitForExpression', // Wait for a JavaScript expression to be truthy
+  CLOSE: 'close', // Close the target page
+  EMULATE_NETWORK_CONDITIONS: 'emulateNetworkConditions', // Throttle the network
+  CUSTOM_STEP: 'customStep', // Custom step, accepted for compatibility and skipped by the runner
+  SET_VARIABLE: 'setVariable' // Store the text or an attribute of an element in a variable
+});
+
+/** Replacement for secret variable values in logs */
+export const SECRET_MASK = '***';
+
+/**
+ * Asserted Event Types for Recorder steps
+ */
+export const ASSERTED_EVENT_TYPES = Object.freeze({
+  NAVIGATION: 'navigation' // Step is expected to trigger a navigation
+});
+
+/**
+ * Pointer Buttons accepted by click and doubleClick steps
+ * Legacy names (left, middle, right) are mapped to Recorder names before replay
+ */
+export const POINTER_BUTTONS = Object.freeze({
+  PRIMARY: 'primary',
+  AUXILIARY: 'auxiliary',
+  SECONDARY: 'secondary',
+  BACK: 'back',
+  FORWARD: 'forward',
+  LEFT: 'left',
+  MIDDLE: 'middle',
+  RIGHT: 'right'
+});
+
+/**
+ * Pointer Device Types accepted by click and doubleClick steps
+ */
+export const POINTER_DEVICE_TYPES = Object.freeze({
+  MOUSE: 'mouse',
+  PEN: 'pen',
+  TOUCH: 'touch'
+});
+
+/**
+ * Comparison operators accepted by waitForElement steps
+ */
+export const WAIT_FOR_ELEMENT_OPERATORS = Object.freeze({
+  GREATER_OR_EQUAL: '>=',
+  EQUAL: '==',
+  LESS_OR_EQUAL: '<='
+});
+
+/**
+ * Scrape Job Status Enum
+ */
+export const JOB_STATUSES = Object.freeze({
+  QUEUED: 'queued', // Accepted and waiting for a browser slot
+  RUNNING: 'running', // Browser is executing the recording
+  SUCCEEDED: 'succeeded', // Finished with a result
+  FAILED: 'failed', // Finished with an error
+  CANCELLED: 'cancelled' // Cancelled by the client
 });
 
+/**
+ * Scrape Job Configuration
+ */
+export const JOB_CONFIG = {
+  STORE_DIR_NAME: 'jobs', // Sub directory of the data directory holding job files
+  RETENTION_HOURS: 24 // Finished jobs older than this are removed on startup
+};
+
+/**
+ * Session Configuration
+ */
+export const SESSION_CONFIG = {
+  STORE_DIR_NAME: 'sessions', // Sub directory of the data directory holding session files
+  NAME_PATTERN: /^[\w.-]{1,100}$/, // Session names double as file names
+  RESTORE_MARKER_KEY: '__scrapereq_session_restored' // sessionStorage key set once a tab's storage was restored
+};
+
+/**
+ * Batch Scrape Configuration
+ *
+ * Rows of a batch still share the global browser slots, the per-batch
+ * concurrency only limits how many of them one batch may queue at once.
+ */
+export const BATCH_CONFIG = {
+  MAX_ROWS: 1000, // Maximum number of input rows per batch
+  DEFAULT_CONCURRENCY: 1, // Rows run one after another unless the client asks otherwise
+  MAX_CONCURRENCY: 10, // Upper bound of the per-batch concurrency
+  NDJSON_CONTENT_TYPE: 'application/x-ndjson' // Accept value that enables streamed results
+};
+
+/**
+ * Webhook Delivery Statuses
+ */
+export const DELIVERY_STATUSES = Object.freeze({
+  PENDING: 'pending', // Waiting for the job to finish or retrying
+  DELIVERED: 'delivered', // Callback URL answered with a 2xx status
+  FAILED: 'failed' // All attempts failed
+});
+
+/**
+ * Webhook Delivery Configuration
+ *
+ * Failed deliveries are retried with exponential backoff:
+ * 1s, 2s, 4s, 8s between the five attempts.
+ */
+export const WEBHOOK_CONFIG = {
+  MAX_ATTEMPTS: 5, // Total number of delivery attempts
+  INITIAL_DELAY_MS: 1000, // Delay before the first retry
+  BACKOFF_FACTOR: 2, // Multiplier applied to the delay after each retry
+  REQUEST_TIMEOUT_MS: 10000, // Timeout of a single delivery request
+  SIGNATURE_HEADER: 'X-Scrapereq-Signature', // HMAC-SHA256 signature of "<timestamp>.<body>"
+  TIMESTAMP_HEADER: 'X-Scrapereq-Timestamp', // Unix timestamp (seconds) included in the signature
+  JOB_ID_HEADER: 'X-Scrapereq-Job-Id' // ID of the job the payload belongs to
+};
+
 /**
  * Proxy Protocol Types
  */
@@ -319,6 +529,10 @@ export const SWAGGER_CONFIG = {
     {
       name: 'Os',
       description: 'Operating system operations'
+    },
+    {
+      name: 'Sessions',
+      description: 'Named browser session operations'
     }
   ]
 };
@@ -353,6 +567,97 @@ export const HELMET_CONFIG = {
   }
 };
 
+/**
+ * Artifact Configuration
+ * Files written to TMP_DIR and served under /api/tmp, named "<prefix>-<timestamp>-<id>.<extension>"
+ */
+export const ARTIFACT_CONFIG = Object.freeze({
+  PREFIXES: ['success', 'error', 'step', 'page', 'network'], // Screenshots, page snapshots and HAR files
+  // MIME types of inline artifacts by extension, files with other extensions are left to the cleanup job
+  MIME_TYPES: Object.freeze({
+    '.png': 'image/png',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.mhtml': 'multipart/related',
+    '.har': 'application/json'
+  }),
+  // Result fields holding artifact URLs and the fields their inline content replaces them with
+  URL_FIELDS: Object.freeze({
+    screenshotUrl: 'screenshot',
+    pdfUrl: 'pdf',
+    mhtmlUrl: 'mhtml',
+    harUrl: 'har'
+  }),
+  ID_BYTES: 8, // Random bytes in the file name, so that artifact URLs cannot be guessed
+  DEFAULT_MAX_INLINE_SIZE: 2 * 1024 * 1024, // Larger artifacts are delivered as URLs
+  MAX_INLINE_SIZE_LIMIT: 20 * 1024 * 1024 // Highest maxInlineSize a request may ask for
+});
+
+/**
+ * Artifact Delivery Modes
+ * How output.artifacts.delivery returns the generated files
+ */
+export const ARTIFACT_DELIVERY_MODES = Object.freeze({
+  URL: 'url', // Public URLs under /api/tmp
+  INLINE: 'inline' // Base64 content with a MIME type in the JSON result
+});
+
+/**
+ * Screenshot Configuration
+ * Defaults for output.screenshots
+ */
+export const SCREENSHOT_CONFIG = Object.freeze({
+  FORMATS: ['png', 'jpeg', 'webp'], // Image formats Chrome can encode
+  DEFAULT_FORMAT: 'png',
+  DEFAULT_FULL_PAGE: true, // Capture the whole scrollable page rather than the viewport
+  SETTLE_DELAY: 500 // Milliseconds to wait before success and error screenshots
+});
+
+/**
+ * PDF Output Configuration
+ * Defaults for output.pdf, paper formats are matched case-insensitively
+ */
+export const PDF_CONFIG = Object.freeze({
+  FORMATS: ['Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6'],
+  DEFAULT_FORMAT: 'A4',
+  DEFAULT_MARGIN: '1cm', // Applied to every side without a margin of its own
+  DEFAULT_PRINT_BACKGROUND: true, // Archived copies keep background colours and images
+  DEFAULT_LANDSCAPE: false
+});
+
+/**
+ * Network Capture Configuration
+ * Limits of capture.request.data and capture.response.data
+ */
+export const NETWORK_CAPTURE_CONFIG = Object.freeze({
+  // Milliseconds to wait for pending body reads once the flow has finished, so that
+  // streaming (SSE) and long-poll responses cannot hold the scrape open
+  BODY_READ_TIMEOUT: 5000
+});
+
+/**
+ * HAR Recording Configuration
+ * Network logs recorded with output.har, served publicly under /api/tmp
+ */
+export const HAR_CONFIG = Object.freeze({
+  DEFAULT_MAX_BODY_SIZE: 64 * 1024, // Bodies above this many bytes are left out
+  MAX_BODY_SIZE_LIMIT: 5 * 1024 * 1024, // Highest maxBodySize a request may ask for
+  // Credentials that must never end up in a public file, their values are masked
+  REDACTED_HEADERS: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'],
+  // Content types stored as text, other bodies are stored base64-encoded
+  TEXT_CONTENT_TYPE_PATTERN: /^text\/|json|xml|javascript|ecmascript|x-www-form-urlencoded/i
+});
+
+/**
+ * Console Capture Configuration
+ * Bounds the console output returned with output.console
+ */
+export const CONSOLE_CAPTURE_CONFIG = Object.freeze({
+  MAX_ENTRIES: 500, // Entries beyond this count are dropped
+  MAX_TEXT_LENGTH: 4096 // Longer messages and stacks are truncated
+});
+
 /**
  * Static File Server Configuration for Temporary Files
  */
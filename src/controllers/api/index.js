@@ -16,6 +16,7 @@ export function controllerApiIndex(_req, res, next) {
       version: '1.0.0',
       endpoints: {
         scrape: '/api/scrape',
+        sessions: '/api/sessions',
         app: '/api/app',
         os: '/api/os',
         docs: '/api/docs'
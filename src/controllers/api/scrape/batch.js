@@ -0,0 +1,73 @@
+/**
+ * Batch Scraper Controller
+ *
+ * Runs one record/capture template against many input rows.
+ * Returns all row results at once, or streams them as NDJSON when the
+ * client accepts application/x-ndjson.
+ */
+
+// Import constants
+import { BATCH_CONFIG } from '../../../constants.js';
+
+// Helpers
+import { helperScrapeBatchRun } from '../../../helpers/scrape-batch.js';
+import { helperScrapeValidateBatchBody } from '../../../helpers/scrape-validate-batch-body.js';
+
+/**
+ * Batch scraper controller function
+ *
+ * @param {Object} req - Express request object containing the template and input rows
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} - Returns or streams the per-row results
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export async function controllerApiScrapeBatch(req, res, next) {
+  try {
+    // Validate the request body and build one scrape body per row
+    const { concurrency, items } = helperScrapeValidateBatchBody({ body: req.body });
+
+    // Stop the remaining rows when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    const stream =
+      req.accepts(['application/json', BATCH_CONFIG.NDJSON_CONTENT_TYPE]) ===
+      BATCH_CONFIG.NDJSON_CONTENT_TYPE;
+
+    if (stream) {
+      // One JSON line per row, written in completion order
+      res.type(BATCH_CONFIG.NDJSON_CONTENT_TYPE);
+      res.flushHeaders();
+
+      await helperScrapeBatchRun({
+        items,
+        concurrency,
+        signal: controller.signal,
+        onResult: (result) => res.write(`${JSON.stringify(result)}\n`)
+      });
+
+      res.end();
+      return;
+    }
+
+    const results = await helperScrapeBatchRun({ items, concurrency, signal: controller.signal });
+    const succeeded = results.filter((result) => result?.success).length;
+
+    res.send({
+      success: true,
+      data: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Scrape Job Cancel Controller
+ *
+ * Cancels a queued or running background scrape job.
+ */
+
+// Helpers
+import { helperScrapeJobs } from '../../../../helpers/scrape-jobs.js';
+
+/**
+ * Scrape job cancel controller function
+ *
+ * @param {Object} req - Express request object with the job ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the cancelled job
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiScrapeJobsCancel(req, res, next) {
+  try {
+    const job = helperScrapeJobs.cancel({ id: req.params.id });
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+}
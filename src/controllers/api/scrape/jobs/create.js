@@ -0,0 +1,38 @@
+/**
+ * Scrape Job Create Controller
+ *
+ * Validates a scrape request and queues it as a background job.
+ * Responds immediately with the job ID instead of holding the connection open.
+ */
+
+// Helpers
+import { helperScrapeJobs } from '../../../../helpers/scrape-jobs.js';
+import { helperScrapeValidateRequestBody } from '../../../../helpers/scrape-validate-req-body.js';
+
+/**
+ * Scrape job create controller function
+ *
+ * @param {Object} req - Express request object containing scraping configuration and steps
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the created job with status 202
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiScrapeJobsCreate(req, res, next) {
+  try {
+    // Validate the request body, job results are stored as JSON so file responses are rejected
+    const validateValue = helperScrapeValidateRequestBody({
+      body: req.body,
+      allowCallback: true,
+      allowFileResponses: false
+    });
+
+    // Queue the scraping operation
+    const job = helperScrapeJobs.create({ body: validateValue });
+
+    // Return the job so that the client can poll it
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+}
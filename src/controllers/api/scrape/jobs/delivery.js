@@ -0,0 +1,27 @@
+/**
+ * Scrape Job Delivery Controller
+ *
+ * Returns the webhook delivery log of a background scrape job.
+ */
+
+// Helpers
+import { helperScrapeJobs } from '../../../../helpers/scrape-jobs.js';
+
+/**
+ * Scrape job delivery controller function
+ *
+ * @param {Object} req - Express request object with the job ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the delivery status and attempts
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiScrapeJobsDelivery(req, res, next) {
+  try {
+    const delivery = helperScrapeJobs.getDelivery({ id: req.params.id });
+
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Scrape Job Status Controller
+ *
+ * Returns the status of a background scrape job and its result once finished.
+ */
+
+// Helpers
+import { helperScrapeJobs } from '../../../../helpers/scrape-jobs.js';
+
+/**
+ * Scrape job status controller function
+ *
+ * @param {Object} req - Express request object with the job ID in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the job status and result
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiScrapeJobsGet(req, res, next) {
+  try {
+    const job = helperScrapeJobs.get({ id: req.params.id });
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Recording Scraper Controller
+ *
+ * Runs an untouched Chrome DevTools Recorder export.
+ * Maps the export onto the scrape request schema and executes it.
+ */
+
+// Helpers
+import { helperDoScraping } from '../../../helpers/do-scraping.js';
+import { helperResponseFormatSend } from '../../../helpers/response-formats.js';
+import { helperScrapeValidateRecordingBody } from '../../../helpers/scrape-validate-recording-body.js';
+
+/**
+ * Recording scraper controller function
+ *
+ * @param {Object} req - Express request object containing the Recorder export
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} - Returns scraping results
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export async function controllerApiScrapeRecording(req, res, next) {
+  try {
+    // Validate the export and map it onto the scrape request schema
+    const validateValue = helperScrapeValidateRecordingBody({ body: req.body });
+
+    // Execute the scraping operation
+    const result = await helperDoScraping(validateValue);
+
+    // Return results, CSV, NDJSON and XML as files
+    helperResponseFormatSend({ res, result });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -7,6 +7,7 @@
 
 // Helpers
 import { helperDoScraping } from '../../../helpers/do-scraping.js';
+import { helperResponseFormatSend } from '../../../helpers/response-formats.js';
 import { helperScrapeValidateRequestBody } from '../../../helpers/scrape-validate-req-body.js';
 
 /**
@@ -26,8 +27,8 @@ export async function controllerApiScrapeStart(req, res, next) {
     // Execute the scraping operation
     const result = await helperDoScraping(validateValue);
 
-    // Return results
-    res.send(result);
+    // Return results, CSV, NDJSON and XML as files
+    helperResponseFormatSend({ res, result });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,27 @@
+/**
+ * Session Delete Controller
+ *
+ * Deletes a stored named session.
+ */
+
+// Helpers
+import { helperSessions } from '../../../helpers/sessions.js';
+
+/**
+ * Session delete controller function
+ *
+ * @param {Object} req - Express request object with the session name in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the deleted session summary
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiSessionsDelete(req, res, next) {
+  try {
+    const data = helperSessions.remove({ name: req.params.name });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Session Expire Controller
+ *
+ * Expires a named session so that the next scrape using it starts from a blank profile.
+ */
+
+// Helpers
+import { helperSessions } from '../../../helpers/sessions.js';
+
+/**
+ * Session expire controller function
+ *
+ * @param {Object} req - Express request object with the session name in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the expired session summary
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiSessionsExpire(req, res, next) {
+  try {
+    const data = helperSessions.expire({ name: req.params.name });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Session Detail Controller
+ *
+ * Returns a stored named session including its cookies and storage.
+ */
+
+// Helpers
+import { helperSessions } from '../../../helpers/sessions.js';
+
+/**
+ * Session detail controller function
+ *
+ * @param {Object} req - Express request object with the session name in params
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the session
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiSessionsGet(req, res, next) {
+  try {
+    const data = helperSessions.get({ name: req.params.name });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Session List Controller
+ *
+ * Lists stored named sessions without their cookie values or storage contents.
+ */
+
+// Helpers
+import { helperSessions } from '../../../helpers/sessions.js';
+
+/**
+ * Session list controller function
+ *
+ * @param {Object} _req - Express request object (unused, prefixed with underscore)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} - Returns the session summaries
+ * @throws {Error} - Forwards errors to the error handler middleware
+ */
+export function controllerApiSessionsList(_req, res, next) {
+  try {
+    const data = helperSessions.list();
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+}
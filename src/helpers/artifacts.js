@@ -0,0 +1,136 @@
+/**
+ * Artifacts Helper
+ *
+ * Names the files a scrape leaves behind (screenshots, PDF prints, MHTML
+ * snapshots, HAR files) in the tmp directory, builds their public /api/tmp
+ * URLs and embeds them into results for clients that cannot reach those URLs.
+ */
+
+// Node core modules
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Import config
+import { config } from '../config.js';
+
+// Import constants
+import { ARTIFACT_CONFIG } from '../constants.js';
+
+/**
+ * Reserves the path and URL of a new artifact file
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.prefix - File name prefix, one of ARTIFACT_CONFIG.PREFIXES
+ * @param {string} options.extension - File extension including the dot, e.g. ".pdf"
+ * @returns {{ filePath: string, url: string }} - Path to write the file to and its public URL
+ */
+export function helperArtifactsCreate({ prefix, extension }) {
+  const artifactsDir = getArtifactsDir();
+
+  // Create directory if it doesn't exist
+  if (!fs.existsSync(artifactsDir)) {
+    fs.mkdirSync(artifactsDir, { recursive: true });
+  }
+
+  // The timestamp lets the cleanup job date the file, the random part keeps the URL private
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const randomId = crypto.randomBytes(ARTIFACT_CONFIG.ID_BYTES).toString('hex');
+  const filename = `${prefix}-${timestamp}-${randomId}${extension}`;
+
+  // Create a proper URL path using the /tmp/ endpoint
+  const webAddress =
+    process.env.WEB_ADDRESS || `http://${config.server.host}:${config.server.port}`;
+
+  return {
+    filePath: path.join(artifactsDir, filename),
+    url: `${webAddress}/api/tmp/${filename}`
+  };
+}
+
+/**
+ * Checks whether a file in the tmp directory is an artifact written by a scrape
+ *
+ * @param {string} filename - File name
+ * @returns {boolean} - True for screenshots and page snapshots
+ */
+export function helperArtifactsIsArtifact(filename) {
+  return (
+    ARTIFACT_CONFIG.PREFIXES.some((prefix) => filename.startsWith(`${prefix}-`)) &&
+    Object.hasOwn(ARTIFACT_CONFIG.MIME_TYPES, path.extname(filename))
+  );
+}
+
+/**
+ * Replaces the artifact URLs of a result with the base64 content of the files
+ * Covers the fields of ARTIFACT_CONFIG.URL_FIELDS and the entries of the screenshots list.
+ * Artifacts above the size limit, or no longer on disk, keep their URL.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.target - Result data or error object holding the URLs, changed in place
+ * @param {number} [options.maxSize] - Largest file in bytes that is embedded
+ * @returns {Object} - The target
+ */
+export function helperArtifactsInline({
+  target,
+  maxSize = ARTIFACT_CONFIG.DEFAULT_MAX_INLINE_SIZE
+}) {
+  for (const [urlField, inlineField] of Object.entries(ARTIFACT_CONFIG.URL_FIELDS)) {
+    const inline = target[urlField] ? readInline({ url: target[urlField], maxSize }) : null;
+    if (inline) {
+      delete target[urlField];
+      target[inlineField] = inline;
+    }
+  }
+
+  for (const entry of target.screenshots ?? []) {
+    const inline = readInline({ url: entry.url, maxSize });
+    if (inline) {
+      delete entry.url;
+      Object.assign(entry, inline);
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Returns the directory artifacts are written to
+ *
+ * @returns {string} - TMP_DIR, or the tmp directory of the working directory
+ */
+function getArtifactsDir() {
+  return process.env.TMP_DIR || path.join(process.cwd(), 'tmp');
+}
+
+/**
+ * Reads the artifact behind a URL into an inline object
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.url - Artifact URL returned by helperArtifactsCreate
+ * @param {number} options.maxSize - Largest file in bytes that is embedded
+ * @returns {{ mimeType: string, size: number, data: string }|null} - Base64 content, null to keep the URL
+ */
+function readInline({ url, maxSize }) {
+  const filename = path.basename(new URL(url).pathname);
+  const filePath = path.join(getArtifactsDir(), filename);
+
+  let size;
+  try {
+    ({ size } = fs.statSync(filePath));
+  } catch (error) {
+    console.error(`Artifact ${filename} cannot be inlined:`, error.message);
+    return null;
+  }
+
+  if (size > maxSize) {
+    console.log(`Artifact ${filename} exceeds the inline size limit, delivered as URL`);
+    return null;
+  }
+
+  return {
+    mimeType: ARTIFACT_CONFIG.MIME_TYPES[path.extname(filename)],
+    size,
+    data: fs.readFileSync(filePath).toString('base64')
+  };
+}
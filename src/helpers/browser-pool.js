@@ -0,0 +1,352 @@
+/**
+ * Browser Pool Helper
+ *
+ * Keeps warm browser instances so that scrapes do not pay for a Chrome launch.
+ * Every scrape gets its own incognito BrowserContext, which also carries the
+ * proxy of the request. Browsers are recycled after a number of jobs or when
+ * they use too much memory, and crashed browsers are replaced.
+ */
+
+// Node core modules
+import fs from 'fs';
+
+// Import constants
+import {
+  MAX_CONCURRENT_BROWSERS,
+  BROWSER_CONFIG,
+  BROWSER_POOL_CONFIG,
+  MEMORY_CONSTANTS
+} from '../constants.js';
+
+// Browser pool sized like the browser semaphore
+export const helperBrowserPool = {
+  /**
+   * Number of browsers kept in the pool
+   * @type {number}
+   */
+  size: MAX_CONCURRENT_BROWSERS,
+
+  /**
+   * Pooled browsers
+   * @type {Array<{ ready: Promise<Object>, browser: Object|null, jobs: number, active: number, retiring: boolean, closing: boolean }>}
+   */
+  entries: [],
+
+  /**
+   * Set once the pool has been closed, no browser is launched afterwards
+   * @type {boolean}
+   */
+  closed: false,
+
+  /**
+   * Launches browsers until the pool is full
+   * @returns {Promise<void>} - Resolves when all browsers are ready
+   */
+  async init() {
+    const missing = Math.max(this.size - this.entries.length, 0);
+    await Promise.allSettled(Array.from({ length: missing }, () => this.launch().ready));
+    console.log(`Browser pool ready with ${this.entries.length}/${this.size} browsers`);
+  },
+
+  /**
+   * Opens an isolated browser context on the least busy browser
+   * @param {Object} [options] - Options object
+   * @param {string} [options.proxyServer] - Proxy server used by the context only
+   * @returns {Promise<{ context: Object, release: Function }>} - Context and its release function
+   * @throws {Error} - Throws an error if no browser could be launched or the context could not be created
+   */
+  async acquire({ proxyServer } = {}) {
+    const entry = this.pick();
+    entry.active++;
+    entry.jobs++;
+
+    try {
+      const browser = await entry.ready;
+      const context = await browser.createBrowserContext(proxyServer ? { proxyServer } : {});
+
+      let released = false;
+      const release = async () => {
+        if (!released) {
+          released = true;
+          await this.release(entry, context);
+        }
+      };
+
+      return { context, release };
+    } catch (error) {
+      entry.active--;
+      error.code = error.code || 'ERROR_BROWSER_POOL';
+      throw error;
+    }
+  },
+
+  /**
+   * Closes a context and recycles its browser when it is due
+   * @param {Object} entry - Pool entry the context belongs to
+   * @param {Object} context - BrowserContext to close
+   * @returns {Promise<void>} - Resolves when the context is closed
+   */
+  async release(entry, context) {
+    try {
+      await context.close();
+    } catch (error) {
+      console.error('Error closing browser context:', error.message);
+    }
+
+    entry.active--;
+
+    if (!entry.retiring && this.entries.includes(entry) && this.isWornOut(entry)) {
+      console.log(`Recycling browser after ${entry.jobs} jobs`);
+      entry.retiring = true;
+    }
+
+    // Wait for running contexts to finish before closing a retiring browser
+    if (entry.retiring && entry.active === 0) {
+      await this.retire(entry);
+    }
+  },
+
+  /**
+   * Picks an idle browser, launches one if the pool is not full, or shares the least busy one
+   * @returns {Object} - Pool entry
+   */
+  pick() {
+    const available = this.entries.filter((entry) => !entry.retiring);
+
+    const idle = available.find((entry) => entry.active === 0);
+    if (idle) {
+      return idle;
+    }
+
+    if (available.length < this.size) {
+      return this.launch();
+    }
+
+    return available.reduce((least, entry) => (entry.active < least.active ? entry : least));
+  },
+
+  /**
+   * Launches a browser and adds it to the pool
+   * The entry is added immediately so that concurrent picks do not over-launch.
+   * @returns {Object} - Pool entry whose ready promise resolves with the browser
+   */
+  launch() {
+    const entry = { browser: null, jobs: 0, active: 0, retiring: false, closing: false };
+
+    entry.ready = importPuppeteer()
+      .then((puppeteer) => puppeteer.launch(generateLaunchOptions()))
+      .then((browser) => {
+        entry.browser = browser;
+        browser.on('disconnected', () => this.onDisconnected(entry));
+        return browser;
+      })
+      .catch((error) => {
+        console.error('Error launching pooled browser:', error.message);
+        this.remove(entry);
+        throw error;
+      });
+
+    // Launch failures are reported to the scrape that awaits the entry
+    entry.ready.catch(() => {});
+
+    this.entries.push(entry);
+
+    return entry;
+  },
+
+  /**
+   * Removes a browser from the pool, closes it and launches a replacement
+   * @param {Object} entry - Pool entry
+   * @returns {Promise<void>} - Resolves when the browser is closed
+   */
+  async retire(entry) {
+    this.remove(entry);
+    entry.closing = true;
+
+    try {
+      await entry.browser?.close();
+    } catch (error) {
+      console.error('Error closing pooled browser:', error.message);
+    }
+
+    this.refill();
+  },
+
+  /**
+   * Replaces a browser that went away without being closed by the pool
+   * @param {Object} entry - Pool entry
+   * @returns {void}
+   */
+  onDisconnected(entry) {
+    if (entry.closing) {
+      return;
+    }
+
+    console.error('Pooled browser disconnected unexpectedly, launching a replacement');
+    this.remove(entry);
+    this.refill();
+  },
+
+  /**
+   * Launches a browser if the pool is below its size
+   * @returns {void}
+   */
+  refill() {
+    if (!this.closed && this.entries.filter((entry) => !entry.retiring).length < this.size) {
+      this.launch();
+    }
+  },
+
+  /**
+   * Removes an entry from the pool
+   * @param {Object} entry - Pool entry
+   * @returns {void}
+   */
+  remove(entry) {
+    this.entries = this.entries.filter((item) => item !== entry);
+  },
+
+  /**
+   * Checks whether a browser has served enough jobs or uses too much memory
+   * @param {Object} entry - Pool entry
+   * @returns {boolean} - True if the browser should be recycled
+   */
+  isWornOut(entry) {
+    if (entry.jobs >= BROWSER_POOL_CONFIG.RECYCLE_AFTER_JOBS) {
+      return true;
+    }
+
+    const memory = getProcessTreeMemory(entry.browser?.process()?.pid);
+    return (
+      memory !== null &&
+      memory > BROWSER_POOL_CONFIG.RECYCLE_MEMORY_MB * MEMORY_CONSTANTS.BYTES_TO_MB
+    );
+  },
+
+  /**
+   * Closes all browsers, used on shutdown
+   * @returns {Promise<void>} - Resolves when all browsers are closed
+   */
+  async close() {
+    this.closed = true;
+    const entries = this.entries;
+    this.entries = [];
+
+    await Promise.allSettled(
+      entries.map(async (entry) => {
+        entry.closing = true;
+        const browser = await entry.ready;
+        await browser.close();
+      })
+    );
+  }
+};
+
+/**
+ * Imports Puppeteer with the puppeteer-extra wrapper
+ * @returns {Promise<Object>} - Puppeteer instance
+ */
+async function importPuppeteer() {
+  try {
+    const [puppeteerVanilla, { addExtra }] = await Promise.all([
+      import('puppeteer'),
+      import('puppeteer-extra')
+    ]);
+
+    return addExtra(puppeteerVanilla);
+  } catch (error) {
+    throw new Error(`Error importing Puppeteer dependencies: ${error.message}`);
+  }
+}
+
+/**
+ * Generates the launch options shared by all pooled browsers
+ * Proxies are not part of them, they are set per BrowserContext.
+ *
+ * @returns {Object} - Puppeteer launch options
+ * @throws {Error} - Throws an error if the launch options cannot be generated
+ */
+function generateLaunchOptions() {
+  try {
+    // Configure launch options for Puppeteer with modern defaults
+    const launchOptions = {
+      headless: BROWSER_CONFIG.HEADLESS,
+      args: [
+        BROWSER_CONFIG.ARGS.NO_SANDBOX,
+        BROWSER_CONFIG.ARGS.DISABLE_SETUID_SANDBOX,
+        BROWSER_CONFIG.ARGS.DISABLE_WEB_SECURITY,
+        // Performance and feature flags
+        '--disable-dev-shm-usage', // Fix for Docker containers with limited memory
+        '--disable-gpu', // Disable GPU acceleration in headless mode
+        '--disable-setuid-sandbox', // Enhanced security
+        // Cookie and JavaScript related settings
+        '--enable-cookies',
+        '--enable-javascript',
+        '--enable-features=NetworkService',
+        '--disable-features=IsolateOrigins,site-per-process',
+        // Allow third-party cookies for site compatibility
+        '--disable-web-security',
+        '--disable-features=BlockThirdPartyCookies',
+        // Memory optimization
+        '--js-flags=--max-old-space-size=512' // Control memory usage
+      ],
+      ignoreHTTPSErrors: true,
+      defaultViewport: {
+        width: 1366,
+        height: 768,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
+        isLandscape: true
+      }
+    };
+
+    // Chrome path from environment variable if set
+    const chromePath = process.env.CHROME_PATH;
+    if (chromePath) {
+      launchOptions.executablePath = chromePath;
+    }
+
+    return launchOptions;
+  } catch (error) {
+    error.code = 'ERROR_HELPER_LAUNCH_OPTIONS_GENERATION';
+    throw error;
+  }
+}
+
+/**
+ * Sums the resident memory of a process and all of its descendants
+ * Chrome runs renderers in child processes, so the browser process alone is not enough.
+ * Only supported where /proc is available (Linux), null is returned elsewhere.
+ *
+ * @param {number} [pid] - Root process ID
+ * @returns {number|null} - Resident memory in bytes or null if unknown
+ */
+function getProcessTreeMemory(pid) {
+  if (!pid || !fs.existsSync(`/proc/${pid}`)) {
+    return null;
+  }
+
+  const pageSize = 4096;
+  let total = 0;
+  const pending = [pid];
+
+  try {
+    while (pending.length > 0) {
+      const current = pending.pop();
+
+      // Second field of statm is the resident set size in pages
+      const statm = fs.readFileSync(`/proc/${current}/statm`, 'utf8');
+      total += Number(statm.split(' ')[1]) * pageSize;
+
+      for (const thread of fs.readdirSync(`/proc/${current}/task`)) {
+        const children = fs.readFileSync(`/proc/${current}/task/${thread}/children`, 'utf8');
+        pending.push(...children.split(' ').filter(Boolean).map(Number));
+      }
+    }
+  } catch (_error) {
+    // Processes may exit while the tree is walked, the partial sum is good enough
+  }
+
+  return total;
+}
@@ -0,0 +1,203 @@
+/**
+ * Capture Transforms Helper
+ *
+ * Cleans up captured values with the ordered transforms of a capture selector
+ * (trimming, regular expressions, number and date parsing, URL resolution, ...).
+ * Failures are collected per key so that one bad value does not fail the scrape.
+ */
+
+// Import constants
+import { TRANSFORM_TYPES, SELECTOR_TYPE_NAMES } from '../constants.js';
+
+// Entities decoded by the stripTags transform
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': ' '
+};
+
+/**
+ * Runs the transforms of a selector on a single value
+ * String transforms leave other values (null, numbers, booleans) untouched.
+ *
+ * @param {Object} options - Options object
+ * @param {*} options.value - Captured value
+ * @param {Array<Object>} options.transforms - Validated transforms, in order
+ * @param {string} [options.baseUrl] - Page URL used by resolveUrl
+ * @returns {*} - Transformed value
+ * @throws {Error} - Throws an error naming the failing transform
+ */
+export function helperCaptureTransform({ value, transforms, baseUrl }) {
+  return transforms.reduce((current, transform, index) => {
+    try {
+      return applyTransform({ value: current, transform, baseUrl });
+    } catch (error) {
+      const transformError = new Error(
+        `Transform ${index + 1} (${transform.type}) failed: ${error.message}`
+      );
+      transformError.code = 'ERROR_CAPTURE_TRANSFORM';
+      throw transformError;
+    }
+  }, value);
+}
+
+/**
+ * Runs the transforms of a capture selector on its captured value
+ * Every value of a multiple selector and every LIST field is transformed on its own;
+ * a failing value becomes null and its error is reported under its path.
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.key - Selector key, used as error path prefix
+ * @param {*} options.value - Value returned for the selector
+ * @param {Object} options.selector - Validated capture selector
+ * @param {string} [options.baseUrl] - Page URL used by resolveUrl
+ * @returns {{ value: *, errors: Object }} - Transformed value and errors keyed by path
+ */
+export function helperCaptureTransformsApply({ key, value, selector, baseUrl }) {
+  const errors = {};
+
+  const transformOne = (current, transforms, path) => {
+    if (!transforms?.length) {
+      return current;
+    }
+
+    try {
+      return helperCaptureTransform({ value: current, transforms, baseUrl });
+    } catch (error) {
+      errors[path] = { code: error.code, message: error.message };
+      return null;
+    }
+  };
+
+  const transformAll = (current, options, path) =>
+    options.multiple && Array.isArray(current)
+      ? current.map((item, index) => transformOne(item, options.transforms, `${path}[${index}]`))
+      : transformOne(current, options.transforms, path);
+
+  if (selector.type === SELECTOR_TYPE_NAMES.LIST) {
+    const rows = value.map((row, index) => {
+      const transformed = { ...row };
+      for (const [name, field] of Object.entries(selector.fields)) {
+        transformed[name] = transformAll(row[name], field, `${key}[${index}].${name}`);
+      }
+      return transformed;
+    });
+
+    return { value: rows, errors };
+  }
+
+  return { value: transformAll(value, selector, key), errors };
+}
+
+/**
+ * Applies a single transform
+ *
+ * @param {Object} options - Options object
+ * @param {*} options.value - Current value
+ * @param {Object} options.transform - Transform with its type and options
+ * @param {string} [options.baseUrl] - Page URL used by resolveUrl
+ * @returns {*} - Transformed value
+ * @throws {Error} - Throws an error if the value cannot be transformed
+ */
+function applyTransform({ value, transform, baseUrl }) {
+  if (transform.type === TRANSFORM_TYPES.DEFAULT) {
+    return value === null || value === undefined || value === '' ? transform.value : value;
+  }
+
+  if (transform.type === TRANSFORM_TYPES.PARSE_NUMBER && typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (transform.type) {
+    case TRANSFORM_TYPES.TRIM:
+      return value.trim();
+
+    case TRANSFORM_TYPES.COLLAPSE_WHITESPACE:
+      return value.replace(/\s+/g, ' ').trim();
+
+    case TRANSFORM_TYPES.REGEX_EXTRACT: {
+      const match = value.match(new RegExp(transform.pattern, transform.flags));
+      if (!match) {
+        return null;
+      }
+
+      // Without an explicit group, the first capture group wins over the whole match
+      const group = transform.group ?? (match.length > 1 ? 1 : 0);
+      const extracted = typeof group === 'number' ? match[group] : match.groups?.[group];
+      return extracted ?? null;
+    }
+
+    case TRANSFORM_TYPES.REGEX_REPLACE:
+      return value.replace(new RegExp(transform.pattern, transform.flags), transform.replacement);
+
+    case TRANSFORM_TYPES.PARSE_NUMBER:
+      return parseLocaleNumber(value, transform.locale);
+
+    case TRANSFORM_TYPES.PARSE_DATE: {
+      const date = new Date(value.trim());
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`"${value}" is not a valid date`);
+      }
+      return date.toISOString();
+    }
+
+    case TRANSFORM_TYPES.RESOLVE_URL:
+      return new URL(value.trim(), transform.base || baseUrl).href;
+
+    case TRANSFORM_TYPES.STRIP_TAGS:
+      return value
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:amp|lt|gt|quot|#39|apos|nbsp);/g, (entity) => HTML_ENTITIES[entity]);
+
+    case TRANSFORM_TYPES.LOWERCASE:
+      return value.toLowerCase();
+
+    default:
+      throw new Error(`Unsupported transform type: ${transform.type}`);
+  }
+}
+
+/**
+ * Parses a number written with the separators of a locale, ignoring currency symbols and units
+ * Text around the number is dropped, a minus sign only counts right before it, so ranges such
+ * as "12-15" are not numbers.
+ *
+ * @param {string} value - Text holding the number, e.g. "1.234,50 €"
+ * @param {string} [locale] - BCP 47 locale, en-US by default
+ * @returns {number} - Parsed number
+ * @throws {Error} - Throws an error if the text holds no number or more than one
+ */
+function parseLocaleNumber(value, locale = 'en-US') {
+  const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+  const group = parts.find((part) => part.type === 'group')?.value ?? ',';
+  const decimal = parts.find((part) => part.type === 'decimal')?.value ?? '.';
+  const minus = parts.find((part) => part.type === 'minusSign')?.value ?? '-';
+
+  const normalized = value
+    .replace(/\s/g, ' ')
+    // Some locales group digits with (narrow) no-break spaces
+    .split(/\s/.test(group) ? ' ' : group)
+    .join('')
+    .split(decimal)
+    .join('.')
+    .split(minus)
+    .join('-')
+    // Drop currency symbols and units, then what is left around the number
+    .replace(/[\p{L}\p{Sc}]/gu, '')
+    .replace(/^.*?(?=-?\.?\d)/, '')
+    .replace(/\D+$/, '');
+
+  if (!/^-?(?:\d+(?:\.\d*)?|\.\d+)$/.test(normalized)) {
+    throw new Error(`"${value}" is not a number in locale ${locale}`);
+  }
+
+  return Number(normalized);
+}
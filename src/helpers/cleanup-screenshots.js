@@ -1,12 +1,16 @@
 /**
  * Screenshot Cleanup Helper
- * Removes screenshot files from the tmp directory that are older than the specified retention period
+ * Removes screenshots and page snapshots from the tmp directory that are older than the
+ * specified retention period
  */
 
 // Node core modules
 import fs from 'fs';
 import path from 'path';
 
+// Helper functions
+import { helperArtifactsIsArtifact } from './artifacts.js';
+
 /**
  * Extracts date from screenshot filename
  *
@@ -75,8 +79,8 @@ export async function helperCleanupOldScreenshots(retentionHours = 24) {
 
     // Check each file
     for (const file of files) {
-      // Only process screenshot PNG files
-      if (!(file.startsWith('success-') || file.startsWith('error-')) || !file.endsWith('.png')) {
+      // Only process screenshots and page snapshots
+      if (!helperArtifactsIsArtifact(file)) {
         continue;
       }
 
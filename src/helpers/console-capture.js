@@ -0,0 +1,124 @@
+/**
+ * Console Capture Helper
+ *
+ * Collects console messages, uncaught page errors and failed requests of a
+ * page while the steps run, each tagged with a timestamp and the index of
+ * the step that was running, so a failed wait can be traced back to the
+ * script error that caused it.
+ */
+
+// Import constants
+import { CONSOLE_CAPTURE_CONFIG } from '../constants.js';
+
+// Helper functions
+import { helperTemplateMask } from './template-interpolate.js';
+
+/**
+ * Starts collecting the console output of a page
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance to observe
+ * @param {Function} options.getStepIndex - Returns the index of the running step, null before the first one
+ * @returns {Object} - Capture handle exposing detach() and entries()
+ */
+export function helperConsoleCaptureAttach({ page, getStepIndex }) {
+  const collected = [];
+  let dropped = 0;
+
+  const push = (entry) => {
+    if (collected.length >= CONSOLE_CAPTURE_CONFIG.MAX_ENTRIES) {
+      dropped++;
+      return;
+    }
+
+    collected.push({
+      ...entry,
+      text: truncate(entry.text),
+      timestamp: new Date().toISOString(),
+      stepIndex: getStepIndex()
+    });
+  };
+
+  const onConsole = (message) => {
+    const { url, lineNumber, columnNumber } = message.location() ?? {};
+
+    push({
+      type: 'console',
+      level: message.type(),
+      text: message.text(),
+      ...(url ? { location: { url, lineNumber, columnNumber } } : {})
+    });
+  };
+
+  const onPageError = (error) => {
+    push({
+      type: 'pageerror',
+      text: error instanceof Error ? error.message : String(error),
+      ...(error?.stack ? { stack: truncate(error.stack) } : {})
+    });
+  };
+
+  const onRequestFailed = (request) => {
+    push({
+      type: 'requestfailed',
+      text: request.failure()?.errorText ?? 'Request failed',
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType()
+    });
+  };
+
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('requestfailed', onRequestFailed);
+
+  return {
+    /**
+     * Stops collecting, events emitted afterwards are not part of the output
+     *
+     * @returns {void}
+     */
+    detach() {
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+      page.off('requestfailed', onRequestFailed);
+
+      if (dropped > 0) {
+        console.log(`Console capture limit reached, ${dropped} entries dropped`);
+      }
+    },
+
+    /**
+     * Returns the collected entries with secret variable values masked
+     *
+     * @param {Object} [options] - Options object
+     * @param {Array<string>} [options.secrets] - Secret variable values to mask
+     * @returns {Array<Object>} - Entries in the order they were emitted
+     */
+    entries({ secrets = [] } = {}) {
+      const mask = (text) => helperTemplateMask({ text, secrets });
+
+      return collected.map((entry) => ({
+        ...entry,
+        text: mask(entry.text),
+        ...(entry.stack ? { stack: mask(entry.stack) } : {}),
+        ...(entry.url ? { url: mask(entry.url) } : {}),
+        ...(entry.location
+          ? { location: { ...entry.location, url: mask(entry.location.url) } }
+          : {})
+      }));
+    }
+  };
+}
+
+/**
+ * Shortens texts above the length limit so a chatty page cannot bloat the result
+ *
+ * @param {string} text - Message text
+ * @returns {string} - Text of at most CONSOLE_CAPTURE_CONFIG.MAX_TEXT_LENGTH characters
+ */
+function truncate(text) {
+  return text.length > CONSOLE_CAPTURE_CONFIG.MAX_TEXT_LENGTH
+    ? `${text.slice(0, CONSOLE_CAPTURE_CONFIG.MAX_TEXT_LENGTH)}…`
+    : text;
+}
@@ -0,0 +1,40 @@
+/**
+ * Cookie Capture Helper
+ *
+ * Reads the cookies requested by capture.response.cookies from the browser
+ * context once the flow has finished. The whole cookie jar of the context is
+ * read, so cookies set by XHR and API origins count as much as those of the
+ * pages the flow navigated to.
+ */
+
+/**
+ * Reads the requested cookies of a browser context
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.context - Puppeteer BrowserContext of the scrape
+ * @param {Array<string>} options.names - Cookie names to return
+ * @returns {Promise<Array<Object>>} - Matching cookies with their full attributes
+ * @throws {Error} - Throws an error if the cookies cannot be read
+ */
+export async function helperCookieCaptureRead({ context, names }) {
+  try {
+    const cookies = await context.cookies();
+
+    return cookies
+      .filter((cookie) => names.includes(cookie.name))
+      .map((cookie) => ({
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path,
+        expires: cookie.expires,
+        httpOnly: cookie.httpOnly,
+        secure: cookie.secure,
+        sameSite: cookie.sameSite || null
+      }));
+  } catch (error) {
+    error.message = `Error reading cookies: ${error.message}`;
+    error.code = 'ERROR_COOKIES_PROCESSING';
+    throw error;
+  }
+}
@@ -4,25 +4,50 @@
  * Executes predefined steps on target websites and returns the results
  */
 
-// Node core modules
-import fs from 'fs';
-import path from 'path';
-
-// Import config
-import { config } from '../config.js';
-
 // Import constants
 import {
   SPEED_MODES,
   TIMEOUT_MODES,
-  BROWSER_CONFIG,
   RESPONSE_TYPE_NAMES,
-  SELECTOR_TYPE_NAMES
+  RESPONSE_FORMATS,
+  SELECTOR_TYPE_NAMES,
+  STEP_TYPES,
+  ARTIFACT_DELIVERY_MODES
 } from '../constants.js';
 
 // Helper functions
 import { helperProxiesRandomGetOne } from './proxies-random-get-one.js';
 import { helperBrowserSemaphore } from './browser-semaphore.js';
+import { helperBrowserPool } from './browser-pool.js';
+import { helperNetworkCaptureAttach } from './network-capture.js';
+import { helperCookieCaptureRead } from './cookie-capture.js';
+import { helperPageHeadersApply } from './page-headers.js';
+import { helperReplayStepsNormalize, helperReplaySelectorQuery } from './replay-steps.js';
+import { helperSessions } from './sessions.js';
+import { helperCaptureTransformsApply } from './capture-transforms.js';
+import { helperFrameFind, helperFrameWait, helperFramePath } from './frame-locator.js';
+import { helperResponseFormatDocument } from './response-formats.js';
+import { helperPageSnapshotsPdf, helperPageSnapshotsMhtml } from './page-snapshots.js';
+import { helperHarRecorderAttach } from './har-recorder.js';
+import { helperConsoleCaptureAttach } from './console-capture.js';
+import { helperStepTraceCreate } from './step-trace.js';
+import { helperScreenshotsTake } from './screenshots.js';
+import { helperArtifactsInline } from './artifacts.js';
+import {
+  helperTemplateInterpolateStep,
+  helperTemplateStepStrings,
+  helperTemplateVariables,
+  helperTemplateMask
+} from './template-interpolate.js';
+
+// Element selector types and how they are named in "not found" errors
+const SELECTOR_LABELS = {
+  [SELECTOR_TYPE_NAMES.CSS]: 'CSS Selector',
+  [SELECTOR_TYPE_NAMES.XPATH]: 'XPath selector',
+  [SELECTOR_TYPE_NAMES.ARIA]: 'ARIA selector',
+  [SELECTOR_TYPE_NAMES.TEXT]: 'Text selector',
+  [SELECTOR_TYPE_NAMES.PIERCE]: 'Pierce selector'
+};
 
 /**
  * Main scraper controller function
@@ -31,28 +56,83 @@ import { helperBrowserSemaphore } from './browser-semaphore.js';
  * @param {Object} req - Express request object containing scraping configuration and steps
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
+ * @param {Object} [hooks] - Optional execution hooks used by background jobs
+ * @param {AbortSignal} [hooks.signal] - Aborts the scraping and closes the browser when triggered
+ * @param {Function} [hooks.onStart] - Called once a browser slot has been acquired
  * @returns {Promise<void>} - Returns a promise that resolves when the scraping is complete
  * @throws {Error} - Throws an error if the scraping process fails at any point
  * @throws {Error} - Throws an error if the request body validation fails
  * @throws {Error} - Throws an error if the browser or page instances cannot be created or closed
  */
-export async function helperDoScraping({ headers, proxy, record, capture, output }) {
-  // Launch options and proxy settings
-  const { launchOptions, getProxy, pageAuthenticateEnabled, pageAuthenticateParams } =
-    generateLaunchOptions({ proxy });
-
-  // Initialize browser and page variables for cleanup in finally block
-  let browser = null;
+export async function helperDoScraping(
+  { headers, cookies, proxy, record, capture, output, variables, session },
+  { signal, onStart } = {}
+) {
+  // Proxy settings of the browser context
+  const { contextOptions, getProxy, pageAuthenticateEnabled, pageAuthenticateParams } =
+    generateContextOptions({ proxy });
+
+  // Initialize context lease and page variables for cleanup in finally block
+  let lease = null;
+  let context = null;
   let page = null;
+  let networkCapture = null;
+  let harRecorder = null;
+  let harUrl = null;
+  let consoleCapture = null;
+  let consoleEntries = null;
+  let extension = null;
+  // Set once the session is restored, a run failing before that must not save a blank profile
+  let sessionToSave = false;
+  const trace = output.trace ? helperStepTraceCreate() : null;
+
+  // Every screenshot taken, in order, returned when output.screenshots.eachStep is on
+  const screenshotList = [];
+
+  // Clients that cannot reach /api/tmp get the artifacts embedded in the result
+  const inlineArtifacts = output.artifacts?.delivery === ARTIFACT_DELIVERY_MODES.INLINE;
+  const templateVariables = helperTemplateVariables({ variables });
 
   const { screenshots, responseType } = output;
 
+  /**
+   * Attaches the diagnostics requested by the output options to a result or an error
+   *
+   * @param {Object} target - Result, result data or error of the run
+   * @returns {void}
+   */
+  const attachDiagnostics = (target) => {
+    if (harUrl) {
+      target.harUrl = harUrl;
+    }
+
+    if (consoleEntries) {
+      target.console = consoleEntries;
+    }
+
+    if (trace) {
+      target.trace = trace.entries({ secrets: templateVariables.secrets });
+    }
+
+    if (screenshots.eachStep) {
+      target.screenshots = screenshotList;
+    }
+  };
+
+  // Close the browser context as soon as the caller cancels the scraping
+  const onAbort = () => exitContextAndPage(lease, page);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
   try {
     // Acquire browser semaphore lock
     await helperBrowserSemaphore.acquire();
 
-    // Dynamically import Puppeteer and plugins for each request
-    const { puppeteer, createRunner, PuppeteerRunnerExtension } =
+    // The scraping may have been cancelled while waiting for a browser slot
+    throwIfCancelled(signal);
+    onStart?.();
+
+    // Import the replay runner, browsers themselves come from the pool
+    const { Locator, createRunner, PuppeteerRunnerExtension, selectorToPElementSelector } =
       await importPuppeteerDependencies();
 
     // Create Extension class dynamically
@@ -60,17 +140,87 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
       /**
        * Creates an instance of Extension with customized settings
        *
-       * @param {Object} browser - Puppeteer Browser instance
+       * @param {Object} browser - Puppeteer BrowserContext of the scrape, used to find targets
        * @param {Object} page - Puppeteer Page instance
        * @param {number} timeout - Timeout value in milliseconds
        * @param {number} speed - Speed mode delay in milliseconds
+       * @param {Object} variables - Placeholder values and secret values ({ values, secrets })
+       * @param {Object|null} trace - Step trace to record into, null when output.trace is off
        */
-      constructor(browser, page, timeout, speed) {
+      constructor(browser, page, timeout, speed, variables, trace) {
         super(browser, page);
 
         this.timeout = timeout;
         this.speed = speed;
+        this.variables = variables;
+        this.trace = trace;
         this.currentStep = 0;
+        this.failedStep = null;
+      }
+
+      /**
+       * Masks secret variable values before a text is logged or returned
+       *
+       * @param {string} text - Text that may contain secrets
+       * @returns {string} - Masked text
+       */
+      mask(text) {
+        return helperTemplateMask({ text, secrets: this.variables.secrets });
+      }
+
+      /**
+       * Records the running step as the one the flow failed at
+       *
+       * @param {Error} error - Error the step failed with, already masked
+       * @returns {void}
+       */
+      failStep(error) {
+        this.failedStep = this.currentStep - 1;
+        this.trace?.end({ url: this.page.url(), error });
+      }
+
+      /**
+       * Reads the text or an attribute of the first matching element into a variable
+       *
+       * @param {Object} step - Interpolated setVariable step
+       * @returns {Promise<void>} - Resolves when the variable has been stored
+       * @throws {Error} Throws an error if no element matches or the attribute is missing
+       */
+      async setVariable(step) {
+        const root = step.frame
+          ? await helperFrameFind({ page: this.page, frame: step.frame })
+          : this.page;
+        const element = await Locator.race(
+          step.selectors.map((selector) => root.locator(selectorToPElementSelector(selector)))
+        )
+          .setTimeout(step.timeout ?? this.timeout)
+          .waitHandle();
+
+        const value = await element.evaluate((node, attribute) => {
+          if (attribute) {
+            return node.getAttribute(attribute);
+          }
+
+          // Form fields hold their value in a property rather than in their text
+          const tagName = node.tagName.toLowerCase();
+          if (tagName === 'input' || tagName === 'textarea' || tagName === 'select') {
+            return node.value;
+          }
+
+          return node.textContent.trim();
+        }, step.attribute);
+        await element.dispose();
+
+        if (value === null) {
+          throw new Error(`Attribute "${step.attribute}" not found for variable "${step.name}"`);
+        }
+
+        this.variables.values[step.name] = value;
+        if (step.secret) {
+          this.variables.secrets.push(value);
+        }
+
+        console.log(`Stored variable "${step.name}": ${this.mask(value)}`);
       }
 
       /**
@@ -96,10 +246,12 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
       async beforeEachStep(step, flow) {
         try {
           this.currentStep++;
+          this.trace?.start({ index: this.currentStep - 1, type: step.type });
           await super.beforeEachStep(step, flow);
           console.log(`Executing step ${this.currentStep}: ${step.type}`);
         } catch (error) {
-          error.message = `Error at step ${this.currentStep}: ${error.message}`;
+          error.message = this.mask(`Error at step ${this.currentStep}: ${error.message}`);
+          this.failStep(error);
           throw error;
         }
       }
@@ -114,9 +266,43 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
        */
       async runStep(step, flow) {
         try {
-          return await super.runStep(step, flow);
+          // Fill placeholders with the variables as they stand when the step runs
+          const resolved = helperTemplateInterpolateStep({ step, values: this.variables.values });
+
+          const targets = helperTemplateStepStrings({ step: resolved });
+          if (targets.length > 0) {
+            console.log(`Step ${this.currentStep} targets: ${this.mask(targets.join(', '))}`);
+          }
+
+          // The wait step is not part of the Recorder schema, so it is handled here
+          if (step.type === STEP_TYPES.WAIT) {
+            await new Promise((resolve) => setTimeout(resolve, step.duration));
+            return;
+          }
+
+          // The runner only knows index paths, frames located by name or URL are
+          // looked up once they have attached and passed on by their path
+          if (resolved.frame) {
+            const frame = await helperFrameWait({
+              page: this.page,
+              frame: resolved.frame,
+              timeout: resolved.timeout ?? this.timeout
+            });
+            resolved.frame = helperFramePath(frame);
+          }
+
+          // So is the setVariable step, which stores element values for later steps
+          if (step.type === STEP_TYPES.SET_VARIABLE) {
+            await this.setVariable(resolved);
+            return;
+          }
+
+          return await super.runStep(resolved, flow);
         } catch (error) {
-          error.message = `Error executing step ${this.currentStep} (${step.type}): ${error.message}`;
+          error.message = this.mask(
+            `Error executing step ${this.currentStep} (${step.type}): ${error.message}`
+          );
+          this.failStep(error);
           throw error;
         }
       }
@@ -133,6 +319,24 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
         try {
           await super.afterEachStep(step, flow);
 
+          if (screenshots.eachStep) {
+            const { screenshotUrl, clipped } = await helperScreenshotsTake({
+              page: this.page,
+              screenshots,
+              type: 'step'
+            });
+            screenshotList.push({
+              type: 'step',
+              stepIndex: this.currentStep - 1,
+              url: screenshotUrl,
+              clipped
+            });
+          }
+
+          // The step only counts as completed once its screenshot is taken, a failing
+          // screenshot fails the step. The speed mode delay is not part of its duration.
+          this.trace?.end({ url: this.page.url() });
+
           // Apply the speed mode delay after each step
           if (this.speed > 0) {
             console.log(`Applying speed mode delay: ${this.speed}ms`);
@@ -141,7 +345,8 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
 
           console.log(`Successfully completed step ${this.currentStep}: ${step.type}`);
         } catch (error) {
-          error.message = `Error after step ${this.currentStep}: ${error.message}`;
+          error.message = this.mask(`Error after step ${this.currentStep}: ${error.message}`);
+          this.failStep(error);
           throw error;
         }
       }
@@ -158,9 +363,11 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
       }
     }
 
-    // Launch browser and create a new page
-    browser = await puppeteer.launch(launchOptions);
-    page = await browser.newPage();
+    // Open an isolated context on a pooled browser and create a new page
+    lease = await helperBrowserPool.acquire(contextOptions);
+    ({ context } = lease);
+    page = await context.newPage();
+    throwIfCancelled(signal);
 
     await setPageGeneral({
       page,
@@ -170,17 +377,64 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
       pageAuthenticateParams
     });
 
+    // Restore the cookies and storage of a named session before the first navigation
+    if (session) {
+      await helperSessions.restore({ context, page, session });
+      sessionToSave = true;
+    }
+
+    // Request cookies are set after the session so that they take precedence
+    await setContextCookies({ context, cookies });
+
+    // Start observing network traffic before any step runs
+    networkCapture = helperNetworkCaptureAttach({ page, capture });
+
     const { title, timeoutMode, speedMode, steps } = record;
 
     // Create and execute the runner with provided steps
+    extension = new Extension(
+      context,
+      page,
+      TIMEOUT_MODES[timeoutMode],
+      SPEED_MODES[speedMode],
+      templateVariables,
+      trace
+    );
     const runner = await createRunner(
-      { title, steps },
-      new Extension(browser, page, TIMEOUT_MODES[timeoutMode], SPEED_MODES[speedMode])
+      { title, steps: helperReplayStepsNormalize({ steps }) },
+      extension
     );
 
+    // Record the network log of the flow itself, captures afterwards are not part of it
+    if (output.har) {
+      harRecorder = helperHarRecorderAttach({ page, har: output.har, title });
+    }
+
+    // Steps are counted from 1 as they start, record.steps indexes from 0
+    if (output.console) {
+      consoleCapture = helperConsoleCaptureAttach({
+        page,
+        getStepIndex: () => (extension.currentStep > 0 ? extension.currentStep - 1 : null)
+      });
+    }
+
     // Execute the defined steps using the runner
     await runner.run();
 
+    if (harRecorder) {
+      harRecorder.detach();
+      ({ harUrl } = await harRecorder.save({ secrets: templateVariables.secrets }));
+    }
+
+    if (consoleCapture) {
+      consoleCapture.detach();
+      consoleEntries = consoleCapture.entries({ secrets: templateVariables.secrets });
+    }
+
+    // Wait for pending network captures and stop observing the page
+    const networkResults = await networkCapture.collect();
+    networkCapture.detach();
+
     // Initialize result variables
     let result = null;
 
@@ -193,18 +447,30 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
       if (getProxy) {
         result.proxy = getProxy;
       }
+
+      attachDiagnostics(result);
     } else if (responseType === RESPONSE_TYPE_NAMES.RAW) {
       // For RAW responseType, we've already validated there's only one selector
       const selector = selectors[0];
-      result = await processSelectorData({ page, selector });
+      const { value, errors } = await captureSelector({ page, selector });
+
+      // A bare RAW value has no room for errors, optional misses just return their default
+      const [captureError] = Object.entries(errors).filter(
+        ([, error]) => error.code === 'ERROR_CAPTURE_TRANSFORM'
+      );
+      if (captureError) {
+        const error = new Error(`${captureError[0]}: ${captureError[1].message}`);
+        error.code = captureError[1].code;
+        throw error;
+      }
+
+      result = value;
     } else if (responseType === RESPONSE_TYPE_NAMES.JSON) {
       // For JSON responseType, process all selectors and return a structured response
-      const selectorResults = {};
-
-      for (const selector of selectors) {
-        const selectorValue = await processSelectorData({ page, selector });
-        selectorResults[selector.key] = selectorValue;
-      }
+      const { values: selectorResults, errors: selectorErrors } = await captureSelectors({
+        page,
+        selectors
+      });
 
       // Create a structured response with selector results
       result = {
@@ -214,6 +480,30 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
         }
       };
 
+      // Report optional selectors that missed and values whose transforms failed
+      if (Object.keys(selectorErrors).length > 0) {
+        result.partial = true;
+        result.data.errors = selectorErrors;
+      }
+
+      // Add intercepted request data if any request capture is configured
+      if (Object.keys(networkResults.request).length > 0) {
+        result.data.request = networkResults.request;
+      }
+
+      // Add intercepted response bodies if any response capture is configured
+      if (Object.keys(networkResults.response).length > 0) {
+        result.data.response = networkResults.response;
+      }
+
+      // Add the requested cookies as they stand after the flow
+      if (capture.response.cookies.length > 0) {
+        result.data.cookies = await helperCookieCaptureRead({
+          context,
+          names: capture.response.cookies
+        });
+      }
+
       // Add proxy information to the response if available
       if (getProxy) {
         result.data.proxy = getProxy;
@@ -221,100 +511,202 @@ export async function helperDoScraping({ headers, proxy, record, capture, output
 
       // Add success screenshot URL if enabled
       if (screenshots.onSuccess && page) {
-        const { screenshotUrl } = await getScreenshotUrl({ page, type: 'success' });
+        const { screenshotUrl } = await getScreenshotUrl({
+          page,
+          screenshots,
+          type: 'success',
+          list: screenshotList
+        });
         result.data.screenshotUrl = screenshotUrl;
       }
+
+      // Add the URLs of the requested page snapshots
+      Object.assign(result.data, await savePageSnapshots({ page, output }));
+
+      attachDiagnostics(result.data);
+    } else if (
+      responseType === RESPONSE_TYPE_NAMES.PDF ||
+      responseType === RESPONSE_TYPE_NAMES.MHTML
+    ) {
+      // For PDF and MHTML responseTypes, return the URLs of the saved snapshots
+      result = {
+        success: true,
+        data: await savePageSnapshots({ page, output })
+      };
+
+      if (getProxy) {
+        result.data.proxy = getProxy;
+      }
+
+      if (screenshots.onSuccess && page) {
+        const { screenshotUrl } = await getScreenshotUrl({
+          page,
+          screenshots,
+          type: 'success',
+          list: screenshotList
+        });
+        result.data.screenshotUrl = screenshotUrl;
+      }
+
+      attachDiagnostics(result.data);
+    } else if (RESPONSE_FORMATS[responseType]) {
+      // For file responseTypes, serialise the captured rows and move the metadata into headers
+      const { values, errors } = await captureSelectors({ page, selectors });
+
+      let screenshotUrl = null;
+      if (screenshots.onSuccess && page) {
+        ({ screenshotUrl } = await getScreenshotUrl({
+          page,
+          screenshots,
+          type: 'success',
+          list: screenshotList
+        }));
+      }
+
+      result = helperResponseFormatDocument({
+        responseType,
+        selectors,
+        values,
+        title,
+        metadata: { proxy: getProxy, screenshotUrl, harUrl, errors }
+      });
+    }
+
+    if (inlineArtifacts) {
+      helperArtifactsInline({
+        target: result.data ?? result,
+        maxSize: output.artifacts.maxInlineSize
+      });
     }
 
-    await exitBrowserAndPage(browser, page); // Close browser and page if not taking screenshots
+    // The state at the end of the run is saved back, failed runs are saved in the catch block
+    if (sessionToSave) {
+      sessionToSave = false;
+      await helperSessions.save({ context, session });
+    }
+
+    await exitContextAndPage(lease, page); // Close context and page if not taking screenshots
 
     // Return the successful result to the controller
     return result;
   } catch (error) {
+    networkCapture?.detach();
+    harRecorder?.detach();
+    consoleCapture?.detach();
+
+    // A cancelled scraping has no browser left to inspect
+    if (signal?.aborted) {
+      throw error.code === 'ERROR_SCRAPE_CANCELLED' ? error : cancelledError(error);
+    }
+
+    // Save the network log of a failed flow, without letting it hide the original error
+    if (harRecorder && !harUrl) {
+      try {
+        ({ harUrl } = await harRecorder.save({ secrets: templateVariables.secrets }));
+      } catch (harError) {
+        console.error(harError.message);
+      }
+    }
+
+    // A failed run ends too, keep what it reached (e.g. a completed login) without hiding the error
+    if (sessionToSave) {
+      sessionToSave = false;
+      try {
+        await helperSessions.save({ context, session });
+      } catch (sessionError) {
+        console.error(`Error saving session ${session.name}:`, sessionError.message);
+      }
+    }
+
+    // The console is read here when the flow failed before it was detached
+    if (consoleCapture && !consoleEntries) {
+      consoleEntries = consoleCapture.entries({ secrets: templateVariables.secrets });
+    }
+
+    // Failures outside the steps, such as a capture error, have no failed step
+    if (extension?.failedStep !== null && extension?.failedStep !== undefined) {
+      error.failedStep = extension.failedStep;
+    }
+
     // Take error screenshot if enabled and not already taken
-    if (responseType === RESPONSE_TYPE_NAMES.JSON && screenshots.onError && page) {
-      const { screenshotUrl } = await getScreenshotUrl({ page, type: 'error' });
+    const structured =
+      responseType !== RESPONSE_TYPE_NAMES.NONE && responseType !== RESPONSE_TYPE_NAMES.RAW;
+    if (structured && screenshots.onError && page) {
+      const { screenshotUrl } = await getScreenshotUrl({
+        page,
+        screenshots,
+        type: 'error',
+        list: screenshotList
+      });
       error.screenshotUrl = screenshotUrl;
     }
 
+    attachDiagnostics(error);
+
     if (getProxy) {
       error.proxy = getProxy;
     }
 
-    await exitBrowserAndPage(browser, page); // Close browser and page if not taking screenshots
+    if (inlineArtifacts) {
+      helperArtifactsInline({ target: error, maxSize: output.artifacts.maxInlineSize });
+    }
+
+    await exitContextAndPage(lease, page); // Close context and page if not taking screenshots
 
     throw error; // Rethrow the error for centralized handling
   } finally {
+    signal?.removeEventListener('abort', onAbort);
     helperBrowserSemaphore.release();
 
     if (!screenshots.onSuccess && !screenshots.onError) {
-      await exitBrowserAndPage(browser, page); // Close browser and page if not taking screenshots
+      await exitContextAndPage(lease, page); // Close context and page if not taking screenshots
     }
   }
 }
 
 /**
- * Generates browser launch options and configures proxy settings
+ * Throws a cancellation error if the signal has been aborted
+ *
+ * @param {AbortSignal} [signal] - Signal passed by the caller
+ * @returns {void}
+ * @throws {Error} - Throws an error if the scraping has been cancelled
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw cancelledError();
+  }
+}
+
+/**
+ * Creates the error used when a scraping is cancelled
+ *
+ * @param {Error} [cause] - Error raised by the interrupted browser, if any
+ * @returns {Error} - Cancellation error
+ */
+function cancelledError(cause) {
+  const error = new Error('Scraping was cancelled', cause ? { cause } : undefined);
+  error.code = 'ERROR_SCRAPE_CANCELLED';
+  error.status = 409;
+  return error;
+}
+
+/**
+ * Selects the proxy of the request and prepares its authentication
+ * The proxy is applied to the scrape's own BrowserContext, pooled browsers are launched without one.
  *
- * @param {Object} res - Express response object for sending error responses
- * @param {Array} proxies - Array of proxy configurations
- * @param {String} accessPasswordWithoutProxy - Access password for bypassing proxy requirement
- * @param {Object} proxyAuth - Proxy authentication credentials and settings
- * @returns {Object} - Returns launch options and proxy information
+ * @param {Object} options - Options object
+ * @param {Object} options.proxy - Validated proxy configuration
+ * @returns {Object} - Returns the context options and proxy information
  * @throws {Error} - Throws an error if the access password is invalid or missing
  * @throws {Error} - Throws an error if the proxy configuration fails
  */
-function generateLaunchOptions({ proxy }) {
+function generateContextOptions({ proxy }) {
   // Initialize variables
   let getProxy = null;
-  let launchOptions = null;
+  const contextOptions = {};
   let pageAuthenticateEnabled = false;
   let pageAuthenticateParams = {};
 
-  try {
-    // Configure launch options for Puppeteer with modern defaults
-    launchOptions = {
-      headless: BROWSER_CONFIG.HEADLESS,
-      args: [
-        BROWSER_CONFIG.ARGS.NO_SANDBOX,
-        BROWSER_CONFIG.ARGS.DISABLE_SETUID_SANDBOX,
-        BROWSER_CONFIG.ARGS.DISABLE_WEB_SECURITY,
-        // Performance and feature flags
-        '--disable-dev-shm-usage', // Fix for Docker containers with limited memory
-        '--disable-gpu', // Disable GPU acceleration in headless mode
-        '--disable-setuid-sandbox', // Enhanced security
-        // Cookie and JavaScript related settings
-        '--enable-cookies',
-        '--enable-javascript',
-        '--enable-features=NetworkService',
-        '--disable-features=IsolateOrigins,site-per-process',
-        // Allow third-party cookies for site compatibility
-        '--disable-web-security',
-        '--disable-features=BlockThirdPartyCookies',
-        // Memory optimization
-        '--js-flags=--max-old-space-size=512' // Control memory usage
-      ],
-      ignoreHTTPSErrors: true,
-      defaultViewport: {
-        width: 1366,
-        height: 768,
-        deviceScaleFactor: 1,
-        isMobile: false,
-        hasTouch: false,
-        isLandscape: true
-      }
-    };
-
-    // Chrome path from environment variable if set
-    const chromePath = process.env.CHROME_PATH;
-    if (chromePath) {
-      launchOptions.executablePath = chromePath;
-    }
-  } catch (error) {
-    error.code = 'ERROR_HELPER_LAUNCH_OPTIONS_GENERATION';
-    throw error;
-  }
-
   try {
     const { auth, bypassCode, servers } = proxy;
 
@@ -340,7 +732,7 @@ function generateLaunchOptions({ proxy }) {
         }
 
         const proxyServer = `${getProxy.protocol}://${getProxy.server}:${getProxy.port}`;
-        launchOptions.args.push(`--proxy-server=${proxyServer}`);
+        contextOptions.proxyServer = proxyServer;
 
         // Log proxy usage (without sensitive details)
         console.log(`Using proxy: ${proxyServer}`);
@@ -362,25 +754,24 @@ function generateLaunchOptions({ proxy }) {
     throw error;
   }
 
-  return { launchOptions, getProxy, pageAuthenticateEnabled, pageAuthenticateParams };
+  return { contextOptions, getProxy, pageAuthenticateEnabled, pageAuthenticateParams };
 }
 
 /**
- * Dynamically import Puppeteer and plugins for each request
- * This allows for better memory management and isolation between requests
+ * Dynamically import the replay runner and the Puppeteer locator API
+ * Browsers are launched by the browser pool, not per request
  */
 async function importPuppeteerDependencies() {
   try {
-    const [puppeteerVanilla, { addExtra }, { createRunner, PuppeteerRunnerExtension }] =
-      await Promise.all([
-        import('puppeteer'),
-        import('puppeteer-extra'),
-        import('@puppeteer/replay')
-      ]);
-
-    const puppeteer = addExtra(puppeteerVanilla);
-
-    return { puppeteer, createRunner, PuppeteerRunnerExtension };
+    const [{ Locator }, { createRunner, PuppeteerRunnerExtension, selectorToPElementSelector }] =
+      await Promise.all([import('puppeteer'), import('@puppeteer/replay')]);
+
+    return {
+      Locator,
+      createRunner,
+      PuppeteerRunnerExtension,
+      selectorToPElementSelector
+    };
   } catch (error) {
     throw new Error(`Error importing Puppeteer dependencies: ${error.message}`);
   }
@@ -419,7 +810,7 @@ async function setPageGeneral({
 
     // Configure page settings to mimic a real browser
     await page.setJavaScriptEnabled(true);
-    await page.setExtraHTTPHeaders(headers);
+    await helperPageHeadersApply({ page, headers });
   } catch (error) {
     error.code = 'ERROR_PAGE_GENERAL_SETUP';
     throw error;
@@ -427,20 +818,124 @@ async function setPageGeneral({
 }
 
 /**
- * Process selector data based on selector type (FULL, CSS, XPATH)
+ * Sets the cookies of the request on the browser context
+ * Cookies given with a URL instead of a domain are host-only cookies of that URL.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.context - Puppeteer BrowserContext instance
+ * @param {Array<Object>} [options.cookies] - Validated request cookies
+ * @returns {Promise<void>} - Resolves when the cookies are set
+ * @throws {Error} - Throws an error if the cookies cannot be set
+ */
+async function setContextCookies({ context, cookies = [] }) {
+  if (cookies.length === 0) {
+    return;
+  }
+
+  try {
+    await context.setCookie(...cookies);
+  } catch (error) {
+    error.code = 'ERROR_PAGE_COOKIES_SETUP';
+    throw error;
+  }
+}
+
+/**
+ * Saves the page snapshots requested by the output options
+ * The snapshot responseTypes always save their own format.
  *
  * @param {Object} page - Puppeteer Page instance
+ * @param {Object} output - Validated output options
+ * @returns {Promise<Object>} - pdfUrl and mhtmlUrl of the saved snapshots
+ * @throws {Error} - Throws an error if a snapshot cannot be saved
+ */
+async function savePageSnapshots({ page, output }) {
+  const urls = {};
+
+  // The MHTML snapshot comes first, printing switches the page to print media for a moment
+  if (output.mhtml || output.responseType === RESPONSE_TYPE_NAMES.MHTML) {
+    Object.assign(urls, await helperPageSnapshotsMhtml({ page }));
+  }
+
+  if (output.pdf || output.responseType === RESPONSE_TYPE_NAMES.PDF) {
+    Object.assign(urls, await helperPageSnapshotsPdf({ page, pdf: output.pdf }));
+  }
+
+  return urls;
+}
+
+/**
+ * Captures the values of all selectors, in selector order
+ *
+ * @param {Object} page - Puppeteer Page instance
+ * @param {Array<Object>} selectors - Validated capture selectors
+ * @returns {Promise<{ values: Object, errors: Object }>} - Values keyed by selector key and errors keyed by path
+ * @throws {Error} - Throws an error if a required selector cannot be processed
+ */
+async function captureSelectors({ page, selectors }) {
+  const values = {};
+  const errors = {};
+
+  for (const selector of selectors) {
+    const captured = await captureSelector({ page, selector });
+    values[selector.key] = captured.value;
+    Object.assign(errors, captured.errors);
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Captures the value of a selector and runs its transforms
+ * Optional selectors (required: false) that fail fall back to their default and
+ * report the failure instead of failing the scrape.
+ * Selectors with a frame locator are read from that child frame.
+ *
+ * @param {Object} page - Puppeteer Page instance
+ * @param {Object} selector - Validated capture selector
+ * @returns {Promise<{ value: *, errors: Object }>} - Captured value and errors keyed by path
+ * @throws {Error} - Throws an error if a required selector cannot be processed
+ */
+async function captureSelector({ page, selector }) {
+  let root = page;
+  let value;
+
+  try {
+    if (selector.frame) {
+      root = await helperFrameWait({ page, frame: selector.frame });
+    }
+
+    value = await processSelectorData({ root, selector });
+  } catch (error) {
+    if (selector.required) {
+      throw error;
+    }
+
+    console.log(`Optional selector "${selector.key}" skipped: ${error.message}`);
+    return {
+      value: selector.default ?? null,
+      errors: { [selector.key]: { code: error.code, message: error.message } }
+    };
+  }
+
+  return helperCaptureTransformsApply({ key: selector.key, value, selector, baseUrl: root.url() });
+}
+
+/**
+ * Process selector data based on selector type (FULL, LIST or an element selector type)
+ *
+ * @param {Object} root - Puppeteer Page or Frame instance to read from
  * @param {Object} selector - Selector configuration object with type, value and key properties
- * @returns {Promise<String>} - Extracted data from the page based on selector type
+ * @returns {Promise<*>} - Extracted data, an array of values for selectors with multiple: true
  * @throws {Error} - Throws an error if selector processing fails or element is not found
  */
-async function processSelectorData({ page, selector }) {
+async function processSelectorData({ root, selector }) {
   const { type, value, key } = selector;
 
   try {
     // Validate input parameters
-    if (!page) {
-      throw new Error('Puppeteer page instance is required');
+    if (!root) {
+      throw new Error('Puppeteer page or frame instance is required');
     }
 
     if (!selector || !type || value === undefined) {
@@ -448,73 +943,21 @@ async function processSelectorData({ page, selector }) {
     }
 
     if (type === SELECTOR_TYPE_NAMES.FULL) {
-      return await page.content();
-    } else if (type === SELECTOR_TYPE_NAMES.CSS) {
-      // First check if element exists
-      const elementExists = await page.$(value);
-      if (!elementExists) {
-        throw new Error(`CSS Selector not found on page: ${value}`);
+      return await root.content();
+    } else if (type === SELECTOR_TYPE_NAMES.LIST) {
+      return await processListData({ root, selector });
+    } else if (SELECTOR_LABELS[type]) {
+      const values = await readElementValues({ root, selector });
+
+      if (selector.multiple) {
+        return values;
       }
 
-      // Extract content using CSS selector with enhanced error handling
-      return await page.$eval(value, (element) => {
-        // Get both innerHTML and textContent for more reliable data extraction
-        const innerHTML = element.innerHTML || '';
-        const textContent = element.textContent || '';
-        const value = element.value || ''; // For input elements
-
-        // Special handling for input, select, and textarea elements
-        const tagName = element.tagName.toLowerCase();
-        if (tagName === 'input' || tagName === 'textarea' || tagName === 'select') {
-          return value || textContent;
-        }
-
-        // If innerHTML is empty or just whitespace but textContent has content, return textContent
-        if (!innerHTML.trim() && textContent.trim()) {
-          return textContent;
-        }
-
-        return innerHTML;
-      });
-    } else if (type === SELECTOR_TYPE_NAMES.XPATH) {
-      // Verify XPath selector exists first
-      const elementExists = await page.$x(value);
-      if (!elementExists || elementExists.length === 0) {
-        throw new Error(`XPath selector not found on page: ${value}`);
+      if (values.length === 0) {
+        throw new Error(`${SELECTOR_LABELS[type]} not found on page: ${value}`);
       }
 
-      // Extract content using XPath selector with enhanced error handling
-      return await page.evaluate((xpathValue) => {
-        const element = document.evaluate(
-          xpathValue,
-          document,
-          null,
-          XPathResult.FIRST_ORDERED_NODE_TYPE,
-          null
-        ).singleNodeValue;
-
-        if (!element) {
-          throw new Error('Element not found during evaluation');
-        }
-
-        // Get both innerHTML and textContent for more reliable data extraction
-        const innerHTML = element.innerHTML || '';
-        const textContent = element.textContent || '';
-        const value = element.value || ''; // For input elements
-
-        // Special handling for input, select, and textarea elements
-        const tagName = element.tagName.toLowerCase();
-        if (tagName === 'input' || tagName === 'textarea' || tagName === 'select') {
-          return value || textContent;
-        }
-
-        // If innerHTML is empty or just whitespace but textContent has content, return textContent
-        if (!innerHTML.trim() && textContent.trim()) {
-          return textContent;
-        }
-
-        return innerHTML;
-      }, value);
+      return values[0];
     } else {
       throw new Error(`Unsupported selector type: ${type}`);
     }
@@ -528,69 +971,141 @@ async function processSelectorData({ page, selector }) {
 }
 
 /**
- * Generate a URL for accessing the screenshot from the web application
+ * Builds rows from a LIST selector, one object per container match
+ * Fields whose element is missing in a container are null.
  *
- * @param {Object} page - Puppeteer Page instance
- * @param {String} type - Type of screenshot (success or error)
- * @returns {Promise<Object>} - Returns an object containing the screenshotUrl
- * @throws {Error} - Throws an error if the screenshot generation fails
+ * @param {Object} root - Puppeteer Page or Frame instance to read from
+ * @param {Object} selector - LIST selector with the container in value and named fields
+ * @returns {Promise<Array<Object>>} - One object per container, in document order
  */
-async function getScreenshotUrl({ page, type }) {
-  try {
-    const screenshotsDir = process.env.TMP_DIR || path.join(process.cwd(), 'tmp');
+async function processListData({ root, selector }) {
+  const containers = await root.$$(
+    helperReplaySelectorQuery({ type: selector.containerType, value: selector.value })
+  );
+
+  const rows = [];
+  for (const container of containers) {
+    const row = {};
+    for (const [name, field] of Object.entries(selector.fields)) {
+      if (!field.value) {
+        // A field without a selector reads the container itself
+        row[name] = await container.evaluate(readElementValue, field);
+        continue;
+      }
 
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(screenshotsDir)) {
-      fs.mkdirSync(screenshotsDir, { recursive: true });
+      const values = await readElementValues({ root: container, selector: field });
+      row[name] = field.multiple ? values : (values[0] ?? null);
     }
 
-    // Generate unique filename with UUID and timestamp for better uniqueness
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const randomId = Math.random().toString(36).substring(2, 8); // Simple unique ID generator
-    const filename = `${type}-${timestamp}-${randomId}.png`;
-    const filePath = path.join(screenshotsDir, filename);
+    rows.push(row);
+    await container.dispose();
+  }
 
-    // Wait a brief moment before taking screenshot to allow page to stabilize
-    await new Promise((resolve) => setTimeout(resolve, 500));
+  return rows;
+}
 
-    // Use try/catch specifically for screenshot to provide better error details
-    try {
-      // Take the screenshot with more options for better quality
-      await page.screenshot({
-        path: filePath,
-        fullPage: true
-      });
-    } catch (screenshotError) {
-      throw new Error(`Failed to take screenshot: ${screenshotError.message}`);
-    }
+/**
+ * Reads the elements matched by an element selector below a page, frame or element
+ * Every type goes through Puppeteer's query handlers (xpath/, aria/, text/, pierce/).
+ * XPath expressions are evaluated relative to the root, so use ".//" inside LIST containers.
+ *
+ * @param {Object} root - Puppeteer Page, Frame or ElementHandle to query
+ * @param {Object} selector - Selector with type, value and element options
+ * @returns {Promise<Array<*>>} - Values of all matches with multiple: true, otherwise of the first match only
+ */
+async function readElementValues({ root, selector }) {
+  const query = helperReplaySelectorQuery(selector);
+  const { attribute, property, extract } = selector;
+
+  const elements = selector.multiple ? await root.$$(query) : [await root.$(query)];
 
-    console.log(`${type} screenshot taken and saved at: ${filePath}`);
+  const values = [];
+  for (const element of elements.filter(Boolean)) {
+    values.push(await element.evaluate(readElementValue, { attribute, property, extract }));
+    await element.dispose();
+  }
 
-    // Get the base filename for the URL
-    const savedFilename = path.basename(filePath);
+  return values;
+}
 
-    // Create a proper URL path using the /tmp/ endpoint
-    const webAddress =
-      process.env.WEB_ADDRESS || `http://${config.server.host}:${config.server.port}`;
-    const screenshotUrl = `${webAddress}/api/tmp/${savedFilename}`;
-    console.log(`Screenshot URL generated: ${screenshotUrl}`);
+/**
+ * Reads the value of an element according to the capture selector options
+ * Runs in the page, so it must not use anything outside of its own body.
+ *
+ * @param {Object} element - Matched DOM node
+ * @param {Object} options - Capture selector options
+ * @param {string} [options.attribute] - Attribute to read, null when the element does not have it
+ * @param {string} [options.property] - DOM property to read, such as checked or href
+ * @param {string} [options.extract] - text, html or outerHTML, the auto mode is used when omitted
+ * @returns {*} - Extracted value
+ */
+function readElementValue(element, { attribute, property, extract }) {
+  if (attribute) {
+    return element.getAttribute ? element.getAttribute(attribute) : null;
+  }
 
-    return { screenshotUrl };
-  } catch (error) {
-    error.message = `Error generating screenshot: ${error.message} - Type: ${type}`;
-    error.code = 'ERROR_SCREENSHOT_URL_GENERATION';
-    throw error;
+  if (property) {
+    const propertyValue = element[property];
+    // Only plain values can leave the page, DOM objects and functions cannot
+    return ['string', 'number', 'boolean'].includes(typeof propertyValue) ? propertyValue : null;
   }
+
+  if (extract === 'text') {
+    return element.textContent;
+  }
+
+  if (extract === 'html') {
+    return element.innerHTML ?? element.textContent;
+  }
+
+  if (extract === 'outerHTML') {
+    return element.outerHTML ?? element.textContent;
+  }
+
+  // Get both innerHTML and textContent for more reliable data extraction
+  const innerHTML = element.innerHTML || '';
+  const textContent = element.textContent || '';
+  const value = element.value || ''; // For input elements
+
+  // Special handling for input, select, and textarea elements
+  const tagName = (element.tagName || '').toLowerCase();
+  if (tagName === 'input' || tagName === 'textarea' || tagName === 'select') {
+    return value || textContent;
+  }
+
+  // If innerHTML is empty or just whitespace but textContent has content, return textContent
+  if (!innerHTML.trim() && textContent.trim()) {
+    return textContent;
+  }
+
+  return innerHTML;
+}
+
+/**
+ * Generate a URL for accessing the screenshot from the web application
+ *
+ * @param {Object} page - Puppeteer Page instance
+ * @param {Object} screenshots - Validated output.screenshots
+ * @param {String} type - Type of screenshot (success or error)
+ * @param {Array<Object>} list - Ordered screenshot list the screenshot is appended to
+ * @returns {Promise<Object>} - Returns an object containing the screenshotUrl
+ * @throws {Error} - Throws an error if the screenshot generation fails
+ */
+async function getScreenshotUrl({ page, screenshots, type, list }) {
+  const { screenshotUrl, clipped } = await helperScreenshotsTake({ page, screenshots, type });
+  list.push({ type, url: screenshotUrl, clipped });
+
+  return { screenshotUrl };
 }
 
 /**
- * Safely closes browser and page instances, handling any potential errors
+ * Safely closes the page and hands the browser context back to the pool, handling any potential errors
  *
- * @param {Object} browser - Puppeteer Browser instance to close
+ * @param {Object} lease - Browser pool lease holding the context
  * @param {Object} page - Puppeteer Page instance to close
- * @returns {Promise<void>} - Promise that resolves when browser and page are closed
+ * @returns {Promise<void>} - Promise that resolves when the page and context are closed
  */
-async function exitBrowserAndPage(browser, page) {
+async function exitContextAndPage(lease, page) {
   try {
     // First close the page if it exists and is not closed
     if (page) {
@@ -601,12 +1116,12 @@ async function exitBrowserAndPage(browser, page) {
       }
     }
 
-    // Then close the browser if it exists
-    if (browser) {
+    // Then close the context, the pooled browser keeps running
+    if (lease) {
       try {
-        await browser.close();
+        await lease.release();
       } catch (error) {
-        console.error('Error closing browser:', error.message);
+        console.error('Error releasing browser context:', error.message);
       }
     }
   } catch (error) {
@@ -0,0 +1,125 @@
+/**
+ * Frame Locator Helper
+ *
+ * Finds the child frame targeted by a step or capture selector. Frames are
+ * located by their index path below the main frame (as in Recorder exports),
+ * by the name or id of their iframe element, or by a pattern matching their URL.
+ * Out-of-process (cross-origin) frames are part of the frame tree as well.
+ */
+
+// Delay between two lookups while waiting for a frame to attach
+const FRAME_POLL_INTERVAL = 100;
+
+/**
+ * Finds the frame matching a frame locator
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @param {Array<number>|Object} options.frame - Index path, { name } or { url }
+ * @returns {Promise<Object|null>} - Matching Puppeteer Frame, null if none matches
+ */
+export async function helperFrameFind({ page, frame }) {
+  if (Array.isArray(frame)) {
+    let current = page.mainFrame();
+    for (const index of frame) {
+      current = current?.childFrames()[index];
+    }
+    return current ?? null;
+  }
+
+  const candidates = page.frames().filter((candidate) => candidate !== page.mainFrame());
+
+  if (frame.url !== undefined) {
+    const pattern = new RegExp(frame.url);
+    return candidates.find((candidate) => pattern.test(candidate.url())) ?? null;
+  }
+
+  for (const candidate of candidates) {
+    if ((await getFrameName(candidate)) === frame.name) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Waits for the frame matching a frame locator to attach
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @param {Array<number>|Object} options.frame - Index path, { name } or { url }
+ * @param {number} [options.timeout=0] - Maximum wait in milliseconds, 0 looks up once
+ * @returns {Promise<Object>} - Matching Puppeteer Frame
+ * @throws {Error} - Throws an error if no frame matches within the timeout
+ */
+export async function helperFrameWait({ page, frame, timeout = 0 }) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const found = await helperFrameFind({ page, frame });
+    if (found) {
+      return found;
+    }
+
+    if (Date.now() >= deadline) {
+      const error = new Error(`Frame not found: ${helperFrameDescribe(frame)}`);
+      error.code = 'ERROR_FRAME_NOT_FOUND';
+      throw error;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, FRAME_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Returns the index path of a frame below the main frame, as used by the replay runner
+ *
+ * @param {Object} frame - Puppeteer Frame instance
+ * @returns {Array<number>} - Child frame indexes from the main frame down to the frame
+ */
+export function helperFramePath(frame) {
+  const path = [];
+
+  for (let current = frame; current.parentFrame(); current = current.parentFrame()) {
+    path.unshift(current.parentFrame().childFrames().indexOf(current));
+  }
+
+  return path;
+}
+
+/**
+ * Describes a frame locator for log and error messages
+ *
+ * @param {Array<number>|Object} frame - Index path, { name } or { url }
+ * @returns {string} - Readable description
+ */
+export function helperFrameDescribe(frame) {
+  if (Array.isArray(frame)) {
+    return `index path [${frame.join(', ')}]`;
+  }
+
+  return frame.url !== undefined ? `URL matching ${frame.url}` : `name "${frame.name}"`;
+}
+
+/**
+ * Reads the name attribute of a frame's iframe element, falling back to its id
+ *
+ * @param {Object} frame - Puppeteer Frame instance
+ * @returns {Promise<string|null>} - Name or id, null if the element is gone
+ */
+async function getFrameName(frame) {
+  try {
+    const element = await frame.frameElement();
+    if (!element) {
+      return null;
+    }
+
+    const name = await element.evaluate((node) => node.getAttribute('name') || node.id || null);
+    await element.dispose();
+    return name;
+  } catch (_error) {
+    // The frame detached while it was being inspected
+    return null;
+  }
+}
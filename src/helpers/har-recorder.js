@@ -0,0 +1,382 @@
+/**
+ * HAR Recorder Helper
+ *
+ * Records every request and response of a page into an HTTP Archive (HAR 1.2)
+ * with headers, timings and bodies up to a size cap, and saves it as an
+ * artifact under /api/tmp. Credentials headers and secret variables are
+ * masked because artifact URLs are public.
+ */
+
+// Node core modules
+import fs from 'fs';
+
+// Import package.json for the creator version of the archive
+import packageJson from '../../package.json' with { type: 'json' };
+
+// Import constants
+import { HAR_CONFIG, SECRET_MASK } from '../constants.js';
+
+// Helper functions
+import { helperArtifactsCreate } from './artifacts.js';
+import { helperNetworkCaptureReadPostData, helperNetworkCaptureSettle } from './network-capture.js';
+import { helperTemplateMask } from './template-interpolate.js';
+
+// The archive holds a single page, the page of the scrape
+const PAGE_REF = 'page_1';
+
+/**
+ * Starts recording the network traffic of a page
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance to record
+ * @param {Object|boolean} options.har - Validated output.har, true for the defaults
+ * @param {string} [options.title] - Record title, used as page title in the archive
+ * @returns {Object} - Recorder handle exposing detach() and save()
+ */
+export function helperHarRecorderAttach({ page, har, title = '' }) {
+  const maxBodySize = har?.maxBodySize ?? HAR_CONFIG.DEFAULT_MAX_BODY_SIZE;
+  const startedDateTime = new Date().toISOString();
+
+  // Recorded requests in the order they were sent
+  const records = new Map();
+
+  // Body reads are async, so keep track of them and their record until save() is called
+  const pending = new Map();
+
+  const track = (record, promise) => {
+    const tracked = promise
+      .catch((error) => console.error('Error recording network data:', error.message))
+      .finally(() => pending.delete(tracked));
+    pending.set(tracked, record);
+  };
+
+  const onRequest = (request) => {
+    const record = { startedAt: Date.now(), postData: undefined };
+    records.set(request, record);
+
+    track(
+      record,
+      helperNetworkCaptureReadPostData(request).then((postData) => {
+        // Reads that outlived build() must not change the archive
+        if (!record.bodyError) {
+          record.postData = postData;
+        }
+      })
+    );
+  };
+
+  const onResponse = (response) => {
+    const record = records.get(response.request());
+    if (record) {
+      record.respondedAt = Date.now();
+    }
+  };
+
+  const onRequestFinished = (request) => {
+    const record = records.get(request);
+    if (!record) {
+      return;
+    }
+
+    record.finishedAt = Date.now();
+    track(
+      record,
+      readContent({ response: request.response(), maxBodySize }).then((content) => {
+        if (!record.bodyError) {
+          record.content = content;
+        }
+      })
+    );
+  };
+
+  const onRequestFailed = (request) => {
+    const record = records.get(request);
+    if (record) {
+      record.finishedAt = Date.now();
+      record.error = request.failure()?.errorText ?? 'Request failed';
+    }
+  };
+
+  page.on('request', onRequest);
+  page.on('response', onResponse);
+  page.on('requestfinished', onRequestFinished);
+  page.on('requestfailed', onRequestFailed);
+
+  return {
+    /**
+     * Stops recording, requests sent afterwards are not part of the archive
+     *
+     * @returns {void}
+     */
+    detach() {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+      page.off('requestfinished', onRequestFinished);
+      page.off('requestfailed', onRequestFailed);
+    },
+
+    /**
+     * Waits for pending body reads and builds the archive
+     * Entries whose body was still being read after BODY_READ_TIMEOUT get a _bodyError
+     *
+     * @returns {Promise<Object>} - HAR 1.2 document
+     */
+    async build() {
+      await helperNetworkCaptureSettle(pending);
+
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: packageJson.name, version: packageJson.version },
+          pages: [
+            {
+              startedDateTime,
+              id: PAGE_REF,
+              title,
+              pageTimings: { onContentLoad: -1, onLoad: -1 }
+            }
+          ],
+          entries: [...records].map(([request, record]) =>
+            buildEntry({ request, record, maxBodySize })
+          )
+        }
+      };
+    },
+
+    /**
+     * Saves the archive next to the screenshots in the tmp directory
+     *
+     * @param {Object} [options] - Options object
+     * @param {Array<string>} [options.secrets] - Secret variable values to mask
+     * @returns {Promise<{ harUrl: string }>} - URL of the saved archive
+     * @throws {Error} - Throws an error if the archive cannot be written
+     */
+    async save({ secrets = [] } = {}) {
+      try {
+        const { filePath, url } = helperArtifactsCreate({ prefix: 'network', extension: '.har' });
+        const text = maskSecrets({ text: JSON.stringify(await this.build()), secrets });
+        fs.writeFileSync(filePath, text);
+
+        console.log(`HAR saved at: ${filePath}`);
+        return { harUrl: url };
+      } catch (error) {
+        error.message = `Error saving HAR: ${error.message}`;
+        error.code = 'ERROR_HAR_GENERATION';
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Builds the HAR entry of a recorded request
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.request - Puppeteer HTTPRequest instance
+ * @param {Object} options.record - Times, post data, content and error recorded for the request
+ * @param {number} options.maxBodySize - Largest body in bytes that is stored
+ * @returns {Object} - HAR entry
+ */
+function buildEntry({ request, record, maxBodySize }) {
+  const response = request.response();
+  const requestHeaders = request.headers();
+  const timings = buildTimings({ timing: response?.timing(), record });
+
+  const entry = {
+    pageref: PAGE_REF,
+    startedDateTime: new Date(record.startedAt).toISOString(),
+    time: Object.entries(timings)
+      .filter(([phase, value]) => phase !== 'ssl' && value > 0)
+      .reduce((total, [, value]) => total + value, 0),
+    request: {
+      method: request.method(),
+      url: request.url(),
+      httpVersion: '',
+      cookies: [],
+      headers: toHarHeaders(requestHeaders),
+      queryString: toQueryString(request.url()),
+      headersSize: -1,
+      bodySize: record.postData === undefined ? 0 : Buffer.byteLength(record.postData)
+    },
+    response: {
+      status: response?.status() ?? 0,
+      statusText: response?.statusText() ?? '',
+      httpVersion: '',
+      cookies: [],
+      headers: toHarHeaders(response?.headers() ?? {}),
+      content: record.content ?? { size: 0, mimeType: response?.headers()['content-type'] ?? '' },
+      redirectURL: response?.headers().location ?? '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings,
+    _resourceType: request.resourceType()
+  };
+
+  if (record.postData !== undefined) {
+    const size = Buffer.byteLength(record.postData);
+    entry.request.postData = {
+      mimeType: requestHeaders['content-type'] ?? '',
+      text: size <= maxBodySize ? record.postData : '',
+      ...(size > maxBodySize ? { comment: `Body of ${size} bytes exceeds the size cap` } : {})
+    };
+  }
+
+  const remoteAddress = response?.remoteAddress();
+  if (remoteAddress?.ip) {
+    entry.serverIPAddress = remoteAddress.ip;
+  }
+
+  if (record.error) {
+    entry._error = record.error;
+  }
+
+  if (record.bodyError) {
+    entry._bodyError = record.bodyError;
+  }
+
+  return entry;
+}
+
+/**
+ * Splits the time of a request into HAR phases
+ * Uses Chrome's resource timing when the response has one, -1 marks phases that did not happen.
+ *
+ * @param {Object} options - Options object
+ * @param {Object|null} [options.timing] - Resource timing of the response, in ms since requestTime
+ * @param {Object} options.record - Times recorded for the request
+ * @returns {Object} - HAR timings in milliseconds
+ */
+function buildTimings({ timing, record }) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const end = record.finishedAt ?? record.respondedAt ?? record.startedAt;
+  const receive =
+    record.respondedAt && record.finishedAt ? record.finishedAt - record.respondedAt : 0;
+
+  if (!timing) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: Math.max(0, end - record.startedAt - receive),
+      receive
+    };
+  }
+
+  const span = (start, stop) => (start >= 0 && stop >= 0 ? round(stop - start) : -1);
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(
+    (value) => value >= 0
+  );
+
+  return {
+    blocked: firstPhase > 0 ? round(firstPhase) : -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, span(timing.sendStart, timing.sendEnd)),
+    wait: Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd)),
+    receive
+  };
+}
+
+/**
+ * Reads the body of a finished response into a HAR content object
+ * Text bodies are stored as they are, others base64-encoded, bodies above the cap are left out.
+ *
+ * @param {Object} options - Options object
+ * @param {Object|null} options.response - Puppeteer HTTPResponse instance
+ * @param {number} options.maxBodySize - Largest body in bytes that is stored
+ * @returns {Promise<Object>} - HAR content object
+ */
+async function readContent({ response, maxBodySize }) {
+  const mimeType = response?.headers()['content-type'] ?? '';
+  const status = response?.status() ?? 0;
+
+  // Redirects and failed requests have no body
+  if (!response || (status >= 300 && status < 400)) {
+    return { size: 0, mimeType };
+  }
+
+  const declaredSize = Number(response.headers()['content-length']);
+  if (declaredSize > maxBodySize) {
+    return {
+      size: declaredSize,
+      mimeType,
+      comment: `Body of ${declaredSize} bytes exceeds the size cap`
+    };
+  }
+
+  let body;
+  try {
+    body = await response.buffer();
+  } catch (_error) {
+    // Bodies of some cached and streamed responses are not available
+    return { size: 0, mimeType, comment: 'Body not available' };
+  }
+
+  if (body.length > maxBodySize) {
+    return {
+      size: body.length,
+      mimeType,
+      comment: `Body of ${body.length} bytes exceeds the size cap`
+    };
+  }
+
+  if (HAR_CONFIG.TEXT_CONTENT_TYPE_PATTERN.test(mimeType)) {
+    return { size: body.length, mimeType, text: body.toString('utf8') };
+  }
+
+  return { size: body.length, mimeType, text: body.toString('base64'), encoding: 'base64' };
+}
+
+/**
+ * Converts a headers object into HAR name/value pairs with credentials masked
+ *
+ * @param {Object} headers - Headers keyed by lower case name
+ * @returns {Array<{ name: string, value: string }>} - HAR headers
+ */
+function toHarHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: HAR_CONFIG.REDACTED_HEADERS.includes(name.toLowerCase()) ? SECRET_MASK : value
+  }));
+}
+
+/**
+ * Converts the query string of a URL into HAR name/value pairs
+ *
+ * @param {string} url - Request URL
+ * @returns {Array<{ name: string, value: string }>} - HAR query string
+ */
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (_error) {
+    return [];
+  }
+}
+
+/**
+ * Masks secret variable values in the serialised archive
+ * Secrets are also looked for in their URL- and form-encoded forms, as JSON string content.
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.text - Serialised archive
+ * @param {Array<string>} options.secrets - Secret values
+ * @returns {string} - Archive with every secret replaced by the mask
+ */
+function maskSecrets({ text, secrets }) {
+  const forms = secrets.flatMap((secret) => [
+    secret,
+    encodeURIComponent(secret),
+    new URLSearchParams({ secret }).toString().slice('secret='.length)
+  ]);
+
+  return helperTemplateMask({
+    text,
+    secrets: [...new Set(forms)].map((form) => JSON.stringify(form).slice(1, -1))
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * Job Store Helper
+ *
+ * Persists scrape jobs as JSON files in the data directory so that job state
+ * and results survive a process restart.
+ */
+
+// Import constants
+import { JOB_CONFIG } from '../constants.js';
+
+// Helper functions
+import { helperJsonFileStoreCreate } from './json-file-store.js';
+
+// Job IDs are UUIDs, anything else is rejected before touching the file system
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// File based job store
+export const helperJobStore = helperJsonFileStoreCreate({
+  dirName: JOB_CONFIG.STORE_DIR_NAME,
+  keyField: 'id',
+  keyPattern: JOB_ID_PATTERN,
+  label: 'job'
+});
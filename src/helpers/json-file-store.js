@@ -0,0 +1,128 @@
+/**
+ * JSON File Store Helper
+ *
+ * Persists records as one JSON file per key in a sub directory of the data
+ * directory. Shared by the job and session stores.
+ */
+
+// Node core modules
+import fs from 'fs';
+import path from 'path';
+
+// Import config
+import { config } from '../config.js';
+
+/**
+ * Creates a file based store for one kind of record
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.dirName - Sub directory of the data directory holding the files
+ * @param {string} options.keyField - Record field holding the key, which doubles as file name
+ * @param {RegExp} options.keyPattern - Valid keys, anything else is rejected before touching the file system
+ * @param {string} options.label - Record name used in error messages (e.g. "job")
+ * @returns {Object} - Store exposing getDir, getFilePath, save, get, list and remove
+ */
+export function helperJsonFileStoreCreate({ dirName, keyField, keyPattern, label }) {
+  return {
+    /**
+     * Returns the directory holding the record files
+     * @returns {string} - Absolute path of the directory
+     */
+    getDir() {
+      return path.resolve(config.paths.data, dirName);
+    },
+
+    /**
+     * Returns the file path of a record or null if the key is not valid
+     * @param {string} key - Record key
+     * @returns {string|null} - Record file path
+     */
+    getFilePath(key) {
+      if (typeof key !== 'string' || !keyPattern.test(key)) {
+        return null;
+      }
+
+      return path.join(this.getDir(), `${key}.json`);
+    },
+
+    /**
+     * Writes a record to disk
+     * The file is written next to its destination first and renamed so that
+     * a crash never leaves a half written record behind
+     * @param {Object} record - Record to persist
+     * @returns {Object} - The persisted record
+     */
+    save(record) {
+      const filePath = this.getFilePath(record[keyField]);
+      if (!filePath) {
+        throw new Error(`Invalid ${label} ${keyField}: ${record[keyField]}`);
+      }
+
+      // Create the directory on first write
+      if (!fs.existsSync(this.getDir())) {
+        fs.mkdirSync(this.getDir(), { recursive: true });
+      }
+
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(record));
+      fs.renameSync(tmpPath, filePath);
+
+      return record;
+    },
+
+    /**
+     * Reads a record from disk
+     * @param {string} key - Record key
+     * @returns {Object|null} - The record or null if it does not exist
+     */
+    get(key) {
+      const filePath = this.getFilePath(key);
+      if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+      }
+
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+
+    /**
+     * Reads all records from disk, skipping unreadable files
+     * @returns {Array<Object>} - Stored records
+     */
+    list() {
+      const records = [];
+
+      if (!fs.existsSync(this.getDir())) {
+        return records;
+      }
+
+      for (const file of fs.readdirSync(this.getDir())) {
+        if (!file.endsWith('.json')) {
+          continue;
+        }
+
+        try {
+          const record = this.get(path.basename(file, '.json'));
+          if (record) {
+            records.push(record);
+          }
+        } catch (error) {
+          console.error(`Error reading ${label} file ${file}: ${error.message}`);
+        }
+      }
+
+      return records;
+    },
+
+    /**
+     * Removes a record from disk
+     * @param {string} key - Record key
+     * @returns {void}
+     */
+    remove(key) {
+      const filePath = this.getFilePath(key);
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  };
+}
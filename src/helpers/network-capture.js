@@ -0,0 +1,287 @@
+/**
+ * Network Capture Helper
+ *
+ * Observes the page's network traffic while the recording runs and keeps
+ * the requests and responses that match the configured capture entries.
+ */
+
+// Import constants
+import { NETWORK_CAPTURE_CONFIG } from '../constants.js';
+
+/**
+ * Attaches network listeners to a page based on the capture configuration
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance to observe
+ * @param {Object} options.capture - Validated capture configuration
+ * @param {Array} options.capture.request.data - Entries whose request bodies should be captured
+ * @param {Array} options.capture.request.queries - Entries whose query strings should be captured
+ * @param {Array} options.capture.response.data - Entries whose response bodies should be captured
+ * @returns {Object} - Capture handle exposing collect() and detach()
+ */
+export function helperNetworkCaptureAttach({ page, capture }) {
+  const { data: dataEntries = [], queries: queryEntries = [] } = capture.request || {};
+  const { data: responseEntries = [] } = capture.response || {};
+
+  // Results keyed by capture key, null until a matching request or response is seen
+  const requestResults = {};
+  for (const entry of [...dataEntries, ...queryEntries]) {
+    requestResults[entry.key] = null;
+  }
+
+  const responseResults = {};
+  for (const entry of responseEntries) {
+    responseResults[entry.key] = null;
+  }
+
+  // Body reads are async, so keep track of them and the result they fill until collect() is called
+  const pending = new Map();
+
+  const track = (result, promise) => {
+    const tracked = promise
+      .catch((error) => console.error('Error capturing network data:', error.message))
+      .finally(() => pending.delete(tracked));
+    pending.set(tracked, result);
+  };
+
+  const onRequest = (request) => {
+    const url = request.url();
+    const method = request.method();
+
+    for (const entry of queryEntries) {
+      if (matchesEntry({ entry, url, method })) {
+        getRequestResult({ key: entry.key, url, method }).queries = parseParams(
+          new URL(url).searchParams
+        );
+      }
+    }
+
+    for (const entry of dataEntries) {
+      if (matchesEntry({ entry, url, method })) {
+        const result = getRequestResult({ key: entry.key, url, method });
+        track(
+          result,
+          helperNetworkCaptureReadPostData(request).then((postData) => {
+            // Reads that outlived collect() must not change the returned results
+            if (result.bodyError) {
+              return;
+            }
+            result.data = parseBody({
+              body: postData,
+              contentType: request.headers()['content-type']
+            });
+          })
+        );
+      }
+    }
+  };
+
+  const onResponse = (response) => {
+    const request = response.request();
+    const url = response.url();
+    const method = request.method();
+
+    for (const entry of responseEntries) {
+      if (matchesEntry({ entry, url, method })) {
+        const headers = response.headers();
+        const result = {
+          url,
+          method,
+          status: response.status(),
+          headers,
+          body: null
+        };
+        responseResults[entry.key] = result;
+
+        track(
+          result,
+          readResponseBody(response).then((body) => {
+            if (result.bodyError) {
+              return;
+            }
+            result.body = parseBody({ body, contentType: headers['content-type'] });
+          })
+        );
+      }
+    }
+  };
+
+  /**
+   * Returns the result object for a key, replacing it when a newer request matches
+   */
+  const getRequestResult = ({ key, url, method }) => {
+    const current = requestResults[key];
+    if (!current || current.url !== url || current.method !== method) {
+      requestResults[key] = { url, method };
+    }
+    return requestResults[key];
+  };
+
+  if (dataEntries.length > 0 || queryEntries.length > 0) {
+    page.on('request', onRequest);
+  }
+
+  if (responseEntries.length > 0) {
+    page.on('response', onResponse);
+  }
+
+  return {
+    /**
+     * Waits for pending body reads and returns the captured results
+     * Reads still pending after BODY_READ_TIMEOUT are given up with a bodyError on their result
+     *
+     * @returns {Promise<Object>} - Captured request and response data keyed by capture key
+     */
+    async collect() {
+      await helperNetworkCaptureSettle(pending);
+      return { request: requestResults, response: responseResults };
+    },
+
+    /**
+     * Removes the listeners from the page
+     *
+     * @returns {void}
+     */
+    detach() {
+      page.off('request', onRequest);
+      page.off('response', onResponse);
+    }
+  };
+}
+
+/**
+ * Waits for tracked body reads, giving up on those still pending after BODY_READ_TIMEOUT
+ * Given up reads leave a bodyError on the object they fill, which their late completion checks.
+ *
+ * @param {Map<Promise, Object>} pending - Tracked reads and the object each of them fills
+ * @returns {Promise<void>} - Resolves once every read finished or timed out, pending is emptied
+ */
+export async function helperNetworkCaptureSettle(pending) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, NETWORK_CAPTURE_CONFIG.BODY_READ_TIMEOUT);
+  });
+
+  await Promise.race([Promise.all(pending.keys()), timeout]);
+  clearTimeout(timer);
+
+  for (const target of pending.values()) {
+    target.bodyError = `Body was not read within ${NETWORK_CAPTURE_CONFIG.BODY_READ_TIMEOUT}ms`;
+  }
+  pending.clear();
+}
+
+/**
+ * Reads the post data of a request, fetching it when it was not inlined
+ *
+ * @param {Object} request - Puppeteer HTTPRequest instance
+ * @returns {Promise<string|undefined>} - Request body if any
+ */
+export async function helperNetworkCaptureReadPostData(request) {
+  const postData = request.postData();
+
+  if (postData === undefined && request.hasPostData?.()) {
+    return await request.fetchPostData();
+  }
+
+  return postData;
+}
+
+/**
+ * Checks whether a request matches a capture entry by address and method
+ * Query strings and trailing slashes are ignored when comparing addresses
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.entry - Capture entry with address and method
+ * @param {string} options.url - Request URL
+ * @param {string} options.method - Request HTTP method
+ * @returns {boolean} - True if the request matches the entry
+ */
+function matchesEntry({ entry, url, method }) {
+  if (entry.method.toUpperCase() !== method.toUpperCase()) {
+    return false;
+  }
+
+  try {
+    const target = new URL(entry.address);
+    const actual = new URL(url);
+    const normalize = (pathname) => pathname.replace(/\/+$/, '') || '/';
+
+    return (
+      target.origin === actual.origin && normalize(target.pathname) === normalize(actual.pathname)
+    );
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Turns URL search parameters (a query string or a form body) into an object
+ * Repeated parameters are returned as arrays
+ *
+ * @param {URLSearchParams} params - Parameters to convert
+ * @returns {Object} - Parameter values keyed by name
+ */
+function parseParams(params) {
+  const values = {};
+
+  for (const [name, value] of params) {
+    if (name in values) {
+      values[name] = [].concat(values[name], value);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a request or response body based on its content type
+ * Falls back to the raw string when the body cannot be parsed
+ *
+ * @param {Object} options - Options object
+ * @param {string} [options.body] - Raw body text
+ * @param {string} [options.contentType] - Content-Type header value
+ * @returns {*} - Parsed body, raw string or null when there is no body
+ */
+function parseBody({ body, contentType = '' }) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+
+  try {
+    if (contentType.includes('json')) {
+      return JSON.parse(body);
+    }
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      // Parsed on its own rather than as a URL, where a "#" would start the fragment
+      return parseParams(new URLSearchParams(body));
+    }
+  } catch (_error) {
+    // Malformed bodies are returned as they were sent
+  }
+
+  return body;
+}
+
+/**
+ * Reads the body of a response as text
+ * Redirects and some cached responses have no body, in which case null is returned
+ *
+ * @param {Object} response - Puppeteer HTTPResponse instance
+ * @returns {Promise<string|null>} - Response body if available
+ */
+async function readResponseBody(response) {
+  const status = response.status();
+  if (status >= 300 && status < 400) {
+    return null;
+  }
+
+  try {
+    return await response.text();
+  } catch (_error) {
+    return null;
+  }
+}
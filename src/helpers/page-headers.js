@@ -0,0 +1,90 @@
+/**
+ * Page Headers Helper
+ *
+ * Applies the request headers of a scrape to its page. Plain headers are sent
+ * with every request, scoped headers only with requests to their origins so
+ * that tokens do not leak to third-party hosts.
+ */
+
+/**
+ * Splits validated headers into headers for every request and headers per origin
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.headers - Validated headers, values are strings or { value, origins }
+ * @returns {{ global: Object, scoped: Array<{ name: string, value: string, origins: Set<string> }> }} - Split headers
+ */
+export function helperPageHeadersSplit({ headers = {} }) {
+  const global = {};
+  const scoped = [];
+
+  for (const [name, header] of Object.entries(headers)) {
+    if (typeof header === 'string') {
+      global[name] = header;
+    } else {
+      scoped.push({
+        name,
+        value: header.value,
+        origins: new Set(header.origins.map((origin) => new URL(origin).origin))
+      });
+    }
+  }
+
+  return { global, scoped };
+}
+
+/**
+ * Sets the headers of a scrape on its page
+ * Scoped headers need request interception, which is only enabled when there are any.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @param {Object} options.headers - Validated headers
+ * @returns {Promise<void>} - Resolves when the headers are in place
+ */
+export async function helperPageHeadersApply({ page, headers }) {
+  const { global, scoped } = helperPageHeadersSplit({ headers });
+
+  await page.setExtraHTTPHeaders(global);
+
+  if (scoped.length === 0) {
+    return;
+  }
+
+  await page.setRequestInterception(true);
+
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    const origin = getOrigin(request.url());
+    const matching = scoped.filter((header) => header.origins.has(origin));
+
+    if (matching.length === 0) {
+      request.continue({}, 0);
+      return;
+    }
+
+    const overrides = { ...request.headers() };
+    for (const { name, value } of matching) {
+      overrides[name.toLowerCase()] = value;
+    }
+
+    request.continue({ headers: overrides }, 0);
+  });
+}
+
+/**
+ * Returns the origin of a URL, null for URLs without one (data:, blob:, ...)
+ *
+ * @param {string} url - Request URL
+ * @returns {string|null} - Origin of the URL
+ */
+function getOrigin(url) {
+  try {
+    const { origin } = new URL(url);
+    return origin === 'null' ? null : origin;
+  } catch (_error) {
+    return null;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Page Snapshots Helper
+ *
+ * Archives a page as the scraper saw it, as a PDF print or as an MHTML
+ * snapshot (captured through the CDP Page.captureSnapshot command), and
+ * saves the files as artifacts under /api/tmp.
+ */
+
+// Node core modules
+import fs from 'fs';
+
+// Import constants
+import { PDF_CONFIG } from '../constants.js';
+
+// Helper functions
+import { helperArtifactsCreate } from './artifacts.js';
+
+/**
+ * Prints the page to a PDF file
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @param {Object|boolean} [options.pdf] - Validated output.pdf, true for the defaults
+ * @returns {Promise<{ pdfUrl: string }>} - URL of the saved PDF
+ * @throws {Error} - Throws an error if the page cannot be printed
+ */
+export async function helperPageSnapshotsPdf({ page, pdf }) {
+  const { format, landscape, printBackground, margin = {} } = typeof pdf === 'object' ? pdf : {};
+
+  try {
+    const { filePath, url } = helperArtifactsCreate({ prefix: 'page', extension: '.pdf' });
+
+    await page.pdf({
+      path: filePath,
+      format: format ?? PDF_CONFIG.DEFAULT_FORMAT,
+      landscape: landscape ?? PDF_CONFIG.DEFAULT_LANDSCAPE,
+      printBackground: printBackground ?? PDF_CONFIG.DEFAULT_PRINT_BACKGROUND,
+      margin: {
+        top: margin.top ?? PDF_CONFIG.DEFAULT_MARGIN,
+        right: margin.right ?? PDF_CONFIG.DEFAULT_MARGIN,
+        bottom: margin.bottom ?? PDF_CONFIG.DEFAULT_MARGIN,
+        left: margin.left ?? PDF_CONFIG.DEFAULT_MARGIN
+      }
+    });
+
+    console.log(`PDF saved at: ${filePath}`);
+    return { pdfUrl: url };
+  } catch (error) {
+    error.message = `Error generating PDF: ${error.message}`;
+    error.code = 'ERROR_PDF_GENERATION';
+    throw error;
+  }
+}
+
+/**
+ * Captures the page with its resources into an MHTML file
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @returns {Promise<{ mhtmlUrl: string }>} - URL of the saved snapshot
+ * @throws {Error} - Throws an error if the snapshot cannot be captured
+ */
+export async function helperPageSnapshotsMhtml({ page }) {
+  let session = null;
+
+  try {
+    const { filePath, url } = helperArtifactsCreate({ prefix: 'page', extension: '.mhtml' });
+
+    session = await page.createCDPSession();
+    const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+    fs.writeFileSync(filePath, data);
+
+    console.log(`MHTML snapshot saved at: ${filePath}`);
+    return { mhtmlUrl: url };
+  } catch (error) {
+    error.message = `Error generating MHTML snapshot: ${error.message}`;
+    error.code = 'ERROR_MHTML_GENERATION';
+    throw error;
+  } finally {
+    await session?.detach().catch(() => {});
+  }
+}
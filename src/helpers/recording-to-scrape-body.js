@@ -0,0 +1,51 @@
+/**
+ * Recording Mapper Helper
+ *
+ * Maps a Chrome DevTools Recorder export onto the scrape request schema
+ * so that it can be validated and executed like any other scrape request.
+ */
+
+/**
+ * Builds a scrape request body from a Recorder export
+ * Step order is preserved so that step indexes match the original export.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.recording - Recorder export with optional scraper blocks
+ * @returns {Object} - Scrape request body
+ */
+export function helperRecordingToScrapeBody({ recording }) {
+  const {
+    title,
+    timeout,
+    steps,
+    speedMode,
+    timeoutMode,
+    proxy,
+    capture,
+    headers,
+    cookies,
+    output,
+    variables,
+    session
+  } = recording;
+
+  const record = {
+    title,
+    // The flow-level timeout of the export applies to steps without their own
+    steps: timeout ? steps.map((step) => ({ timeout, ...step })) : steps
+  };
+
+  if (speedMode !== undefined) record.speedMode = speedMode;
+  if (timeoutMode !== undefined) record.timeoutMode = timeoutMode;
+
+  const body = { proxy, record };
+
+  if (capture !== undefined) body.capture = capture;
+  if (headers !== undefined) body.headers = headers;
+  if (cookies !== undefined) body.cookies = cookies;
+  if (output !== undefined) body.output = output;
+  if (variables !== undefined) body.variables = variables;
+  if (session !== undefined) body.session = session;
+
+  return body;
+}
@@ -0,0 +1,77 @@
+/**
+ * Replay Steps Helper
+ *
+ * Converts validated record steps into the format expected by @puppeteer/replay.
+ * Selector objects are turned into Recorder selector strings and legacy pointer
+ * button names are mapped to their Recorder equivalents.
+ */
+
+// Constants
+import { SELECTOR_TYPE_NAMES, POINTER_BUTTONS } from '../constants.js';
+
+// Legacy button names kept for backward compatibility with older requests
+const LEGACY_BUTTONS = {
+  [POINTER_BUTTONS.LEFT]: POINTER_BUTTONS.PRIMARY,
+  [POINTER_BUTTONS.MIDDLE]: POINTER_BUTTONS.AUXILIARY,
+  [POINTER_BUTTONS.RIGHT]: POINTER_BUTTONS.SECONDARY
+};
+
+// Recorder selector prefixes by selector type (CSS selectors have no prefix)
+const SELECTOR_PREFIXES = {
+  [SELECTOR_TYPE_NAMES.CSS]: '',
+  [SELECTOR_TYPE_NAMES.XPATH]: 'xpath/',
+  [SELECTOR_TYPE_NAMES.ARIA]: 'aria/',
+  [SELECTOR_TYPE_NAMES.TEXT]: 'text/',
+  [SELECTOR_TYPE_NAMES.PIERCE]: 'pierce/'
+};
+
+/**
+ * Normalizes record steps for the replay runner
+ *
+ * @param {Object} options - Options object
+ * @param {Array<Object>} options.steps - Validated record steps
+ * @returns {Array<Object>} - Steps in @puppeteer/replay format
+ */
+export function helperReplayStepsNormalize({ steps }) {
+  return steps.map((step) => {
+    const normalized = { ...step };
+
+    if (Array.isArray(step.selectors)) {
+      normalized.selectors = step.selectors.map(toReplaySelector);
+    }
+
+    if (step.button && LEGACY_BUTTONS[step.button]) {
+      normalized.button = LEGACY_BUTTONS[step.button];
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Builds the Puppeteer query of a { type, value } selector
+ * Recorder selectors use the same prefixes as Puppeteer's built-in query handlers,
+ * so the result works with page.$, page.$$ and locators as well.
+ *
+ * @param {Object} selector - Selector object
+ * @param {string} selector.type - Selector type (CSS, XPATH, ARIA, TEXT, PIERCE)
+ * @param {string} selector.value - Selector value
+ * @returns {string} - Prefixed selector string
+ */
+export function helperReplaySelectorQuery({ type, value }) {
+  return `${SELECTOR_PREFIXES[type]}${value}`;
+}
+
+/**
+ * Converts a single step selector into a Recorder selector
+ *
+ * @param {string|Array<string>|Object} selector - Step selector
+ * @returns {string|Array<string>} - Recorder selector
+ */
+function toReplaySelector(selector) {
+  if (typeof selector === 'string' || Array.isArray(selector)) {
+    return selector;
+  }
+
+  return helperReplaySelectorQuery(selector);
+}
@@ -0,0 +1,286 @@
+/**
+ * Response Formats Helper
+ *
+ * Serialises captured values into CSV, NDJSON or XML files. Selectors become
+ * columns in their request order: a LIST selector adds one column per field,
+ * other selectors one column named after their key. LIST rows and the values
+ * of multiple selectors are lined up by index, single values repeat on every row.
+ */
+
+// Import constants
+import {
+  RESPONSE_TYPE_NAMES,
+  RESPONSE_FORMATS,
+  RESPONSE_METADATA_HEADERS,
+  SELECTOR_TYPE_NAMES
+} from '../constants.js';
+
+// XML element names, names starting with "xml" are reserved
+const XML_NAME_PATTERN = /^(?!xml)[A-Za-z_][\w.-]*$/i;
+
+// Characters XML 1.0 cannot represent, even escaped
+const XML_INVALID_CHARACTERS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+// Spreadsheets run cells starting with these characters as formulas
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Returns the column names of the selectors, in selector order
+ *
+ * @param {Object} options - Options object
+ * @param {Array<Object>} options.selectors - Validated capture selectors
+ * @returns {Array<string>} - Column names, duplicates included
+ */
+export function helperResponseFormatColumns({ selectors }) {
+  return selectors.flatMap((selector) =>
+    selector.type === SELECTOR_TYPE_NAMES.LIST ? Object.keys(selector.fields) : [selector.key]
+  );
+}
+
+/**
+ * Checks whether a column name can be used as an XML element name
+ *
+ * @param {string} name - Column name
+ * @returns {boolean} - True if the name is a valid XML element name
+ */
+export function helperResponseFormatIsXmlName(name) {
+  return XML_NAME_PATTERN.test(name);
+}
+
+/**
+ * Lines the captured values up into rows
+ *
+ * @param {Object} options - Options object
+ * @param {Array<Object>} options.selectors - Validated capture selectors
+ * @param {Object} options.values - Captured values keyed by selector key
+ * @returns {{ columns: Array<string>, rows: Array<Array<*>> }} - Columns and row cells in column order
+ */
+export function helperResponseFormatTable({ selectors, values }) {
+  const columns = helperResponseFormatColumns({ selectors });
+  const cells = [];
+  let rowCount = null;
+
+  for (const selector of selectors) {
+    const value = values[selector.key];
+
+    if (selector.type === SELECTOR_TYPE_NAMES.LIST) {
+      const rows = Array.isArray(value) ? value : [];
+      rowCount = Math.max(rowCount ?? 0, rows.length);
+      for (const field of Object.keys(selector.fields)) {
+        cells.push((index) => rows[index]?.[field] ?? null);
+      }
+    } else if (selector.multiple) {
+      const items = Array.isArray(value) ? value : [];
+      rowCount = Math.max(rowCount ?? 0, items.length);
+      cells.push((index) => items[index] ?? null);
+    } else {
+      cells.push(() => value ?? null);
+    }
+  }
+
+  // Without LIST or multiple selectors the single values make up one row
+  const rows = Array.from({ length: rowCount ?? 1 }, (_, index) =>
+    cells.map((cell) => cell(index))
+  );
+
+  return { columns, rows };
+}
+
+/**
+ * Serialises rows into the format of a response type
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.responseType - CSV, NDJSON or XML
+ * @param {Array<string>} options.columns - Column names
+ * @param {Array<Array<*>>} options.rows - Row cells in column order
+ * @returns {string} - File contents
+ * @throws {Error} - Throws an error for response types without a file format
+ */
+export function helperResponseFormatSerialize({ responseType, columns, rows }) {
+  switch (responseType) {
+    case RESPONSE_TYPE_NAMES.CSV:
+      return [columns, ...rows].map((row) => `${row.map(toCsvCell).join(',')}\r\n`).join('');
+
+    case RESPONSE_TYPE_NAMES.NDJSON:
+      return rows
+        .map((row) => `${JSON.stringify(Object.fromEntries(columns.map((c, i) => [c, row[i]])))}\n`)
+        .join('');
+
+    case RESPONSE_TYPE_NAMES.XML: {
+      const body = rows
+        .map((row) => {
+          const fields = columns.map((column, i) => toXmlElement(column, row[i], '    '));
+          return `  <row>\n${fields.join('')}  </row>\n`;
+        })
+        .join('');
+      return `<?xml version="1.0" encoding="UTF-8"?>\n<rows>\n${body}</rows>\n`;
+    }
+
+    default:
+      throw new Error(`Unsupported file response type: ${responseType}`);
+  }
+}
+
+/**
+ * Builds the file response of a scrape
+ * Metadata that the JSON response returns in its body goes into response headers.
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.responseType - CSV, NDJSON or XML
+ * @param {Array<Object>} options.selectors - Validated capture selectors
+ * @param {Object} options.values - Captured values keyed by selector key
+ * @param {string} options.title - Record title, used for the file name
+ * @param {Object} [options.metadata] - Response metadata
+ * @param {Object} [options.metadata.proxy] - Proxy used by the scrape
+ * @param {string} [options.metadata.screenshotUrl] - Success screenshot URL
+ * @param {string} [options.metadata.harUrl] - Network log URL
+ * @param {Object} [options.metadata.errors] - Capture errors keyed by path
+ * @returns {{ document: Object, headers: Object }} - File contents, type and name, and metadata headers
+ */
+export function helperResponseFormatDocument({
+  responseType,
+  selectors,
+  values,
+  title,
+  metadata = {}
+}) {
+  const { CONTENT_TYPE, EXTENSION } = RESPONSE_FORMATS[responseType];
+  const { columns, rows } = helperResponseFormatTable({ selectors, values });
+
+  const headers = {};
+  const { proxy, screenshotUrl, harUrl, errors = {} } = metadata;
+
+  if (proxy) {
+    headers[RESPONSE_METADATA_HEADERS.PROXY] = `${proxy.protocol}://${proxy.server}:${proxy.port}`;
+  }
+
+  if (screenshotUrl) {
+    headers[RESPONSE_METADATA_HEADERS.SCREENSHOT_URL] = screenshotUrl;
+  }
+
+  if (harUrl) {
+    headers[RESPONSE_METADATA_HEADERS.HAR_URL] = harUrl;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    headers[RESPONSE_METADATA_HEADERS.PARTIAL] = 'true';
+    // Header values are ASCII, other characters of the keys are percent-encoded
+    headers[RESPONSE_METADATA_HEADERS.ERRORS] = Object.keys(errors)
+      .join(', ')
+      .replace(/[^\x20-\x7e]+/gu, encodeURIComponent);
+  }
+
+  return {
+    document: {
+      contentType: CONTENT_TYPE,
+      filename: `${toFileName(title)}.${EXTENSION}`,
+      body: helperResponseFormatSerialize({ responseType, columns, rows })
+    },
+    headers
+  };
+}
+
+/**
+ * Sends a scrape result, file responses with their content and metadata headers
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.res - Express response object
+ * @param {*} options.result - Result returned by helperDoScraping
+ * @returns {void}
+ */
+export function helperResponseFormatSend({ res, result }) {
+  if (!result?.document) {
+    res.send(result);
+    return;
+  }
+
+  const { contentType, filename, body } = result.document;
+
+  res
+    .set({
+      ...result.headers,
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    })
+    .send(body);
+}
+
+/**
+ * Serialises a value into a CSV cell (RFC 4180)
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (
+    typeof value === 'string' &&
+    CSV_FORMULA_PREFIXES.includes(text[0]) &&
+    Number.isNaN(Number(text))
+  ) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Serialises a value into an XML element, arrays become one item element per value
+ *
+ * @param {string} name - Element name
+ * @param {*} value - Element value
+ * @param {string} indent - Indentation of the element
+ * @returns {string} - XML element followed by a line break
+ */
+function toXmlElement(name, value, indent) {
+  if (value === null || value === undefined) {
+    return `${indent}<${name}/>\n`;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) => toXmlElement('item', item, `${indent}  `)).join('');
+    return `${indent}<${name}>\n${items}${indent}</${name}>\n`;
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `${indent}<${name}>${escapeXml(text)}</${name}>\n`;
+}
+
+/**
+ * Escapes text for XML element content and drops characters XML cannot hold
+ *
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(XML_INVALID_CHARACTERS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds a file name from the record title
+ *
+ * @param {string} title - Record title
+ * @returns {string} - Lower case file name without extension
+ */
+function toFileName(title = '') {
+  const name = title
+    .toLowerCase()
+    .replace(/[^a-z0-9.-]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+
+  return name || 'scrape';
+}
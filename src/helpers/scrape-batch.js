@@ -0,0 +1,70 @@
+/**
+ * Scrape Batch Helper
+ *
+ * Runs the rows of a batch request with a per-batch concurrency cap.
+ * Every row still goes through helperDoScraping and therefore waits for a
+ * slot of helperBrowserSemaphore like any other scrape request.
+ * Rows sharing a named session run one after another, so that each row starts
+ * from the state the previous one saved instead of overwriting it.
+ */
+
+// Helper functions
+import { helperDoScraping } from './do-scraping.js';
+import { helperErrorResult } from './error-result.js';
+
+/**
+ * Runs all rows of a batch and reports each result as soon as it is available
+ * A failing row never stops the batch, its error payload is reported instead.
+ *
+ * @param {Object} options - Options object
+ * @param {Array<Object>} options.items - Validated rows ({ index, input, body })
+ * @param {number} options.concurrency - Maximum number of rows running at once
+ * @param {AbortSignal} [options.signal] - Aborts the running rows and skips the remaining ones
+ * @param {Function} [options.onResult] - Called with every row result in completion order
+ * @returns {Promise<Array<Object>>} - Row results ordered by row index
+ */
+export async function helperScrapeBatchRun({ items, concurrency, signal, onResult }) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Last run of each named session, the next row of that session waits for it
+  const sessionRuns = new Map();
+
+  /**
+   * Scrapes a row, after the previous row of its session when it has one
+   */
+  const scrape = (body) => {
+    const name = body.session?.name;
+    if (!name) {
+      return helperDoScraping(body, { signal });
+    }
+
+    const previous = sessionRuns.get(name) ?? Promise.resolve();
+    const run = previous.then(() => helperDoScraping(body, { signal }));
+
+    // A failing row still hands the session on to the next one
+    const settled = run.catch(() => null);
+    sessionRuns.set(name, settled);
+    return run;
+  };
+
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const { index, input, body } = items[next++];
+
+      let payload;
+      try {
+        payload = await scrape(body);
+      } catch (error) {
+        payload = helperErrorResult({ error }).result;
+      }
+
+      results[index] = { index, input, ...payload };
+      onResult?.(results[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  return results;
+}
@@ -0,0 +1,298 @@
+/**
+ * Scrape Jobs Helper
+ *
+ * Runs scrape requests in the background and tracks their state.
+ * Jobs are persisted through the job store so that their status and results
+ * can be polled after the HTTP request that created them has ended. The
+ * request itself only lives in memory as it holds proxy credentials.
+ * Jobs with a callback deliver their final payload to the callback URL.
+ */
+
+// Node core modules
+import { randomUUID } from 'crypto';
+
+// Import constants
+import { JOB_STATUSES, JOB_CONFIG, DELIVERY_STATUSES } from '../constants.js';
+
+// Helper functions
+import { helperDoScraping } from './do-scraping.js';
+import { helperErrorResult } from './error-result.js';
+import { helperJobStore } from './job-store.js';
+import { helperWebhookDeliver } from './webhook-delivery.js';
+
+// Statuses after which a job no longer changes
+const FINISHED_STATUSES = [JOB_STATUSES.SUCCEEDED, JOB_STATUSES.FAILED, JOB_STATUSES.CANCELLED];
+
+// Scrape job manager
+export const helperScrapeJobs = {
+  /**
+   * Abort controllers of jobs started by this process, keyed by job ID
+   * @type {Map<string, AbortController>}
+   */
+  controllers: new Map(),
+
+  /**
+   * Creates a job and starts it in the background
+   * The request is handed to the run and never written to the job store.
+   * @param {Object} options - Options object
+   * @param {Object} options.body - Validated scrape request body
+   * @returns {Object} - Public view of the created job
+   */
+  create({ body }) {
+    const { callback, ...request } = body;
+
+    const job = helperJobStore.save({
+      id: randomUUID(),
+      status: JOB_STATUSES.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      callback: callback || null,
+      delivery: callback
+        ? { url: callback.url, status: DELIVERY_STATUSES.PENDING, attempts: [] }
+        : null
+    });
+
+    this.background(job.id, this.run(job, request));
+
+    return this.toPublic(job);
+  },
+
+  /**
+   * Returns the public view of a job
+   * @param {Object} options - Options object
+   * @param {string} options.id - Job ID
+   * @returns {Object} - Public view of the job
+   * @throws {Error} - Throws a 404 error if the job does not exist
+   */
+  get({ id }) {
+    return this.toPublic(this.getOrThrow(id));
+  },
+
+  /**
+   * Returns the webhook delivery log of a job
+   * @param {Object} options - Options object
+   * @param {string} options.id - Job ID
+   * @returns {Object|null} - Delivery status and attempts, null if the job has no callback
+   * @throws {Error} - Throws a 404 error if the job does not exist
+   */
+  getDelivery({ id }) {
+    return this.getOrThrow(id).delivery ?? null;
+  },
+
+  /**
+   * Cancels a queued or running job
+   * @param {Object} options - Options object
+   * @param {string} options.id - Job ID
+   * @returns {Object} - Public view of the cancelled job
+   * @throws {Error} - Throws a 404 error if the job does not exist
+   * @throws {Error} - Throws a 409 error if the job has already finished
+   */
+  cancel({ id }) {
+    const job = this.getOrThrow(id);
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      const error = new Error(`Job ${id} has already finished with status ${job.status}`);
+      error.status = 409;
+      error.code = 'ERROR_JOB_ALREADY_FINISHED';
+      throw error;
+    }
+
+    const cancelled = this.update(id, {
+      status: JOB_STATUSES.CANCELLED,
+      finishedAt: new Date().toISOString(),
+      request: null,
+      callback: null,
+      delivery: null
+    });
+
+    // Stop the browser if the job is being executed by this process
+    this.controllers.get(id)?.abort();
+
+    return this.toPublic(cancelled);
+  },
+
+  /**
+   * Recovers jobs persisted by a previous process
+   * Queued and running jobs are marked as failed because their request and
+   * browser are gone, interrupted deliveries are restarted and old finished
+   * jobs are removed
+   * @returns {void}
+   */
+  init() {
+    const cutoff = Date.now() - JOB_CONFIG.RETENTION_HOURS * 60 * 60 * 1000;
+
+    for (const job of helperJobStore.list()) {
+      if (job.status === JOB_STATUSES.QUEUED || job.status === JOB_STATUSES.RUNNING) {
+        const error = new Error('Job was interrupted by a process restart');
+        error.code = 'ERROR_JOB_INTERRUPTED';
+        this.background(
+          job.id,
+          this.deliver(
+            this.finish(job.id, {
+              status: JOB_STATUSES.FAILED,
+              result: helperErrorResult({ error }).result
+            })
+          )
+        );
+      } else if (job.callback) {
+        console.log(`Resuming callback delivery of scrape job ${job.id}`);
+        this.background(job.id, this.deliver(job));
+      } else if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        helperJobStore.remove(job.id);
+      }
+    }
+  },
+
+  /**
+   * Logs the failure of work started without awaiting it
+   * A job store write failing after the HTTP request has ended must not crash the process
+   * @param {string} id - Job ID
+   * @param {Promise<void>} promise - Background run or delivery of the job
+   * @returns {void}
+   */
+  background(id, promise) {
+    promise.catch((error) => {
+      console.error(`Scrape job ${id} could not be completed:`, error.message);
+    });
+  },
+
+  /**
+   * Executes a job and stores its result
+   * @param {Object} job - Stored job
+   * @param {Object} request - Validated scrape request body of the job
+   * @returns {Promise<void>} - Resolves when the job has finished
+   */
+  async run(job, request) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    let finished;
+
+    try {
+      const result = await helperDoScraping(request, {
+        signal: controller.signal,
+        onStart: () =>
+          this.update(job.id, {
+            status: JOB_STATUSES.RUNNING,
+            startedAt: new Date().toISOString()
+          })
+      });
+
+      finished = this.finish(job.id, { status: JOB_STATUSES.SUCCEEDED, result });
+    } catch (error) {
+      console.error(`Scrape job ${job.id} failed:`, error.message);
+      finished = this.finish(job.id, {
+        status: JOB_STATUSES.FAILED,
+        result: helperErrorResult({ error }).result
+      });
+    } finally {
+      this.controllers.delete(job.id);
+    }
+
+    await this.deliver(finished);
+  },
+
+  /**
+   * Posts the result of a finished job to its callback URL
+   * Every attempt is appended to the delivery log. The callback configuration
+   * is dropped once delivery has ended as it may contain a secret.
+   * @param {Object|null} job - Finished job
+   * @returns {Promise<void>} - Resolves when delivery has succeeded or failed for good
+   */
+  async deliver(job) {
+    if (!job?.callback || job.status === JOB_STATUSES.CANCELLED) {
+      return;
+    }
+
+    // Attempts are logged on the stored job so that they can be polled while retrying
+    const log = (changes) => {
+      const current = helperJobStore.get(job.id);
+      if (current?.delivery) {
+        helperJobStore.save({ ...current, ...changes(current) });
+      }
+    };
+
+    const delivered = await helperWebhookDeliver({
+      callback: job.callback,
+      payload: job.result,
+      jobId: job.id,
+      onAttempt: (attempt) =>
+        log(({ delivery }) => ({
+          delivery: { ...delivery, attempts: [...delivery.attempts, attempt] }
+        }))
+    });
+
+    if (!delivered) {
+      console.error(`Callback delivery of scrape job ${job.id} failed`);
+    }
+
+    log(({ delivery }) => ({
+      callback: null,
+      delivery: {
+        ...delivery,
+        status: delivered ? DELIVERY_STATUSES.DELIVERED : DELIVERY_STATUSES.FAILED
+      }
+    }));
+  },
+
+  /**
+   * Marks a job as finished unless it was cancelled in the meantime
+   * A request stored by an earlier version is dropped as it may contain proxy credentials
+   * @param {string} id - Job ID
+   * @param {Object} changes - Final status and result
+   * @returns {Object|null} - Updated job
+   */
+  finish(id, { status, result }) {
+    return this.update(id, {
+      status,
+      result,
+      finishedAt: new Date().toISOString(),
+      request: null
+    });
+  },
+
+  /**
+   * Applies changes to a stored job
+   * Cancelled jobs are never updated again
+   * @param {string} id - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} - Updated job or null if it no longer exists
+   */
+  update(id, changes) {
+    const job = helperJobStore.get(id);
+    if (!job || job.status === JOB_STATUSES.CANCELLED) {
+      return job;
+    }
+
+    return helperJobStore.save({ ...job, ...changes });
+  },
+
+  /**
+   * Reads a job from the store or throws a 404 error
+   * @param {string} id - Job ID
+   * @returns {Object} - Stored job
+   * @throws {Error} - Throws a 404 error if the job does not exist
+   */
+  getOrThrow(id) {
+    const job = helperJobStore.get(id);
+
+    if (!job) {
+      const error = new Error(`Job not found: ${id}`);
+      error.status = 404;
+      error.code = 'ERROR_JOB_NOT_FOUND';
+      throw error;
+    }
+
+    return job;
+  },
+
+  /**
+   * Strips internal fields from a job before returning it to clients
+   * @param {Object} job - Stored job
+   * @returns {Object} - Public view of the job
+   */
+  toPublic({ id, status, createdAt, startedAt, finishedAt, result }) {
+    return { id, status, createdAt, startedAt, finishedAt, result };
+  }
+};
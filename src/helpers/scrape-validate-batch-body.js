@@ -0,0 +1,60 @@
+// Import constants
+import { RESPONSE_TYPE_NAMES, RESPONSE_FORMATS } from '../constants.js';
+
+// Helpers
+import { helperValidatorsApiScrape, helperValidatorsApiScrapeBatch } from './validators.js';
+
+/**
+ * Validates a batch request and builds one scrape request body per input row
+ * Every row is validated before anything runs, errors are prefixed with the row index
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.body - Batch request body to be validated
+ * @returns {{ concurrency: number, items: Array<Object> }} - Per-row scrape bodies and the concurrency cap
+ * @throws {Error} - Throws an error if the envelope or any interpolated row is invalid
+ */
+export function helperScrapeValidateBatchBody({ body }) {
+  try {
+    // Validate the envelope of the batch first
+    const { error: envelopeError, value: batch } = helperValidatorsApiScrapeBatch.validate(body, {
+      abortEarly: false
+    });
+
+    if (envelopeError) {
+      throw new Error(envelopeError);
+    }
+
+    const { rows, concurrency, ...template } = batch;
+
+    const items = rows.map((input, index) => {
+      try {
+        // Row values fill the placeholders of the template, overriding shared variables
+        const rowBody = { ...template, variables: { ...template.variables, ...input } };
+
+        const { error, value } = helperValidatorsApiScrape.validate(rowBody, {
+          abortEarly: false
+        });
+
+        if (error) {
+          throw error;
+        }
+
+        // Each row answers with one JSON line, bare RAW values and files cannot be told apart
+        const { responseType } = value.output;
+        if (responseType === RESPONSE_TYPE_NAMES.RAW || RESPONSE_FORMATS[responseType]) {
+          throw new Error(`responseType ${responseType} is not supported by batch requests`);
+        }
+
+        return { index, input, body: value };
+      } catch (error) {
+        throw new Error(`rows[${index}]: ${error.message}`);
+      }
+    });
+
+    return { concurrency, items };
+  } catch (error) {
+    error.code = 'ERROR_REQUEST_BODY_VALIDATION';
+    error.status = 400;
+    throw error;
+  }
+}
@@ -0,0 +1,44 @@
+// Helpers
+import { helperValidatorsApiScrape, helperValidatorsApiScrapeRecording } from './validators.js';
+import { helperRecordingToScrapeBody } from './recording-to-scrape-body.js';
+
+/**
+ * Validates a Chrome Recorder export and maps it onto the scrape request schema
+ * Error paths refer to the export itself (e.g. "steps[3]" instead of "record.steps[3]")
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.body - Recorder export to be validated
+ * @returns {Object} - Returns the validated scrape request body
+ * @throws {Error} - Throws an error if the export or the mapped body is invalid
+ */
+export function helperScrapeValidateRecordingBody({ body }) {
+  try {
+    // Validate the envelope of the export first
+    const { error: envelopeError, value: recording } = helperValidatorsApiScrapeRecording.validate(
+      body,
+      { abortEarly: false }
+    );
+
+    if (envelopeError) {
+      throw new Error(envelopeError);
+    }
+
+    // Validate the mapped body against the main scrape schema
+    const { error, value } = helperValidatorsApiScrape.validate(
+      helperRecordingToScrapeBody({ recording }),
+      { abortEarly: false }
+    );
+
+    if (error) {
+      // Point error paths back to the fields of the original export
+      error.message = error.message.replace(/record\.(steps|title|speedMode|timeoutMode)/g, '$1');
+      throw new Error(error);
+    }
+
+    return value; // Return the validated request body
+  } catch (error) {
+    error.code = 'ERROR_REQUEST_BODY_VALIDATION';
+    error.status = 400;
+    throw error;
+  }
+}
@@ -1,3 +1,6 @@
+// Import constants
+import { RESPONSE_FORMATS } from '../constants.js';
+
 // Helpers
 import { helperValidatorsApiScrape } from './validators.js';
 
@@ -6,14 +9,21 @@ import { helperValidatorsApiScrape } from './validators.js';
  *
  * @param {Object} options - Options object
  * @param {Object} options.body - Request body to be validated
+ * @param {boolean} [options.allowCallback=false] - Whether a callback block is accepted
+ * @param {boolean} [options.allowFileResponses=true] - Whether CSV, NDJSON and XML responseTypes are accepted
  * @returns {Object} - Returns the validated request body value
  * @throws {Error} - Throws an error if the request body validation fails
  */
-export function helperScrapeValidateRequestBody({ body }) {
+export function helperScrapeValidateRequestBody({
+  body,
+  allowCallback = false,
+  allowFileResponses = true
+}) {
   try {
     // Validate the request body against the defined schema
     const { error, value } = helperValidatorsApiScrape.validate(body, {
-      abortEarly: false
+      abortEarly: false,
+      context: { allowCallback }
     });
 
     // Return validation errors if request is invalid
@@ -21,6 +31,12 @@ export function helperScrapeValidateRequestBody({ body }) {
       throw new Error(error);
     }
 
+    // File responses are sent as attachments, results stored as JSON cannot hold them
+    const { responseType } = value.output;
+    if (!allowFileResponses && RESPONSE_FORMATS[responseType]) {
+      throw new Error(`responseType ${responseType} is not supported by scrape jobs`);
+    }
+
     return value; // Return the validated request body
   } catch (error) {
     error.code = 'ERROR_REQUEST_BODY_VALIDATION';
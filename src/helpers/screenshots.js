@@ -0,0 +1,92 @@
+/**
+ * Screenshots Helper
+ *
+ * Takes the screenshots configured under output.screenshots, of the whole
+ * page or clipped to an element, and saves them as artifacts under /api/tmp.
+ */
+
+// Import constants
+import { SCREENSHOT_CONFIG } from '../constants.js';
+
+// Helper functions
+import { helperArtifactsCreate } from './artifacts.js';
+import { helperFrameFind } from './frame-locator.js';
+import { helperReplaySelectorQuery } from './replay-steps.js';
+
+/**
+ * Takes a screenshot of the page, or of the configured element when it is on the page
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @param {Object} [options.screenshots] - Validated output.screenshots
+ * @param {string} options.type - Type of screenshot (success, error or step), used as file prefix
+ * @returns {Promise<{ screenshotUrl: string, clipped: boolean }>} - URL of the screenshot and
+ * whether it was clipped to the element
+ * @throws {Error} - Throws an error if the screenshot generation fails
+ */
+export async function helperScreenshotsTake({ page, screenshots = {}, type }) {
+  const {
+    format = SCREENSHOT_CONFIG.DEFAULT_FORMAT,
+    quality,
+    fullPage = SCREENSHOT_CONFIG.DEFAULT_FULL_PAGE,
+    selector
+  } = screenshots;
+
+  let element = null;
+
+  try {
+    const { filePath, url: screenshotUrl } = helperArtifactsCreate({
+      prefix: type,
+      extension: `.${format}`
+    });
+
+    // Step screenshots are taken as the step ends, the final ones let the page stabilize first
+    if (type !== 'step') {
+      await new Promise((resolve) => setTimeout(resolve, SCREENSHOT_CONFIG.SETTLE_DELAY));
+    }
+
+    const options = { path: filePath, type: format, ...(quality === undefined ? {} : { quality }) };
+
+    // A missing element falls back to a page screenshot, which is still worth having on an error
+    element = selector ? await findElement({ page, selector }) : null;
+    if (selector && !element) {
+      console.log(`Screenshot element not found, taking a page screenshot instead - Type: ${type}`);
+    }
+
+    // Use try/catch specifically for screenshot to provide better error details
+    try {
+      if (element) {
+        await element.screenshot(options);
+      } else {
+        await page.screenshot({ ...options, fullPage });
+      }
+    } catch (screenshotError) {
+      throw new Error(`Failed to take screenshot: ${screenshotError.message}`);
+    }
+
+    console.log(`${type} screenshot taken and saved at: ${filePath}`);
+    console.log(`Screenshot URL generated: ${screenshotUrl}`);
+
+    return { screenshotUrl, clipped: Boolean(element) };
+  } catch (error) {
+    error.message = `Error generating screenshot: ${error.message} - Type: ${type}`;
+    error.code = 'ERROR_SCREENSHOT_URL_GENERATION';
+    throw error;
+  } finally {
+    await element?.dispose().catch(() => {});
+  }
+}
+
+/**
+ * Finds the first element matching the screenshot selector
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.page - Puppeteer Page instance
+ * @param {Object} options.selector - Selector object ({ type, value, frame })
+ * @returns {Promise<Object|null>} - Element handle, null if the frame or the element is missing
+ */
+async function findElement({ page, selector }) {
+  const root = selector.frame ? await helperFrameFind({ page, frame: selector.frame }) : page;
+
+  return root ? await root.$(helperReplaySelectorQuery(selector)) : null;
+}
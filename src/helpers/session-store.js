@@ -0,0 +1,20 @@
+/**
+ * Session Store Helper
+ *
+ * Persists named browser sessions (cookies, localStorage and sessionStorage)
+ * as JSON files in the data directory so that later scrapes can reuse them.
+ */
+
+// Import constants
+import { SESSION_CONFIG } from '../constants.js';
+
+// Helper functions
+import { helperJsonFileStoreCreate } from './json-file-store.js';
+
+// File based session store, session names double as file names
+export const helperSessionStore = helperJsonFileStoreCreate({
+  dirName: SESSION_CONFIG.STORE_DIR_NAME,
+  keyField: 'name',
+  keyPattern: SESSION_CONFIG.NAME_PATTERN,
+  label: 'session'
+});
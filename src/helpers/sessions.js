@@ -0,0 +1,254 @@
+/**
+ * Sessions Helper
+ *
+ * Restores named sessions into a browser context before a scrape and saves
+ * the context's cookies, localStorage and sessionStorage once it has finished,
+ * so that flows behind a login do not need to log in on every run.
+ */
+
+// Import constants
+import { SESSION_CONFIG } from '../constants.js';
+
+// Helper functions
+import { helperSessionStore } from './session-store.js';
+
+// Named session manager
+export const helperSessions = {
+  /**
+   * Returns summaries of all stored sessions
+   * @returns {Array<Object>} - Session summaries sorted by name
+   */
+  list() {
+    return helperSessionStore
+      .list()
+      .map((session) => this.toSummary(session))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Returns a stored session with its cookies and storage
+   * @param {Object} options - Options object
+   * @param {string} options.name - Session name
+   * @returns {Object} - Session summary with cookies and storage
+   * @throws {Error} - Throws a 404 error if the session does not exist
+   */
+  get({ name }) {
+    const session = this.getOrThrow(name);
+    return { ...this.toSummary(session), cookies: session.cookies, storage: session.storage };
+  },
+
+  /**
+   * Expires a session so that the next scrape starts from a blank profile
+   * The data stays inspectable until the session is saved again or deleted.
+   * @param {Object} options - Options object
+   * @param {string} options.name - Session name
+   * @returns {Object} - Session summary
+   * @throws {Error} - Throws a 404 error if the session does not exist
+   */
+  expire({ name }) {
+    const session = this.getOrThrow(name);
+    return this.toSummary(
+      helperSessionStore.save({ ...session, expiresAt: new Date().toISOString() })
+    );
+  },
+
+  /**
+   * Deletes a session
+   * @param {Object} options - Options object
+   * @param {string} options.name - Session name
+   * @returns {Object} - Summary of the deleted session
+   * @throws {Error} - Throws a 404 error if the session does not exist
+   */
+  remove({ name }) {
+    const session = this.getOrThrow(name);
+    helperSessionStore.remove(name);
+    return this.toSummary(session);
+  },
+
+  /**
+   * Restores a stored session into a fresh browser context
+   * Cookies are set on the context, storage is written by a script that runs
+   * before the page's own scripts, once per origin and tab.
+   * @param {Object} options - Options object
+   * @param {Object} options.context - Puppeteer BrowserContext of the scrape
+   * @param {Object} options.page - Puppeteer Page of the scrape
+   * @param {Object} options.session - Session option of the request ({ name, ttl })
+   * @returns {Promise<boolean>} - True if a session was restored
+   */
+  async restore({ context, page, session }) {
+    const stored = helperSessionStore.get(session.name);
+
+    if (!stored || this.isExpired(stored)) {
+      console.log(`Starting session "${session.name}" from a blank profile`);
+      return false;
+    }
+
+    const now = Date.now() / 1000;
+    const cookies = stored.cookies.filter((cookie) => cookie.expires <= 0 || cookie.expires > now);
+    if (cookies.length > 0) {
+      await context.setCookie(...cookies);
+    }
+
+    await page.evaluateOnNewDocument(
+      (storage, marker) => {
+        try {
+          const entry = storage[window.location.origin];
+          if (!entry || window.sessionStorage.getItem(marker)) {
+            return;
+          }
+
+          for (const [key, value] of Object.entries(entry.localStorage)) {
+            window.localStorage.setItem(key, value);
+          }
+          for (const [key, value] of Object.entries(entry.sessionStorage)) {
+            window.sessionStorage.setItem(key, value);
+          }
+
+          window.sessionStorage.setItem(marker, '1');
+        } catch (_error) {
+          // Storage is not available in every document (e.g. sandboxed frames)
+        }
+      },
+      stored.storage,
+      SESSION_CONFIG.RESTORE_MARKER_KEY
+    );
+
+    console.log(`Restored session "${session.name}" with ${cookies.length} cookies`);
+    return true;
+  },
+
+  /**
+   * Saves the cookies and storage of a browser context under the session name
+   * Storage of origins that were not open at the end of the run is kept from the previous save,
+   * unless that save has expired: an expired session is replaced by a new one.
+   * @param {Object} options - Options object
+   * @param {Object} options.context - Puppeteer BrowserContext of the scrape
+   * @param {Object} options.session - Session option of the request ({ name, ttl })
+   * @returns {Promise<Object>} - Session summary
+   */
+  async save({ context, session }) {
+    const stored = helperSessionStore.get(session.name);
+    const previous = stored && !this.isExpired(stored) ? stored : null;
+    const now = new Date();
+
+    const cookies = (await context.cookies()).map(
+      ({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+        name,
+        value,
+        domain,
+        path,
+        expires,
+        httpOnly,
+        secure,
+        ...(sameSite ? { sameSite } : {})
+      })
+    );
+
+    const storage = { ...(previous?.storage || {}) };
+    for (const page of await context.pages()) {
+      for (const frame of page.frames()) {
+        const entry = await readFrameStorage(frame);
+        if (entry) {
+          storage[entry.origin] = {
+            localStorage: entry.localStorage,
+            sessionStorage: entry.sessionStorage
+          };
+        }
+      }
+    }
+
+    const saved = helperSessionStore.save({
+      name: session.name,
+      createdAt: previous?.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: session.ttl ? new Date(now.getTime() + session.ttl * 1000).toISOString() : null,
+      cookies,
+      storage
+    });
+
+    console.log(`Saved session "${session.name}" with ${cookies.length} cookies`);
+    return this.toSummary(saved);
+  },
+
+  /**
+   * Checks whether a session has expired
+   * @param {Object} session - Stored session
+   * @returns {boolean} - True if the session must not be restored
+   */
+  isExpired(session) {
+    return Boolean(session.expiresAt) && new Date(session.expiresAt).getTime() <= Date.now();
+  },
+
+  /**
+   * Reads a session from the store or throws a 404 error
+   * @param {string} name - Session name
+   * @returns {Object} - Stored session
+   * @throws {Error} - Throws a 404 error if the session does not exist
+   */
+  getOrThrow(name) {
+    const session = helperSessionStore.get(name);
+
+    if (!session) {
+      const error = new Error(`Session not found: ${name}`);
+      error.status = 404;
+      error.code = 'ERROR_SESSION_NOT_FOUND';
+      throw error;
+    }
+
+    return session;
+  },
+
+  /**
+   * Builds the summary of a session without cookie values or storage contents
+   * @param {Object} session - Stored session
+   * @returns {Object} - Session summary
+   */
+  toSummary({ name, createdAt, updatedAt, expiresAt, cookies, storage }) {
+    return {
+      name,
+      createdAt,
+      updatedAt,
+      expiresAt,
+      expired: this.isExpired({ expiresAt }),
+      cookieCount: cookies.length,
+      origins: Object.keys(storage)
+    };
+  }
+};
+
+/**
+ * Reads localStorage and sessionStorage of a frame
+ * The restore marker is left out so that it is never saved with the session.
+ *
+ * @param {Object} frame - Puppeteer Frame instance
+ * @returns {Promise<Object|null>} - Origin and storage contents, null for frames without storage
+ */
+async function readFrameStorage(frame) {
+  if (!frame.url().startsWith('http')) {
+    return null;
+  }
+
+  try {
+    return await frame.evaluate((marker) => {
+      const dump = (storage) => {
+        const values = {};
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          if (key !== marker) {
+            values[key] = storage.getItem(key);
+          }
+        }
+        return values;
+      };
+
+      return {
+        origin: window.location.origin,
+        localStorage: dump(window.localStorage),
+        sessionStorage: dump(window.sessionStorage)
+      };
+    }, SESSION_CONFIG.RESTORE_MARKER_KEY);
+  } catch (error) {
+    console.error(`Error reading storage of ${frame.url()}:`, error.message);
+    return null;
+  }
+}
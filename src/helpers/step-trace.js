@@ -0,0 +1,79 @@
+/**
+ * Step Trace Helper
+ *
+ * Records when each step of a flow started and ended, the page URL it left
+ * behind and whether it completed, so API clients can see which step was
+ * slow, where a redirect happened and where a flow broke off.
+ */
+
+// Helper functions
+import { helperTemplateMask } from './template-interpolate.js';
+
+/**
+ * Creates an empty step trace
+ *
+ * @returns {Object} - Trace handle exposing start(), end() and entries()
+ */
+export function helperStepTraceCreate() {
+  const recorded = [];
+
+  return {
+    /**
+     * Opens the entry of a step that is about to run
+     *
+     * @param {Object} options - Options object
+     * @param {number} options.index - Index of the step in record.steps
+     * @param {string} options.type - Step type
+     * @returns {void}
+     */
+    start({ index, type }) {
+      recorded.push({ index, type, startedAt: Date.now() });
+    },
+
+    /**
+     * Closes the entry of the running step
+     * Hooks of a failed step may report the failure more than once, only the first report counts.
+     *
+     * @param {Object} options - Options object
+     * @param {string} options.url - Page URL after the step
+     * @param {Error} [options.error] - Error the step failed with
+     * @returns {void}
+     */
+    end({ url, error }) {
+      const entry = recorded.at(-1);
+      if (!entry || entry.endedAt !== undefined) {
+        return;
+      }
+
+      entry.endedAt = Date.now();
+      entry.url = url;
+      entry.status = error ? 'failed' : 'completed';
+
+      if (error) {
+        entry.error = error.message;
+      }
+    },
+
+    /**
+     * Returns the trace entries with secret variable values masked
+     *
+     * @param {Object} [options] - Options object
+     * @param {Array<string>} [options.secrets] - Secret variable values to mask
+     * @returns {Array<Object>} - One entry per step that started, in order
+     */
+    entries({ secrets = [] } = {}) {
+      const mask = (text) => helperTemplateMask({ text, secrets });
+
+      return recorded.map(({ index, type, startedAt, endedAt, url, status, error }) => ({
+        index,
+        type,
+        startedAt: new Date(startedAt).toISOString(),
+        endedAt: endedAt === undefined ? null : new Date(endedAt).toISOString(),
+        duration: endedAt === undefined ? null : endedAt - startedAt,
+        url: url === undefined ? null : mask(url),
+        status: status ?? 'running',
+        ...(error ? { error: mask(error) } : {})
+      }));
+    }
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Template Interpolation Helper
+ *
+ * Fills "{{name}}" placeholders in record steps with request variables,
+ * batch row values and values stored by setVariable steps during the flow.
+ */
+
+// Import constants
+import { STEP_TYPES, SECRET_MASK } from '../constants.js';
+
+// Matches "{{name}}" placeholders, whitespace inside the braces is ignored
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Replaces the placeholders of a string with their values
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.template - String that may contain placeholders
+ * @param {Object} options.values - Values keyed by placeholder name
+ * @returns {string} - Interpolated string
+ * @throws {Error} - Throws an error if a placeholder has no value
+ */
+export function helperTemplateInterpolate({ template, values }) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.hasOwn(values, name) || values[name] === null) {
+      const error = new Error(`Missing value for placeholder "${placeholder}"`);
+      error.code = 'ERROR_TEMPLATE_PLACEHOLDER';
+      error.status = 400;
+      throw error;
+    }
+
+    return String(values[name]);
+  });
+}
+
+/**
+ * Lists the placeholder names used in a string
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.template - String that may contain placeholders
+ * @returns {Array<string>} - Placeholder names in order of appearance
+ */
+export function helperTemplatePlaceholders({ template }) {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name);
+}
+
+/**
+ * Returns the step fields that support placeholders
+ * Navigate URLs, change values and selectors are interpolated.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.step - Record step
+ * @returns {Array<string>} - Strings of the step that may contain placeholders
+ */
+export function helperTemplateStepStrings({ step }) {
+  const strings = [];
+
+  if (step.type === STEP_TYPES.NAVIGATE && typeof step.url === 'string') {
+    strings.push(step.url);
+  }
+
+  if (step.type === STEP_TYPES.CHANGE && typeof step.value === 'string') {
+    strings.push(step.value);
+  }
+
+  for (const selector of step.selectors || []) {
+    strings.push(...[].concat(selector?.value ?? selector));
+  }
+
+  return strings;
+}
+
+/**
+ * Fills the placeholders of a step's URL, value and selectors
+ * The step is copied, the template itself is left untouched.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.step - Record step used as template
+ * @param {Object} options.values - Values keyed by placeholder name
+ * @returns {Object} - Interpolated step
+ * @throws {Error} - Throws an error if a placeholder has no value
+ */
+export function helperTemplateInterpolateStep({ step, values }) {
+  const interpolate = (template) => helperTemplateInterpolate({ template, values });
+  const interpolated = { ...step };
+
+  if (step.type === STEP_TYPES.NAVIGATE && typeof step.url === 'string') {
+    interpolated.url = interpolate(step.url);
+  }
+
+  if (step.type === STEP_TYPES.CHANGE && typeof step.value === 'string') {
+    interpolated.value = interpolate(step.value);
+  }
+
+  if (Array.isArray(step.selectors)) {
+    interpolated.selectors = step.selectors.map((selector) => {
+      if (typeof selector === 'string') return interpolate(selector);
+      if (Array.isArray(selector)) return selector.map(interpolate);
+      return { ...selector, value: interpolate(selector.value) };
+    });
+  }
+
+  return interpolated;
+}
+
+/**
+ * Splits request variables into plain values and the list of secret values
+ * Variables are either scalars or { value, secret } objects.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} [options.variables] - Validated request variables
+ * @returns {{ values: Object, secrets: Array<string> }} - Values by name and secret values
+ */
+export function helperTemplateVariables({ variables = {} }) {
+  const values = {};
+  const secrets = [];
+
+  for (const [name, variable] of Object.entries(variables)) {
+    const isObject = variable !== null && typeof variable === 'object';
+    values[name] = String(isObject ? variable.value : variable);
+
+    if (isObject && variable.secret) {
+      secrets.push(values[name]);
+    }
+  }
+
+  return { values, secrets };
+}
+
+/**
+ * Replaces secret values in a text before it is logged
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.text - Text to mask
+ * @param {Array<string>} options.secrets - Secret values
+ * @returns {string} - Text with every secret replaced by the mask
+ */
+export function helperTemplateMask({ text, secrets }) {
+  return secrets
+    .filter((secret) => secret !== '')
+    .reduce((masked, secret) => masked.split(secret).join(SECRET_MASK), String(text));
+}
@@ -11,16 +11,174 @@ import {
   SPEED_MODE_NAMES,
   TIMEOUT_MODE_NAMES,
   STEP_TYPES,
+  ASSERTED_EVENT_TYPES,
+  POINTER_BUTTONS,
+  POINTER_DEVICE_TYPES,
+  WAIT_FOR_ELEMENT_OPERATORS,
   PROXY_PROTOCOLS,
   RESPONSE_TYPE_NAMES,
+  RESPONSE_FORMATS,
   SELECTOR_TYPE_NAMES,
+  EXTRACT_MODES,
+  TRANSFORM_TYPES,
   DEFAULT_TITLE,
   DEFAULT_SPEED_MODE,
   DEFAULT_TIMEOUT_MODE,
   DEFAULT_RESPONSE_TYPE,
+  BATCH_CONFIG,
+  SESSION_CONFIG,
+  REQUEST_HEADER_CONFIG,
+  PDF_CONFIG,
+  HAR_CONFIG,
+  SCREENSHOT_CONFIG,
+  ARTIFACT_CONFIG,
+  ARTIFACT_DELIVERY_MODES,
   BROWSER_CONFIG
 } from '../constants.js';
 
+// Helpers
+import { helperTemplatePlaceholders, helperTemplateStepStrings } from './template-interpolate.js';
+import { helperResponseFormatColumns, helperResponseFormatIsXmlName } from './response-formats.js';
+
+// Variable names usable in "{{name}}" placeholders
+const VARIABLE_NAME_PATTERN = /^[\w.-]+$/;
+
+// Scalar values a variable can hold
+const variableValueSchema = Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean());
+
+// Capture selector types matching page elements
+const ELEMENT_SELECTOR_TYPES = [
+  SELECTOR_TYPE_NAMES.CSS,
+  SELECTOR_TYPE_NAMES.XPATH,
+  SELECTOR_TYPE_NAMES.ARIA,
+  SELECTOR_TYPE_NAMES.TEXT,
+  SELECTOR_TYPE_NAMES.PIERCE
+];
+
+// Options reading values from matched elements, shared by element selectors and LIST fields
+const elementOptionSchemas = {
+  multiple: Joi.boolean().default(false),
+  attribute: Joi.string(),
+  property: Joi.string(),
+  extract: Joi.string().valid(...Object.values(EXTRACT_MODES))
+};
+
+/**
+ * Restricts an option to some values of the sibling type field
+ *
+ * @param {Array<string>} types - Types accepting the option
+ * @param {Object} schema - Joi schema of the option
+ * @returns {Object} - Joi schema forbidding the option for other types
+ */
+const forTypes = (types, schema) =>
+  Joi.when('type', { is: Joi.valid(...types), then: schema, otherwise: Joi.forbidden() });
+
+// Transforms without options may be given by their name only
+const OPTIONLESS_TRANSFORM_TYPES = [
+  TRANSFORM_TYPES.TRIM,
+  TRANSFORM_TYPES.COLLAPSE_WHITESPACE,
+  TRANSFORM_TYPES.PARSE_NUMBER,
+  TRANSFORM_TYPES.PARSE_DATE,
+  TRANSFORM_TYPES.RESOLVE_URL,
+  TRANSFORM_TYPES.STRIP_TAGS,
+  TRANSFORM_TYPES.LOWERCASE
+];
+
+const REGEX_TRANSFORM_TYPES = [TRANSFORM_TYPES.REGEX_EXTRACT, TRANSFORM_TYPES.REGEX_REPLACE];
+
+/**
+ * Capture transform schema definition
+ *
+ * A transform is either the name of a transform without options or an
+ * object with its type and options. Names are converted into objects.
+ */
+const transformSchema = Joi.alternatives().try(
+  // Allowed values skip custom rules in Joi, so the names are checked in the rule itself
+  Joi.string().custom((type, helpers) =>
+    OPTIONLESS_TRANSFORM_TYPES.includes(type)
+      ? { type }
+      : helpers.error('any.only', { valids: OPTIONLESS_TRANSFORM_TYPES })
+  ),
+  Joi.object({
+    type: Joi.string()
+      .valid(...Object.values(TRANSFORM_TYPES))
+      .required(),
+    pattern: forTypes(REGEX_TRANSFORM_TYPES, Joi.string().required()),
+    flags: forTypes(
+      REGEX_TRANSFORM_TYPES,
+      Joi.string().pattern(/^[dgimsuy]*$/, 'regular expression flags')
+    ),
+    group: forTypes(
+      [TRANSFORM_TYPES.REGEX_EXTRACT],
+      Joi.alternatives(Joi.number().integer().min(0), Joi.string())
+    ),
+    replacement: forTypes([TRANSFORM_TYPES.REGEX_REPLACE], Joi.string().allow('').default('')),
+    locale: forTypes([TRANSFORM_TYPES.PARSE_NUMBER], Joi.string()),
+    base: forTypes([TRANSFORM_TYPES.RESOLVE_URL], Joi.string().uri()),
+    value: forTypes([TRANSFORM_TYPES.DEFAULT], Joi.any().required())
+  }).custom((transform, helpers) => {
+    if (REGEX_TRANSFORM_TYPES.includes(transform.type)) {
+      // Replace every match unless flags are given
+      if (transform.type === TRANSFORM_TYPES.REGEX_REPLACE && transform.flags === undefined) {
+        transform.flags = 'g';
+      }
+
+      try {
+        new RegExp(transform.pattern, transform.flags);
+      } catch (error) {
+        return helpers.message(`Invalid pattern in ${transform.type} transform: ${error.message}`);
+      }
+    }
+
+    if (transform.locale) {
+      try {
+        new Intl.NumberFormat(transform.locale);
+      } catch (_error) {
+        return helpers.message(`Invalid locale in parseNumber transform: ${transform.locale}`);
+      }
+    }
+
+    return transform;
+  })
+);
+
+/**
+ * Frame locator schema definition
+ *
+ * Targets a child frame by its index path below the main frame (as in Recorder
+ * exports), by the name or id of its iframe element, or by a pattern matching its URL.
+ */
+const frameLocatorSchema = Joi.alternatives().try(
+  Joi.array().items(Joi.number().integer().min(0)),
+  Joi.object({
+    name: Joi.string(),
+    url: Joi.string().custom((pattern, helpers) => {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        return helpers.message(`Invalid frame URL pattern: ${error.message}`);
+      }
+
+      return pattern;
+    })
+  }).xor('name', 'url')
+);
+
+/**
+ * LIST field schema definition
+ *
+ * A field is read from an element inside each container, or from the container
+ * itself when it has no value. Missing elements yield null.
+ */
+const listFieldSchema = Joi.object({
+  type: Joi.string()
+    .valid(...ELEMENT_SELECTOR_TYPES)
+    .default(SELECTOR_TYPE_NAMES.CSS),
+  value: Joi.string(),
+  ...elementOptionSchemas,
+  transforms: Joi.array().items(transformSchema)
+}).oxor('attribute', 'property', 'extract');
+
 /**
  * Common selector schema definition
  *
@@ -30,9 +188,220 @@ import {
 const selectorSchema = Joi.object({
   key: Joi.string().required(),
   type: Joi.string()
-    .valid(SELECTOR_TYPE_NAMES.CSS, SELECTOR_TYPE_NAMES.XPATH, SELECTOR_TYPE_NAMES.FULL)
+    .valid(...Object.values(SELECTOR_TYPE_NAMES))
     .required(),
-  value: Joi.string().required()
+  value: Joi.string().required(),
+
+  // Child frame to capture from, the main frame by default
+  frame: frameLocatorSchema,
+
+  // Optional selectors that fail return their default and are reported under data.errors
+  required: Joi.boolean().default(true),
+  default: Joi.when('required', { is: false, then: Joi.any(), otherwise: Joi.forbidden() }),
+
+  // Element options, FULL captures the whole document and LIST reads them per field
+  multiple: forTypes(ELEMENT_SELECTOR_TYPES, elementOptionSchemas.multiple),
+  attribute: forTypes(ELEMENT_SELECTOR_TYPES, elementOptionSchemas.attribute),
+  property: forTypes(ELEMENT_SELECTOR_TYPES, elementOptionSchemas.property),
+  extract: forTypes(ELEMENT_SELECTOR_TYPES, elementOptionSchemas.extract),
+
+  // Transforms of the captured value, LIST selectors take them per field
+  transforms: forTypes(
+    [...ELEMENT_SELECTOR_TYPES, SELECTOR_TYPE_NAMES.FULL],
+    Joi.array().items(transformSchema)
+  ),
+
+  // LIST options, value holds the container selector
+  containerType: forTypes(
+    [SELECTOR_TYPE_NAMES.LIST],
+    Joi.string()
+      .valid(...ELEMENT_SELECTOR_TYPES)
+      .default(SELECTOR_TYPE_NAMES.CSS)
+  ),
+  fields: forTypes(
+    [SELECTOR_TYPE_NAMES.LIST],
+    Joi.object().pattern(Joi.string(), listFieldSchema).min(1).required()
+  )
+}).oxor('attribute', 'property', 'extract');
+
+/**
+ * Step selector schema definition
+ *
+ * Accepts Chrome DevTools Recorder selectors (a string, or an array of strings
+ * walking through shadow roots) as well as the selector objects used by capture.
+ */
+const stepSelectorSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(Joi.string()).min(1),
+  Joi.object({
+    key: Joi.string(),
+    type: Joi.string()
+      .valid(...ELEMENT_SELECTOR_TYPES)
+      .required(),
+    value: Joi.string().required()
+  })
+);
+
+/**
+ * Step field groups mirroring the @puppeteer/replay schema
+ *
+ * - base: fields every step accepts
+ * - frame: steps that can run inside a child frame
+ * - selectors: steps that act on an element
+ */
+const stepFields = {
+  base: {
+    type: Joi.string().required(),
+    timeout: Joi.number().integer().min(1),
+    target: Joi.string(),
+    assertedEvents: Joi.array().items(
+      Joi.object({
+        type: Joi.string().valid(ASSERTED_EVENT_TYPES.NAVIGATION).required(),
+        url: Joi.string().allow(''),
+        title: Joi.string().allow('')
+      })
+    )
+  },
+  frame: {
+    frame: frameLocatorSchema
+  },
+  selectors: {
+    selectors: Joi.array().items(stepSelectorSchema).min(1).required()
+  },
+  click: {
+    offsetX: Joi.number(),
+    offsetY: Joi.number(),
+    duration: Joi.number().min(0),
+    button: Joi.string().valid(...Object.values(POINTER_BUTTONS)),
+    deviceType: Joi.string().valid(...Object.values(POINTER_DEVICE_TYPES))
+  }
+};
+
+/**
+ * Per-type step schemas
+ * Each step type only accepts the fields that apply to it
+ */
+const stepSchemas = {
+  [STEP_TYPES.NAVIGATE]: {
+    // URLs built from placeholders are only complete once interpolated
+    url: Joi.alternatives()
+      .try(Joi.string().uri(), Joi.string().pattern(/\{\{.+\}\}/))
+      .required()
+  },
+  [STEP_TYPES.CLICK]: {
+    ...stepFields.frame,
+    ...stepFields.selectors,
+    ...stepFields.click
+  },
+  [STEP_TYPES.DOUBLE_CLICK]: {
+    ...stepFields.frame,
+    ...stepFields.selectors,
+    ...stepFields.click
+  },
+  [STEP_TYPES.HOVER]: {
+    ...stepFields.frame,
+    ...stepFields.selectors
+  },
+  [STEP_TYPES.WAIT]: {
+    duration: Joi.number().min(0).required()
+  },
+  [STEP_TYPES.SET_VIEWPORT]: {
+    width: Joi.number().integer().min(1).required(),
+    height: Joi.number().integer().min(1).required(),
+    deviceScaleFactor: Joi.number().positive(),
+    isMobile: Joi.boolean(),
+    hasTouch: Joi.boolean(),
+    isLandscape: Joi.boolean()
+  },
+  [STEP_TYPES.CHANGE]: {
+    ...stepFields.frame,
+    ...stepFields.selectors,
+    value: Joi.string().allow('').required()
+  },
+  [STEP_TYPES.KEY_DOWN]: {
+    key: Joi.string().required()
+  },
+  [STEP_TYPES.KEY_UP]: {
+    key: Joi.string().required()
+  },
+  [STEP_TYPES.SCROLL]: {
+    ...stepFields.frame,
+    selectors: Joi.array().items(stepSelectorSchema).min(1),
+    x: Joi.number(),
+    y: Joi.number()
+  },
+  [STEP_TYPES.WAIT_FOR_ELEMENT]: {
+    ...stepFields.frame,
+    ...stepFields.selectors,
+    operator: Joi.string().valid(...Object.values(WAIT_FOR_ELEMENT_OPERATORS)),
+    count: Joi.number().integer().min(0),
+    visible: Joi.boolean(),
+    properties: Joi.object().unknown(true),
+    attributes: Joi.object().pattern(Joi.string(), Joi.string())
+  },
+  [STEP_TYPES.WAIT_FOR_EXPRESSION]: {
+    ...stepFields.frame,
+    expression: Joi.string().required()
+  },
+  [STEP_TYPES.CLOSE]: {},
+  [STEP_TYPES.EMULATE_NETWORK_CONDITIONS]: {
+    download: Joi.number().required(),
+    upload: Joi.number().required(),
+    latency: Joi.number().min(0).required()
+  },
+  [STEP_TYPES.CUSTOM_STEP]: {
+    ...stepFields.frame,
+    name: Joi.string().required(),
+    parameters: Joi.any()
+  },
+  [STEP_TYPES.SET_VARIABLE]: {
+    ...stepFields.frame,
+    ...stepFields.selectors,
+    name: Joi.string().pattern(VARIABLE_NAME_PATTERN).required(),
+    attribute: Joi.string(),
+    secret: Joi.boolean()
+  }
+};
+
+/**
+ * Step schema definition
+ *
+ * Switches on the step type so that each step is validated against its own schema.
+ */
+const stepSchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(STEP_TYPES))
+    .required()
+}).when('.type', {
+  switch: Object.entries(stepSchemas).map(([type, fields]) => ({
+    is: type,
+    then: Joi.object({ ...stepFields.base, ...fields })
+  }))
+});
+
+// PDF margins in pixels or as a CSS length with a unit Chrome prints with
+const pdfMarginSchema = Joi.alternatives(
+  Joi.number().min(0),
+  Joi.string().pattern(/^\d+(\.\d+)?(px|in|cm|mm)$/, 'length with px, in, cm or mm')
+);
+
+/**
+ * PDF output schema definition
+ *
+ * Print options of the PDF artifact, omitted options use the PDF_CONFIG defaults.
+ */
+const pdfSchema = Joi.object({
+  format: Joi.string()
+    .valid(...PDF_CONFIG.FORMATS)
+    .insensitive(),
+  landscape: Joi.boolean(),
+  printBackground: Joi.boolean(),
+  margin: Joi.object({
+    top: pdfMarginSchema,
+    right: pdfMarginSchema,
+    bottom: pdfMarginSchema,
+    left: pdfMarginSchema
+  })
 });
 
 /**
@@ -92,47 +461,7 @@ export const helperValidatorsApiScrape = Joi.object({
 
     // Scraper step definitions - Sequence of actions to perform during scraping
     steps: Joi.array()
-      .items(
-        Joi.object({
-          // Core step properties
-          type: Joi.string()
-            .valid(
-              STEP_TYPES.NAVIGATE,
-              STEP_TYPES.CLICK,
-              STEP_TYPES.WAIT,
-              STEP_TYPES.SET_VIEWPORT,
-              STEP_TYPES.CHANGE,
-              STEP_TYPES.WAIT_FOR_ELEMENT
-            )
-            .required(),
-
-          // Conditional validation for different step types
-          ...(() => {
-            // Create a schema that supports all step types dynamically
-            return {
-              // Common fields that apply to specific step types
-              selectors: Joi.array().items(selectorSchema),
-              url: Joi.string().uri(),
-              value: Joi.string().allow(''),
-              duration: Joi.number(),
-              timeout: Joi.number(),
-
-              // Viewport settings for setViewport
-              width: Joi.number(),
-              height: Joi.number(),
-              deviceScaleFactor: Joi.number(),
-              isMobile: Joi.boolean(),
-              hasTouch: Joi.boolean(),
-              isLandscape: Joi.boolean(),
-
-              // Click options
-              offsetX: Joi.number(),
-              offsetY: Joi.number(),
-              button: Joi.string().valid('left', 'right', 'middle')
-            };
-          })()
-        })
-      )
+      .items(stepSchema)
       .custom((steps, helpers) => {
         // Validate: at least one navigate step is required
         const hasNavigateStep = steps.some((step) => step.type === STEP_TYPES.NAVIGATE && step.url);
@@ -143,39 +472,6 @@ export const helperValidatorsApiScrape = Joi.object({
           });
         }
 
-        // Validate type-specific requirements for each step
-        for (const [index, step] of steps.entries()) {
-          if (step.type === STEP_TYPES.SET_VIEWPORT) {
-            if (!step.width || !step.height) {
-              return helpers.error('object.base', {
-                message: `setViewport step ${index + 1} requires width and height properties`
-              });
-            }
-          } else if (step.type === STEP_TYPES.NAVIGATE) {
-            if (!step.url) {
-              return helpers.error('object.base', {
-                message: `navigate step ${index + 1} requires a valid URL`
-              });
-            }
-          } else if (
-            step.type === STEP_TYPES.CLICK ||
-            step.type === STEP_TYPES.CHANGE ||
-            step.type === STEP_TYPES.WAIT_FOR_ELEMENT
-          ) {
-            if (!step.selectors || step.selectors.length === 0) {
-              return helpers.error('object.base', {
-                message: `${step.type} step ${index + 1} requires at least one selector`
-              });
-            }
-          } else if (step.type === STEP_TYPES.WAIT) {
-            if (step.duration === undefined) {
-              return helpers.error('object.base', {
-                message: `wait step ${index + 1} requires a duration value`
-              });
-            }
-          }
-        }
-
         return steps;
       })
       .required()
@@ -223,35 +519,168 @@ export const helperValidatorsApiScrape = Joi.object({
   }),
 
   // Headers configuration - Controls browser request headers
-  headers: Joi.object({
-    'Accept-Language': Joi.string().default(BROWSER_CONFIG.ACCEPT_LANGUAGE),
-    'User-Agent': Joi.string().default(BROWSER_CONFIG.USER_AGENT)
-  }).default({
-    'Accept-Language': BROWSER_CONFIG.ACCEPT_LANGUAGE,
-    'User-Agent': BROWSER_CONFIG.USER_AGENT
-  }),
+  headers: Joi.object()
+    .pattern(
+      Joi.string().pattern(REQUEST_HEADER_CONFIG.NAME_PATTERN),
+      Joi.alternatives(
+        Joi.string(),
+        // Scoped headers are only sent to the listed origins
+        Joi.object({
+          value: Joi.string().required(),
+          origins: Joi.array()
+            .items(Joi.string().uri({ scheme: ['http', 'https'] }))
+            .min(1)
+            .required()
+        })
+      )
+    )
+    .custom((headers, helpers) => {
+      const names = Object.keys(headers).map((name) => name.toLowerCase());
+
+      const denied = names.find((name) => REQUEST_HEADER_CONFIG.DENYLIST.includes(name));
+      if (denied) {
+        return helpers.message(`Header "${denied}" is managed by the browser and cannot be set`);
+      }
+
+      // Browser defaults apply unless the request sets the header in any letter case
+      const defaults = {
+        'Accept-Language': BROWSER_CONFIG.ACCEPT_LANGUAGE,
+        'User-Agent': BROWSER_CONFIG.USER_AGENT
+      };
+      for (const [name, value] of Object.entries(defaults)) {
+        if (!names.includes(name.toLowerCase())) {
+          headers[name] = value;
+        }
+      }
+
+      return headers;
+    })
+    .default({
+      'Accept-Language': BROWSER_CONFIG.ACCEPT_LANGUAGE,
+      'User-Agent': BROWSER_CONFIG.USER_AGENT
+    }),
+
+  // Cookies - Set on the browser context before the first step runs
+  cookies: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().required(),
+        value: Joi.string().allow('').required(),
+        url: Joi.string().uri({ scheme: ['http', 'https'] }),
+        domain: Joi.string(),
+        path: Joi.string().default('/'),
+        expires: Joi.number(),
+        httpOnly: Joi.boolean(),
+        secure: Joi.boolean(),
+        sameSite: Joi.string().valid('Strict', 'Lax', 'None')
+      }).or('url', 'domain')
+    )
+    .default([]),
 
   // Output configuration - Controls how results are returned to the client
   output: Joi.object({
     screenshots: Joi.object({
       onError: Joi.boolean().default(true),
-      onSuccess: Joi.boolean().default(false)
+      onSuccess: Joi.boolean().default(false),
+      eachStep: Joi.boolean().default(false),
+
+      // Clips the screenshots to the first matching element, pages without it are shot whole
+      selector: Joi.object({
+        type: Joi.string()
+          .valid(...ELEMENT_SELECTOR_TYPES)
+          .default(SELECTOR_TYPE_NAMES.CSS),
+        value: Joi.string().required(),
+        frame: frameLocatorSchema
+      }),
+      format: Joi.string()
+        .valid(...SCREENSHOT_CONFIG.FORMATS)
+        .default(SCREENSHOT_CONFIG.DEFAULT_FORMAT),
+      quality: Joi.number()
+        .integer()
+        .min(0)
+        .max(100)
+        .when('format', { is: 'png', then: Joi.forbidden() }),
+      fullPage: Joi.boolean().default(SCREENSHOT_CONFIG.DEFAULT_FULL_PAGE)
     }).default({
       onError: true,
       onSuccess: false
     }),
     responseType: Joi.string()
-      .valid(RESPONSE_TYPE_NAMES.NONE, RESPONSE_TYPE_NAMES.JSON, RESPONSE_TYPE_NAMES.RAW)
-      .default(DEFAULT_RESPONSE_TYPE)
+      .valid(...Object.values(RESPONSE_TYPE_NAMES))
+      .default(DEFAULT_RESPONSE_TYPE),
+
+    // Page snapshots saved under /api/tmp, true prints the PDF with the default options
+    pdf: Joi.alternatives().try(Joi.boolean(), pdfSchema),
+    mhtml: Joi.boolean(),
+
+    // Network log of the flow saved as a HAR file, returned with success and error payloads
+    har: Joi.alternatives().try(
+      Joi.boolean(),
+      Joi.object({
+        maxBodySize: Joi.number().integer().min(0).max(HAR_CONFIG.MAX_BODY_SIZE_LIMIT)
+      })
+    ),
+
+    // Console messages, page errors and failed requests of the flow, with the running step
+    console: Joi.boolean(),
+
+    // Timings, page URL and status of every step
+    trace: Joi.boolean(),
+
+    // Delivery of screenshots, page snapshots and HAR files, as URLs or embedded base64
+    artifacts: Joi.object({
+      delivery: Joi.string()
+        .valid(...Object.values(ARTIFACT_DELIVERY_MODES))
+        .default(ARTIFACT_DELIVERY_MODES.URL),
+      maxInlineSize: Joi.number().integer().min(0).max(ARTIFACT_CONFIG.MAX_INLINE_SIZE_LIMIT)
+    })
   }).default({
     screenshots: {
       onError: true,
       onSuccess: false
     },
     responseType: DEFAULT_RESPONSE_TYPE
+  }),
+
+  // Variables - Values for "{{name}}" placeholders in step URLs, change values and selectors
+  variables: Joi.object()
+    .pattern(
+      VARIABLE_NAME_PATTERN,
+      Joi.alternatives(
+        variableValueSchema,
+        Joi.object({
+          value: variableValueSchema.required(),
+          secret: Joi.boolean().default(false)
+        })
+      )
+    )
+    .default({}),
+
+  // Session - Named cookie and storage state restored before and saved after the scrape
+  session: Joi.object({
+    name: Joi.string().pattern(SESSION_CONFIG.NAME_PATTERN).required().messages({
+      'string.pattern.base':
+        '"session.name" may only contain letters, digits, "_", "." and "-" (max 100 characters)'
+    }),
+    ttl: Joi.number().integer().min(1)
+  }),
+
+  // Callback configuration - Webhook receiving the final result of a background job
+  callback: Joi.when('$allowCallback', {
+    is: true,
+    then: Joi.object({
+      url: Joi.string()
+        .uri({ scheme: ['http', 'https'] })
+        .required(),
+      headers: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+      secret: Joi.string()
+    }),
+    otherwise: Joi.forbidden().messages({
+      'any.unknown': '"callback" is only supported by /api/scrape/jobs'
+    })
   })
 }).custom((value, helpers) => {
-  const { output, capture } = value;
+  const { output, capture, record, variables } = value;
   const responseType = output?.responseType;
   const selectors = capture?.selectors || [];
 
@@ -269,11 +698,140 @@ export const helperValidatorsApiScrape = Joi.object({
     }
   }
 
+  // File formats turn selectors into columns, which need unique (and for XML, valid) names
+  if (RESPONSE_FORMATS[responseType]) {
+    if (selectors.length === 0) {
+      return helpers.message(`responseType ${responseType} requires at least one selector`);
+    }
+
+    const columns = helperResponseFormatColumns({ selectors });
+    const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+    if (duplicate !== undefined) {
+      return helpers.message('Column "{{#column}}" is captured by more than one selector', {
+        column: duplicate
+      });
+    }
+
+    const invalid = columns.find((column) => !helperResponseFormatIsXmlName(column));
+    if (responseType === RESPONSE_TYPE_NAMES.XML && invalid !== undefined) {
+      return helpers.message('Column "{{#column}}" is not a valid XML element name', {
+        column: invalid
+      });
+    }
+  }
+
+  // Page snapshots are returned as URLs in the JSON body
+  const snapshotResponseTypes = [
+    RESPONSE_TYPE_NAMES.JSON,
+    RESPONSE_TYPE_NAMES.PDF,
+    RESPONSE_TYPE_NAMES.MHTML
+  ];
+  if ((output?.pdf || output?.mhtml) && !snapshotResponseTypes.includes(responseType)) {
+    return helpers.message('output.pdf and output.mhtml require responseType JSON, PDF or MHTML');
+  }
+
+  // Console output, the step trace and step screenshots are returned in the JSON body,
+  // next to success with NONE
+  const logResponseTypes = [RESPONSE_TYPE_NAMES.NONE, ...snapshotResponseTypes];
+  const log = [
+    ['console', output?.console],
+    ['trace', output?.trace],
+    ['screenshots.eachStep', output?.screenshots?.eachStep]
+  ].find(([, enabled]) => enabled)?.[0];
+  if (log && !logResponseTypes.includes(responseType)) {
+    return helpers.message(`output.${log} requires responseType JSON, NONE, PDF or MHTML`);
+  }
+
+  // Inline artifacts need a JSON body to be embedded in
+  const inline = output?.artifacts?.delivery === ARTIFACT_DELIVERY_MODES.INLINE;
+  if (inline && !logResponseTypes.includes(responseType)) {
+    return helpers.message(
+      'Inline artifact delivery requires responseType JSON, NONE, PDF or MHTML'
+    );
+  }
+
   // Only one FULL selector allowed
   const fullSelectors = selectors.filter((s) => s.type === SELECTOR_TYPE_NAMES.FULL);
   if (fullSelectors.length > 1) {
     return helpers.message('Only one selector with type FULL is allowed');
   }
 
+  // Placeholders must refer to a request variable or to a variable set by an earlier step
+  const known = new Set(Object.keys(variables ?? {}));
+  for (const [index, step] of (record?.steps ?? []).entries()) {
+    for (const template of helperTemplateStepStrings({ step })) {
+      const unknown = helperTemplatePlaceholders({ template }).find((name) => !known.has(name));
+      if (unknown) {
+        // The placeholder is passed as a context value so that Joi does not read it as a template
+        return helpers.message('Unknown variable "{{#placeholder}}" in record.steps[{{#index}}]', {
+          placeholder: `{{${unknown}}}`,
+          index
+        });
+      }
+    }
+
+    if (step.type === STEP_TYPES.SET_VARIABLE) {
+      known.add(step.name);
+    }
+  }
+
   return value;
 });
+
+/**
+ * Chrome Recorder Export Validation Schema
+ *
+ * Validates the envelope of an untouched Chrome DevTools Recorder export.
+ * Steps and the optional capture/output/proxy/headers blocks are validated
+ * in detail by helperValidatorsApiScrape once the export has been mapped.
+ */
+export const helperValidatorsApiScrapeRecording = Joi.object({
+  // Recorder export fields
+  title: Joi.string().default(DEFAULT_TITLE),
+  timeout: Joi.number().integer().min(1),
+  selectorAttribute: Joi.string(),
+  steps: Joi.array().items(Joi.object().unknown(true)).required(),
+
+  // Scraper options that are not part of the Recorder export
+  speedMode: Joi.string(),
+  timeoutMode: Joi.string(),
+  proxy: Joi.object().unknown(true).default({}),
+  capture: Joi.object().unknown(true),
+  headers: Joi.object().unknown(true),
+  cookies: Joi.array(),
+  output: Joi.object().unknown(true),
+  variables: Joi.object().unknown(true),
+  session: Joi.object().unknown(true)
+});
+
+/**
+ * Batch Scrape Validation Schema
+ *
+ * Validates the envelope of a batch request. The record/capture template is
+ * validated by helperValidatorsApiScrape once the placeholders of each row are filled.
+ */
+export const helperValidatorsApiScrapeBatch = Joi.object({
+  // Template shared by all rows
+  proxy: Joi.object().unknown(true).required(),
+  record: Joi.object().unknown(true).required(),
+  capture: Joi.object().unknown(true),
+  headers: Joi.object().unknown(true),
+  cookies: Joi.array(),
+  output: Joi.object().unknown(true),
+  variables: Joi.object().unknown(true),
+  session: Joi.object().unknown(true),
+
+  // Placeholder values, one object per run
+  rows: Joi.array()
+    .items(Joi.object().pattern(VARIABLE_NAME_PATTERN, variableValueSchema))
+    .min(1)
+    .max(BATCH_CONFIG.MAX_ROWS)
+    .required(),
+
+  // Number of rows of this batch allowed to run at the same time
+  concurrency: Joi.number()
+    .integer()
+    .min(1)
+    .max(BATCH_CONFIG.MAX_CONCURRENCY)
+    .default(BATCH_CONFIG.DEFAULT_CONCURRENCY)
+});
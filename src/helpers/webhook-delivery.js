@@ -0,0 +1,138 @@
+/**
+ * Webhook Delivery Helper
+ *
+ * Posts job results to client supplied callback URLs.
+ * Payloads are signed with HMAC-SHA256 when a secret is configured and failed
+ * deliveries are retried with exponential backoff.
+ */
+
+// Node core modules
+import { createHmac } from 'crypto';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Import constants
+import { WEBHOOK_CONFIG } from '../constants.js';
+
+/**
+ * Computes the signature of a webhook payload
+ * Receivers verify it by signing "<timestamp>.<raw body>" with the same secret.
+ *
+ * @param {Object} options - Options object
+ * @param {string} options.secret - Shared secret from the callback configuration
+ * @param {number} options.timestamp - Unix timestamp in seconds sent with the delivery
+ * @param {string} options.body - Raw JSON body of the delivery
+ * @returns {string} - Signature in the form "sha256=<hex digest>"
+ */
+export function helperWebhookSign({ secret, timestamp, body }) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Delivers a payload to a callback URL, retrying until it succeeds or attempts run out
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.callback - Validated callback configuration (url, headers, secret)
+ * @param {Object} options.payload - Result or error payload to deliver
+ * @param {string} options.jobId - ID of the job the payload belongs to
+ * @param {Function} [options.onAttempt] - Called with the log entry of every attempt
+ * @param {number} [options.maxAttempts] - Total number of attempts
+ * @param {number} [options.initialDelayMs] - Delay before the first retry
+ * @returns {Promise<boolean>} - True if the callback URL accepted the payload
+ */
+export async function helperWebhookDeliver({
+  callback,
+  payload,
+  jobId,
+  onAttempt,
+  maxAttempts = WEBHOOK_CONFIG.MAX_ATTEMPTS,
+  initialDelayMs = WEBHOOK_CONFIG.INITIAL_DELAY_MS
+}) {
+  const body = JSON.stringify(payload);
+  let delayMs = initialDelayMs;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const entry = await sendAttempt({ callback, body, jobId });
+    entry.attempt = attempt;
+
+    const willRetry = !entry.success && attempt < maxAttempts;
+    entry.nextRetryAt = willRetry ? new Date(Date.now() + delayMs).toISOString() : null;
+
+    onAttempt?.(entry);
+
+    if (entry.success) {
+      return true;
+    }
+
+    if (willRetry) {
+      await sleep(delayMs);
+      delayMs *= WEBHOOK_CONFIG.BACKOFF_FACTOR;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Sends a single delivery request
+ * A fresh timestamp and signature are generated for every attempt.
+ *
+ * @param {Object} options - Options object
+ * @param {Object} options.callback - Callback configuration
+ * @param {string} options.body - Raw JSON body
+ * @param {string} options.jobId - Job ID
+ * @returns {Promise<Object>} - Attempt log entry
+ */
+async function sendAttempt({ callback, body, jobId }) {
+  const startedAt = Date.now();
+  const timestamp = Math.floor(startedAt / 1000);
+
+  const headers = {
+    ...callback.headers,
+    'Content-Type': 'application/json',
+    [WEBHOOK_CONFIG.TIMESTAMP_HEADER]: String(timestamp),
+    [WEBHOOK_CONFIG.JOB_ID_HEADER]: jobId
+  };
+
+  if (callback.secret) {
+    headers[WEBHOOK_CONFIG.SIGNATURE_HEADER] = helperWebhookSign({
+      secret: callback.secret,
+      timestamp,
+      body
+    });
+  }
+
+  const entry = {
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: null,
+    statusCode: null,
+    success: false,
+    error: null
+  };
+
+  try {
+    const response = await fetch(callback.url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.REQUEST_TIMEOUT_MS)
+    });
+
+    entry.statusCode = response.status;
+    entry.success = response.ok;
+
+    if (!response.ok) {
+      entry.error = `Callback URL responded with status ${response.status}`;
+    }
+
+    // Release the connection, the response body is not used
+    await response.body?.cancel();
+  } catch (error) {
+    entry.error = error.cause?.message || error.message;
+  }
+
+  entry.durationMs = Date.now() - startedAt;
+
+  return entry;
+}
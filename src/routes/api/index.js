@@ -13,6 +13,7 @@ import { controllerApiIndex } from '../../controllers/api/index.js';
 import { routerApiScrape } from './scrape.js';
 import { routerApiOs } from './os.js';
 import { routerApiApp } from './app.js';
+import { routerApiSessions } from './sessions.js';
 
 // Initialize Express Router
 const router = express.Router();
@@ -42,6 +43,7 @@ setupBasicAuth(router);
 
 // Register API route modules
 router.use('/scrape', routerApiScrape);
+router.use('/sessions', routerApiSessions);
 router.use('/app', routerApiApp);
 router.use('/os', routerApiOs);
 
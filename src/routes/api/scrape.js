@@ -3,11 +3,229 @@ import express from 'express';
 
 // Controller imports
 import { controllerApiScrapeStart } from '../../controllers/api/scrape/start.js';
+import { controllerApiScrapeRecording } from '../../controllers/api/scrape/recording.js';
+import { controllerApiScrapeBatch } from '../../controllers/api/scrape/batch.js';
+import { controllerApiScrapeJobsCreate } from '../../controllers/api/scrape/jobs/create.js';
+import { controllerApiScrapeJobsGet } from '../../controllers/api/scrape/jobs/get.js';
+import { controllerApiScrapeJobsCancel } from '../../controllers/api/scrape/jobs/cancel.js';
+import { controllerApiScrapeJobsDelivery } from '../../controllers/api/scrape/jobs/delivery.js';
 import { controllerApiScrapeTest } from '../../controllers/api/scrape/test.js';
 
 // Initialize Express Router
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CaptureNetworkEntry:
+ *       type: object
+ *       required: [key, address, method]
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: "search"
+ *         address:
+ *           type: string
+ *           format: uri
+ *           example: "https://example.com/api/search"
+ *         method:
+ *           type: string
+ *           example: "GET"
+ *     CaptureTransforms:
+ *       type: array
+ *       description: |
+ *         Transforms applied in order to the captured value (to each value with multiple: true).
+ *         Options: regexExtract {pattern, flags, group}, regexReplace {pattern, flags (default g),
+ *         replacement}, parseNumber {locale}, resolveUrl {base}, default {value}. A failing
+ *         transform sets the value to null and is reported under data.errors.
+ *       items:
+ *         oneOf:
+ *           - type: string
+ *             enum: [trim, collapseWhitespace, parseNumber, parseDate, resolveUrl, stripTags, lowercase]
+ *           - type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [trim, collapseWhitespace, regexExtract, regexReplace, parseNumber, parseDate, resolveUrl, stripTags, lowercase, default]
+ *       example: ["collapseWhitespace", { type: "parseNumber", locale: "de-DE" }]
+ *     InlineArtifact:
+ *       type: object
+ *       description: Artifact embedded with output.artifacts.delivery inline, in place of its URL
+ *       properties:
+ *         mimeType:
+ *           type: string
+ *           example: image/png
+ *         size:
+ *           type: integer
+ *           description: File size in bytes
+ *         data:
+ *           type: string
+ *           format: byte
+ *           description: Base64-encoded file content
+ *     FrameLocator:
+ *       description: |
+ *         Child frame to work in, cross-origin frames included. Either the index path below the
+ *         main frame (as in Recorder exports), the name or id of the iframe element, or a regular
+ *         expression matching the frame URL.
+ *       oneOf:
+ *         - type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *           example: [0]
+ *         - type: object
+ *           required: [name]
+ *           properties:
+ *             name:
+ *               type: string
+ *               example: "checkout"
+ *         - type: object
+ *           required: [url]
+ *           properties:
+ *             url:
+ *               type: string
+ *               example: "js\\.stripe\\.com"
+ *     CaptureSelector:
+ *       type: object
+ *       required: [key, type, value]
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: "price"
+ *         type:
+ *           type: string
+ *           enum: [CSS, XPATH, ARIA, TEXT, PIERCE, FULL, LIST]
+ *         value:
+ *           type: string
+ *           description: Selector, the container selector for LIST
+ *           example: "#productTitle"
+ *         frame:
+ *           $ref: '#/components/schemas/FrameLocator'
+ *         required:
+ *           type: boolean
+ *           default: true
+ *           description: |
+ *             When false, a selector that cannot be read returns its default instead of failing
+ *             the scrape, and the miss is reported under data.errors
+ *         default:
+ *           description: Value returned by an optional selector that missed, null by default
+ *         multiple:
+ *           type: boolean
+ *           default: false
+ *           description: Return an array with a value for every match instead of the first match
+ *         attribute:
+ *           type: string
+ *           description: Read an attribute such as href, src or data-id, null when it is missing
+ *           example: "href"
+ *         property:
+ *           type: string
+ *           description: Read a DOM property such as checked, value or href (resolved URL)
+ *         extract:
+ *           type: string
+ *           enum: [auto, text, html, outerHTML]
+ *           description: |
+ *             What to read when no attribute or property is given. auto (default) returns the
+ *             value of form fields and the innerHTML of other elements, or their text when
+ *             they contain no markup.
+ *         transforms:
+ *           $ref: '#/components/schemas/CaptureTransforms'
+ *         containerType:
+ *           type: string
+ *           enum: [CSS, XPATH, ARIA, TEXT, PIERCE]
+ *           default: CSS
+ *           description: LIST only, type of the container selector
+ *         fields:
+ *           type: object
+ *           description: |
+ *             LIST only, named field selectors read inside each container. XPath fields are
+ *             relative to the container (use ".//"), a field without value reads the container.
+ *             Missing fields are null.
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [CSS, XPATH, ARIA, TEXT, PIERCE]
+ *                 default: CSS
+ *               value:
+ *                 type: string
+ *               multiple:
+ *                 type: boolean
+ *               attribute:
+ *                 type: string
+ *               property:
+ *                 type: string
+ *               extract:
+ *                 type: string
+ *                 enum: [auto, text, html, outerHTML]
+ *               transforms:
+ *                 $ref: '#/components/schemas/CaptureTransforms'
+ *           example:
+ *             name: { value: "h2", extract: "text" }
+ *             url: { value: "a", attribute: "href" }
+ *     ScrapeJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed, cancelled]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             Same payload as /api/scrape/start on success, or the standard error payload on failure.
+ *             Null until the job has finished.
+ *     CallbackDelivery:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           format: uri
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: integer
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationMs:
+ *                 type: integer
+ *               statusCode:
+ *                 type: integer
+ *                 nullable: true
+ *               success:
+ *                 type: boolean
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *               nextRetryAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ */
+
 /**
  * @swagger
  * /api/scrape/start:
@@ -83,58 +301,210 @@ const router = express.Router();
  *                     default: NORMAL
  *                   steps:
  *                     type: array
- *                     description: Sequence of browser actions. At least one navigate step required.
+ *                     description: |
+ *                       Sequence of browser actions using the Chrome DevTools Recorder step format.
+ *                       At least one navigate step required. Each step type only accepts its own fields.
  *                     items:
  *                       type: object
  *                       required: [type]
  *                       properties:
  *                         type:
  *                           type: string
- *                           enum: [navigate, click, wait, setViewport, change, waitForElement]
+ *                           enum: [navigate, click, doubleClick, hover, wait, setViewport, change, keyDown, keyUp, scroll, waitForElement, waitForExpression, close, emulateNetworkConditions, customStep, setVariable]
  *                         url:
  *                           type: string
- *                           format: uri
+ *                           description: navigate, may contain {{name}} placeholders
  *                         value:
  *                           type: string
+ *                           description: change, may contain {{name}} placeholders
  *                         selectors:
  *                           type: array
+ *                           description: |
+ *                             Recorder selectors (string or array of strings) or {type, value} objects
+ *                             with type CSS, XPATH, ARIA, TEXT or PIERCE.
+ *                             Required by click, doubleClick, hover, change, waitForElement and setVariable.
+ *                             May contain {{name}} placeholders.
+ *                           example: [["aria/Search"], ["#search"]]
+ *                         target:
+ *                           type: string
+ *                           description: Target page URL, defaults to main
+ *                         frame:
+ *                           $ref: '#/components/schemas/FrameLocator'
+ *                         assertedEvents:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: string
+ *                                 enum: [navigation]
+ *                               url:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                         key:
+ *                           type: string
+ *                           description: keyDown / keyUp
+ *                         expression:
+ *                           type: string
+ *                           description: waitForExpression
  *                         width:
  *                           type: number
  *                         height:
  *                           type: number
+ *                         x:
+ *                           type: number
+ *                           description: scroll
+ *                         y:
+ *                           type: number
+ *                           description: scroll
  *                         duration:
  *                           type: number
+ *                           description: wait (required), click and doubleClick
  *                         timeout:
  *                           type: number
+ *                         name:
+ *                           type: string
+ *                           description: setVariable - variable receiving the element text
+ *                         attribute:
+ *                           type: string
+ *                           description: setVariable - read this attribute instead of the text
+ *                         secret:
+ *                           type: boolean
+ *                           description: setVariable - mask the stored value in logs
+ *               variables:
+ *                 type: object
+ *                 description: |
+ *                   Values for {{name}} placeholders. A variable is either a plain value or
+ *                   {value, secret}; secret values are masked in step logs and error messages.
+ *                 additionalProperties:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: number
+ *                     - type: boolean
+ *                     - type: object
+ *                       properties:
+ *                         value:
+ *                           type: string
+ *                         secret:
+ *                           type: boolean
+ *                 example:
+ *                   sku: "A-100"
+ *                   password:
+ *                     value: "s3cret"
+ *                     secret: true
+ *               session:
+ *                 type: object
+ *                 description: |
+ *                   Named session. Its cookies, localStorage and sessionStorage are restored
+ *                   before the first step and saved when the run ends, failed runs included.
+ *                   Cancelled runs are not saved. See /api/sessions.
+ *                 required: [name]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     pattern: '^[\w.-]{1,100}$'
+ *                     example: "shop-login"
+ *                   ttl:
+ *                     type: integer
+ *                     minimum: 1
+ *                     description: Seconds until the saved session expires, it never expires when omitted
+ *                     example: 86400
  *               capture:
  *                 type: object
  *                 properties:
+ *                   request:
+ *                     type: object
+ *                     description: |
+ *                       Outgoing page requests to intercept while the recording runs.
+ *                       Requests are matched by address (query string ignored) and method.
+ *                     properties:
+ *                       data:
+ *                         type: array
+ *                         description: Requests whose parsed body is returned
+ *                         items:
+ *                           $ref: '#/components/schemas/CaptureNetworkEntry'
+ *                       queries:
+ *                         type: array
+ *                         description: Requests whose parsed query parameters are returned
+ *                         items:
+ *                           $ref: '#/components/schemas/CaptureNetworkEntry'
+ *                   response:
+ *                     type: object
+ *                     properties:
+ *                       cookies:
+ *                         type: array
+ *                         description: Names of cookies to return after the flow finishes
+ *                         items:
+ *                           type: string
+ *                         example: ["session_id"]
+ *                       data:
+ *                         type: array
+ *                         description: |
+ *                           Responses (e.g. XHR/fetch API calls) whose body is returned.
+ *                           JSON bodies are parsed, other bodies are returned as text.
+ *                         items:
+ *                           $ref: '#/components/schemas/CaptureNetworkEntry'
  *                   selectors:
  *                     type: array
  *                     description: |
  *                       Data extraction selectors. Required for JSON (1+) and RAW (exactly 1).
  *                       Only one FULL type selector allowed.
  *                     items:
- *                       type: object
- *                       required: [key, type, value]
+ *                       $ref: '#/components/schemas/CaptureSelector'
+ *               headers:
+ *                 type: object
+ *                 description: |
+ *                   Request headers sent by the browser. A header is either a string sent with every
+ *                   request or {value, origins}, sent only to the listed origins. Hop-by-hop headers
+ *                   (Connection, Host, Transfer-Encoding, ...) are rejected. Accept-Language and
+ *                   User-Agent default to browser-like values.
+ *                 additionalProperties:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [value, origins]
  *                       properties:
- *                         key:
- *                           type: string
- *                           example: "price"
- *                         type:
- *                           type: string
- *                           enum: [CSS, XPATH, FULL]
  *                         value:
  *                           type: string
- *                           example: "#productTitle"
- *               headers:
- *                 type: object
- *                 properties:
- *                   Accept-Language:
- *                     type: string
- *                     default: "en-US,en;q=0.9"
- *                   User-Agent:
- *                     type: string
+ *                         origins:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                 example:
+ *                   Accept-Language: "en-US,en;q=0.9"
+ *                   Referer: "https://example.com/"
+ *                   Authorization:
+ *                     value: "Bearer token"
+ *                     origins: ["https://api.example.com"]
+ *               cookies:
+ *                 type: array
+ *                 description: Cookies set on the browser context before the first step, each needs a url or a domain
+ *                 items:
+ *                   type: object
+ *                   required: [name, value]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                     domain:
+ *                       type: string
+ *                     path:
+ *                       type: string
+ *                       default: "/"
+ *                     expires:
+ *                       type: number
+ *                       description: Unix timestamp in seconds, session cookie when omitted
+ *                     httpOnly:
+ *                       type: boolean
+ *                     secure:
+ *                       type: boolean
+ *                     sameSite:
+ *                       type: string
+ *                       enum: [Strict, Lax, None]
  *               output:
  *                 type: object
  *                 properties:
@@ -147,14 +517,131 @@ const router = express.Router();
  *                       onSuccess:
  *                         type: boolean
  *                         default: false
+ *                       eachStep:
+ *                         type: boolean
+ *                         default: false
+ *                         description: |
+ *                           Take a screenshot after every step, all screenshots are returned in order as
+ *                           screenshots (JSON, NONE, PDF and MHTML responseTypes)
+ *                       selector:
+ *                         type: object
+ *                         description: |
+ *                           Clip the screenshots to the first matching element, pages without it are shot
+ *                           whole
+ *                         required: [value]
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [CSS, XPATH, ARIA, TEXT, PIERCE]
+ *                             default: CSS
+ *                           value:
+ *                             type: string
+ *                           frame:
+ *                             $ref: '#/components/schemas/FrameLocator'
+ *                       format:
+ *                         type: string
+ *                         enum: [png, jpeg, webp]
+ *                         default: png
+ *                       quality:
+ *                         type: integer
+ *                         minimum: 0
+ *                         maximum: 100
+ *                         description: jpeg and webp only
+ *                       fullPage:
+ *                         type: boolean
+ *                         default: true
+ *                         description: Capture the whole scrollable page instead of the viewport
  *                   responseType:
  *                     type: string
- *                     enum: [NONE, JSON, RAW]
+ *                     enum: [NONE, JSON, RAW, CSV, NDJSON, XML, PDF, MHTML]
  *                     default: JSON
  *                     description: |
  *                       - NONE: Returns success status only
  *                       - JSON: Structured response with all selector results
  *                       - RAW: Raw content from the single selector
+ *                       - CSV, NDJSON, XML: Captured rows as a file attachment, columns in selector
+ *                         order (one per LIST field). Proxy, screenshot URL and capture errors are
+ *                         returned in X-Scrape-* response headers.
+ *                       - PDF, MHTML: URL of the saved page snapshot under /api/tmp
+ *                   pdf:
+ *                     description: |
+ *                       Save a PDF print of the page, returned as data.pdfUrl (JSON, PDF and MHTML
+ *                       responseTypes). true prints A4 with 1cm margins and backgrounds.
+ *                     oneOf:
+ *                       - type: boolean
+ *                       - type: object
+ *                         properties:
+ *                           format:
+ *                             type: string
+ *                             enum: [Letter, Legal, Tabloid, Ledger, A0, A1, A2, A3, A4, A5, A6]
+ *                             default: A4
+ *                           landscape:
+ *                             type: boolean
+ *                             default: false
+ *                           printBackground:
+ *                             type: boolean
+ *                             default: true
+ *                           margin:
+ *                             type: object
+ *                             description: Pixels or a length in px, in, cm or mm, 1cm by default
+ *                             properties:
+ *                               top:
+ *                                 type: string
+ *                               right:
+ *                                 type: string
+ *                               bottom:
+ *                                 type: string
+ *                               left:
+ *                                 type: string
+ *                             example: { top: "2cm", bottom: "2cm" }
+ *                   mhtml:
+ *                     type: boolean
+ *                     description: |
+ *                       Save an MHTML snapshot of the page with its resources, returned as
+ *                       data.mhtmlUrl (JSON, PDF and MHTML responseTypes)
+ *                   har:
+ *                     oneOf:
+ *                       - type: boolean
+ *                       - type: object
+ *                         properties:
+ *                           maxBodySize:
+ *                             type: integer
+ *                             minimum: 0
+ *                             maximum: 5242880
+ *                             default: 65536
+ *                             description: Largest request or response body in bytes kept in the archive
+ *                     description: |
+ *                       Record the requests and responses of the steps into a HAR 1.2 file, returned as
+ *                       harUrl with successful and failed scrapes. Credential headers and secret
+ *                       variables are masked.
+ *                   console:
+ *                     type: boolean
+ *                     description: |
+ *                       Collect console messages, uncaught page errors and failed requests of the steps,
+ *                       returned as console with successful and failed scrapes (JSON, NONE, PDF and MHTML
+ *                       responseTypes)
+ *                   trace:
+ *                     type: boolean
+ *                     description: |
+ *                       Return one trace entry per step with its timings, the page URL after it and its
+ *                       status, with successful and failed scrapes (JSON, NONE, PDF and MHTML responseTypes)
+ *                   artifacts:
+ *                     type: object
+ *                     properties:
+ *                       delivery:
+ *                         type: string
+ *                         enum: [url, inline]
+ *                         default: url
+ *                         description: |
+ *                           inline replaces screenshotUrl, pdfUrl, mhtmlUrl and harUrl with screenshot, pdf,
+ *                           mhtml and har objects holding the base64 content (JSON, NONE, PDF and MHTML
+ *                           responseTypes), and the url of screenshots list entries the same way
+ *                       maxInlineSize:
+ *                         type: integer
+ *                         minimum: 0
+ *                         maximum: 20971520
+ *                         default: 2097152
+ *                         description: Largest file in bytes that is embedded, larger ones keep their URL
  *     responses:
  *       200:
  *         description: Scraping completed successfully
@@ -166,14 +653,160 @@ const router = express.Router();
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 partial:
+ *                   type: boolean
+ *                   description: Present and true when data.errors reports skipped values
  *                 data:
  *                   type: object
  *                   properties:
  *                     catch:
  *                       type: object
  *                       description: Scraped data keyed by selector key
+ *                     errors:
+ *                       type: object
+ *                       description: |
+ *                         Optional selectors that missed and values whose transforms failed, keyed by
+ *                         selector key or value path (e.g. "prices[2]", "products[0].price").
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: "ERROR_SELECTOR_PROCESSING"
+ *                           message:
+ *                             type: string
+ *                     request:
+ *                       type: object
+ *                       description: |
+ *                         Intercepted requests keyed by capture key (null when nothing matched).
+ *                         Each entry holds url, method and the captured data and/or queries.
+ *                         bodyError is set when the body was still being read 5 seconds after the flow.
+ *                     response:
+ *                       type: object
+ *                       description: |
+ *                         Intercepted responses keyed by capture key (null when nothing matched).
+ *                         Each entry holds url, method, status, headers and body.
+ *                         bodyError is set when the body was still being read 5 seconds after the flow
+ *                         (event streams, long polls), body is null then.
+ *                     cookies:
+ *                       type: array
+ *                       description: Requested cookies of the browser context, from every origin of the flow
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           value:
+ *                             type: string
+ *                           domain:
+ *                             type: string
+ *                           path:
+ *                             type: string
+ *                           expires:
+ *                             type: number
+ *                           httpOnly:
+ *                             type: boolean
+ *                           secure:
+ *                             type: boolean
+ *                           sameSite:
+ *                             type: string
+ *                             nullable: true
  *                     screenshotUrl:
  *                       type: string
+ *                     pdfUrl:
+ *                       type: string
+ *                       description: PDF print of the page, with output.pdf or responseType PDF
+ *                     mhtmlUrl:
+ *                       type: string
+ *                       description: MHTML snapshot, with output.mhtml or responseType MHTML
+ *                     harUrl:
+ *                       type: string
+ *                       description: HAR network log, with output.har (top-level with responseType NONE)
+ *                     screenshot:
+ *                       $ref: '#/components/schemas/InlineArtifact'
+ *                     pdf:
+ *                       $ref: '#/components/schemas/InlineArtifact'
+ *                     mhtml:
+ *                       $ref: '#/components/schemas/InlineArtifact'
+ *                     har:
+ *                       $ref: '#/components/schemas/InlineArtifact'
+ *                     console:
+ *                       type: array
+ *                       description: Console output, with output.console (top-level with responseType NONE)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [console, pageerror, requestfailed]
+ *                           level:
+ *                             type: string
+ *                             description: Console message type (log, info, warn, error, debug, ...)
+ *                           text:
+ *                             type: string
+ *                           stack:
+ *                             type: string
+ *                           url:
+ *                             type: string
+ *                             description: URL of a failed request
+ *                           location:
+ *                             type: object
+ *                             description: Script location of a console message
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           stepIndex:
+ *                             type: integer
+ *                             nullable: true
+ *                             description: Index in record.steps of the running step, null before the first
+ *                     screenshots:
+ *                       type: array
+ *                       description: |
+ *                         Every screenshot in the order it was taken, with output.screenshots.eachStep
+ *                         (top-level with responseType NONE)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             enum: [step, success, error]
+ *                           stepIndex:
+ *                             type: integer
+ *                             description: Index in record.steps of the step, step screenshots only
+ *                           url:
+ *                             type: string
+ *                           clipped:
+ *                             type: boolean
+ *                             description: Whether the screenshot was clipped to the selector's element
+ *                     trace:
+ *                       type: array
+ *                       description: Step trace, with output.trace (top-level with responseType NONE)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                             description: Index of the step in record.steps
+ *                           type:
+ *                             type: string
+ *                           startedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           endedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           duration:
+ *                             type: integer
+ *                             description: Milliseconds, without the speed mode delay
+ *                           url:
+ *                             type: string
+ *                             description: Page URL after the step
+ *                           status:
+ *                             type: string
+ *                             enum: [completed, failed]
+ *                           error:
+ *                             type: string
+ *                             description: Error message of the failed step
  *                     proxy:
  *                       type: object
  *                       properties:
@@ -183,15 +816,407 @@ const router = express.Router();
  *                           type: number
  *                         protocol:
  *                           type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *         headers:
+ *           Content-Disposition:
+ *             description: File responses only, e.g. attachment; filename="products.csv"
+ *             schema:
+ *               type: string
+ *           X-Scrape-Proxy:
+ *             description: File responses only, proxy used by the scrape (protocol://server:port)
+ *             schema:
+ *               type: string
+ *           X-Scrape-Screenshot-Url:
+ *             description: File responses only, success screenshot URL
+ *             schema:
+ *               type: string
+ *           X-Scrape-Har-Url:
+ *             description: File responses only, HAR network log URL, with output.har
+ *             schema:
+ *               type: string
+ *           X-Scrape-Partial:
+ *             description: File responses only, "true" when values were reported as errors
+ *             schema:
+ *               type: string
+ *           X-Scrape-Errors:
+ *             description: File responses only, comma-separated keys of the values reported as errors
+ *             schema:
+ *               type: string
  *       400:
  *         description: Validation error
  *       401:
  *         description: Unauthorized - authentication or proxy requirements not met
  *       500:
- *         description: Server error during scraping
+ *         description: |
+ *           Server error during scraping, with data.failedStep (index in record.steps) when a step failed,
+ *           and data.screenshotUrl, data.screenshots, data.harUrl, data.console and data.trace when enabled
  */
 router.post('/start', controllerApiScrapeStart);
 
+/**
+ * @swagger
+ * /api/scrape/recording:
+ *   post:
+ *     summary: Run a Chrome DevTools Recorder export
+ *     description: |
+ *       Accepts an untouched Chrome DevTools Recorder JSON export (title, steps, selectors as nested arrays)
+ *       plus the optional capture, output, proxy and headers blocks of /api/scrape/start.
+ *       The export is mapped onto the scrape request schema and executed the same way.
+ *       Validation errors refer to the original step index (e.g. "steps[3].key").
+ *     tags: [Scrape]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [steps]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Recording 22.04.2025 at 02:54:51"
+ *               timeout:
+ *                 type: integer
+ *                 description: Flow timeout, applied to steps without their own timeout
+ *               selectorAttribute:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 description: Recorder steps, see /api/scrape/start for the supported types
+ *                 items:
+ *                   type: object
+ *                 example:
+ *                   - type: setViewport
+ *                     width: 1280
+ *                     height: 720
+ *                     deviceScaleFactor: 1
+ *                     isMobile: false
+ *                     hasTouch: false
+ *                     isLandscape: false
+ *                   - type: navigate
+ *                     url: "https://example.com"
+ *                     assertedEvents:
+ *                       - type: navigation
+ *                         url: "https://example.com/"
+ *                         title: "Example Domain"
+ *                   - type: click
+ *                     selectors: [["aria/More information..."], ["a"]]
+ *                     offsetX: 10
+ *                     offsetY: 5
+ *               speedMode:
+ *                 type: string
+ *                 enum: [TURBO, FAST, NORMAL, SLOW, SLOWEST, CRAWL, STEALTH]
+ *               timeoutMode:
+ *                 type: string
+ *                 enum: [SHORT, NORMAL, LONG]
+ *               proxy:
+ *                 type: object
+ *                 description: Same as the proxy block of /api/scrape/start
+ *               capture:
+ *                 type: object
+ *                 description: Same as the capture block of /api/scrape/start
+ *               headers:
+ *                 type: object
+ *                 description: Same as the headers block of /api/scrape/start
+ *               cookies:
+ *                 type: array
+ *                 description: Same as the cookies block of /api/scrape/start
+ *               output:
+ *                 type: object
+ *                 description: Same as the output block of /api/scrape/start
+ *               variables:
+ *                 type: object
+ *                 description: Same as the variables block of /api/scrape/start
+ *               session:
+ *                 type: object
+ *                 description: Same as the session block of /api/scrape/start
+ *     responses:
+ *       200:
+ *         description: Scraping completed successfully, same response as /api/scrape/start
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - authentication or proxy requirements not met
+ *       500:
+ *         description: Server error during scraping
+ */
+router.post('/recording', controllerApiScrapeRecording);
+
+/**
+ * @swagger
+ * /api/scrape/batch:
+ *   post:
+ *     summary: Run one recording against many input rows
+ *     description: |
+ *       Fills `{{name}}` placeholders in navigate URLs, change values and selectors with the
+ *       values of each row and runs one scrape per row. Row values override `variables`. Rows share the global browser slots and
+ *       at most `concurrency` rows of the batch run at the same time.
+ *       Rows with a `session` run one after another, each starting from the state the previous one saved.
+ *       Every row is validated before the batch starts. A failing row does not stop the batch.
+ *       Send `Accept: application/x-ndjson` to receive one JSON line per row as soon as it
+ *       finishes (completion order) instead of a single response at the end.
+ *     tags: [Scrape]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [proxy, record, rows]
+ *             properties:
+ *               proxy:
+ *                 type: object
+ *                 description: Same as the proxy block of /api/scrape/start
+ *               record:
+ *                 type: object
+ *                 description: Same as the record block of /api/scrape/start, may contain placeholders
+ *                 example:
+ *                   title: "Product page"
+ *                   steps:
+ *                     - type: navigate
+ *                       url: "https://shop.example.com/products/{{sku}}"
+ *               capture:
+ *                 type: object
+ *                 description: Same as the capture block of /api/scrape/start
+ *               headers:
+ *                 type: object
+ *                 description: Same as the headers block of /api/scrape/start
+ *               cookies:
+ *                 type: array
+ *                 description: Same as the cookies block of /api/scrape/start
+ *               output:
+ *                 type: object
+ *                 description: Same as the output block of /api/scrape/start, RAW is not supported
+ *               rows:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   additionalProperties:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: number
+ *                       - type: boolean
+ *                 example:
+ *                   - sku: "A-100"
+ *                   - sku: "B-200"
+ *               concurrency:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: |
+ *           Row results ordered by row index. Each result contains `index`, `input` and the
+ *           payload /api/scrape/start would have returned for the row (error payload on failure).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     succeeded:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *               description: One row result per line
+ *       400:
+ *         description: Validation error, the message names the offending row
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/batch', controllerApiScrapeBatch);
+
+/**
+ * @swagger
+ * /api/scrape/jobs:
+ *   post:
+ *     summary: Queue a web scraping job
+ *     description: |
+ *       Accepts the same body as /api/scrape/start but returns a job ID immediately
+ *       instead of holding the connection open for the whole browser run.
+ *       Poll GET /api/scrape/jobs/{id} for the status and result.
+ *       Job status and results are persisted in the data directory and survive a process
+ *       restart. The request, including proxy credentials, is only kept in memory, so jobs
+ *       that are queued or running when the process restarts are marked as failed.
+ *
+ *       With a `callback` block the final result or error payload is also POSTed to
+ *       `callback.url`. Deliveries carry `X-Scrapereq-Timestamp` and `X-Scrapereq-Job-Id`
+ *       headers and, when `callback.secret` is set, an `X-Scrapereq-Signature` header
+ *       containing `sha256=` followed by the hex HMAC-SHA256 of `<timestamp>.<raw body>`.
+ *       Failed deliveries are retried with exponential backoff.
+ *     tags: [Scrape]
+ *     security:
+ *       - basicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: |
+ *               Same as the request body of /api/scrape/start, plus an optional callback.
+ *               The CSV, NDJSON and XML responseTypes are not supported.
+ *             properties:
+ *               callback:
+ *                 type: object
+ *                 required: [url]
+ *                 properties:
+ *                   url:
+ *                     type: string
+ *                     format: uri
+ *                     example: "https://example.com/webhooks/scrapereq"
+ *                   headers:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: string
+ *                     description: Extra headers sent with every delivery
+ *                   secret:
+ *                     type: string
+ *                     description: Secret used to sign deliveries
+ *     responses:
+ *       202:
+ *         description: Job accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ScrapeJob'
+ *       400:
+ *         description: Validation error
+ */
+router.post('/jobs', controllerApiScrapeJobsCreate);
+
+/**
+ * @swagger
+ * /api/scrape/jobs/{id}:
+ *   get:
+ *     summary: Get the status and result of a scraping job
+ *     tags: [Scrape]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ScrapeJob'
+ *       404:
+ *         description: Job not found
+ *   delete:
+ *     summary: Cancel a queued or running scraping job
+ *     tags: [Scrape]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ScrapeJob'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ */
+router.get('/jobs/:id', controllerApiScrapeJobsGet);
+router.delete('/jobs/:id', controllerApiScrapeJobsCancel);
+
+/**
+ * @swagger
+ * /api/scrape/jobs/{id}/delivery:
+ *   get:
+ *     summary: Get the callback delivery log of a scraping job
+ *     description: Returns null data when the job was created without a callback.
+ *     tags: [Scrape]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CallbackDelivery'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id/delivery', controllerApiScrapeJobsDelivery);
+
 /**
  * @swagger
  * /api/scrape/test:
@@ -0,0 +1,175 @@
+// Node third-party modules
+import express from 'express';
+
+// Initialize Express Router
+const router = express.Router();
+
+// Import controllers
+import { controllerApiSessionsList } from '../../controllers/api/sessions/list.js';
+import { controllerApiSessionsGet } from '../../controllers/api/sessions/get.js';
+import { controllerApiSessionsExpire } from '../../controllers/api/sessions/expire.js';
+import { controllerApiSessionsDelete } from '../../controllers/api/sessions/delete.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionSummary:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "shop-login"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expired:
+ *           type: boolean
+ *           description: Expired sessions are not restored, the next scrape starts from a blank profile
+ *         cookieCount:
+ *           type: integer
+ *         origins:
+ *           type: array
+ *           description: Origins with saved localStorage and sessionStorage
+ *           items:
+ *             type: string
+ *           example: ["https://shop.example.com"]
+ */
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   get:
+ *     summary: List named sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - basicAuth: []
+ *     responses:
+ *       200:
+ *         description: Session summaries without cookie values or storage contents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SessionSummary'
+ */
+router.get('/', controllerApiSessionsList);
+
+/**
+ * @swagger
+ * /api/sessions/{name}:
+ *   get:
+ *     summary: Get a named session with its cookies and storage
+ *     tags: [Sessions]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SessionSummary'
+ *                     - type: object
+ *                       properties:
+ *                         cookies:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         storage:
+ *                           type: object
+ *                           description: localStorage and sessionStorage keyed by origin
+ *       404:
+ *         description: Session not found
+ *   delete:
+ *     summary: Delete a named session
+ *     tags: [Sessions]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SessionSummary'
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:name', controllerApiSessionsGet);
+router.delete('/:name', controllerApiSessionsDelete);
+
+/**
+ * @swagger
+ * /api/sessions/{name}/expire:
+ *   post:
+ *     summary: Expire a named session
+ *     description: The session is kept but no longer restored, the next scrape using it starts from a blank profile.
+ *     tags: [Sessions]
+ *     security:
+ *       - basicAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SessionSummary'
+ *       404:
+ *         description: Session not found
+ */
+router.post('/:name/expire', controllerApiSessionsExpire);
+
+// Export the router for use in the application
+export const routerApiSessions = router;
@@ -26,6 +26,7 @@ export function setupCors() {
     origin: CORS_CONFIG.ORIGIN, // Control which origins can access the API
     methods: CORS_CONFIG.METHODS, // Allowed HTTP methods
     allowedHeaders: CORS_CONFIG.ALLOWED_HEADERS, // Headers clients can send
+    exposedHeaders: CORS_CONFIG.EXPOSED_HEADERS, // Headers browser clients can read
     credentials: CORS_CONFIG.CREDENTIALS, // Allow cookies in cross-origin requests
     maxAge: CORS_CONFIG.MAX_AGE // Cache preflight requests (seconds)
   });